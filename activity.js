@@ -0,0 +1,90 @@
+// Activity feed - typed, timestamped events kept in the 'activities' store for the day's history
+//
+// Records: { id, type, title, details, at (ISO time), day (local YYYY-MM-DD) }
+// Titles and details often carry server-supplied text (addresses, dispatcher messages), so
+// anything that renders them must set textContent, never innerHTML.
+
+import { systemClock } from './clock.js';
+import { LocalStore } from './storage.js';
+
+export const ACTIVITY_TYPES = {
+    delivery: { label: 'Delivery', icon: 'fas fa-box', style: 'delivered' },
+    pickup: { label: 'Pickup', icon: 'fas fa-dolly', style: 'pickup' },
+    emergency: { label: 'Emergency', icon: 'fas fa-exclamation-triangle', style: 'error' },
+    zone: { label: 'Zone', icon: 'fas fa-map-marked-alt', style: 'started' },
+    speed: { label: 'Speed', icon: 'fas fa-tachometer-alt', style: 'warning' },
+    message: { label: 'Message', icon: 'fas fa-comment', style: 'pickup' },
+    trip: { label: 'Trip', icon: 'fas fa-route', style: 'started' },
+    duty: { label: 'Duty status', icon: 'fas fa-user-clock', style: 'pickup' },
+    fuel: { label: 'Fuel', icon: 'fas fa-gas-pump', style: 'started' },
+    inspection: { label: 'Inspection', icon: 'fas fa-clipboard-check', style: 'delivered' },
+    leave: { label: 'Leave', icon: 'fas fa-calendar-alt', style: 'pickup' },
+    shift: { label: 'Shift', icon: 'fas fa-flag-checkered', style: 'delivered' }
+};
+
+// Events: 'add' (detail.activity) after an activity is stored
+export class ActivityLog extends EventTarget {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        this.keepDays = options.keepDays || 30;
+    }
+
+    async add(type, title, details = '', now = this.clock.now()) {
+        if (!ACTIVITY_TYPES[type]) {
+            throw new Error(`Unknown activity type: ${type}`);
+        }
+        const activity = {
+            type,
+            title: String(title),
+            details: details === null || details === undefined ? '' : String(details),
+            at: new Date(now).toISOString(),
+            day: LocalStore.dayKey(now)
+        };
+        activity.id = await this.store.add('activities', activity);
+        this.dispatchEvent(new CustomEvent('add', { detail: { activity } }));
+        return activity;
+    }
+
+    // Newest first; types optionally limits it to some categories
+    async forDay(day, types = null) {
+        const activities = await this.store.getAll('activities', { index: 'day', query: day });
+        return activities
+            .filter(activity => !types || types.includes(activity.type))
+            .sort((a, b) => b.at.localeCompare(a.at) || b.id - a.id);
+    }
+
+    async recent(limit) {
+        const activities = await this.store.getAll('activities');
+        return activities.sort((a, b) => b.at.localeCompare(a.at) || b.id - a.id).slice(0, limit);
+    }
+
+    // Drops days older than keepDays; returns how many activities went
+    async prune(now = this.clock.now()) {
+        const oldest = LocalStore.dayKey(now - this.keepDays * 24 * 60 * 60 * 1000);
+        const stale = (await this.store.getAll('activities')).filter(activity => activity.day < oldest);
+        for (const activity of stale) {
+            await this.store.delete('activities', activity.id);
+        }
+        return stale.length;
+    }
+
+    static toCsv(activities, driver) {
+        const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const rows = [['driver_id', 'driver_name', 'time', 'type', 'title', 'details']];
+        activities.forEach(activity => {
+            rows.push([driver.id, driver.name, activity.at, activity.type, activity.title, activity.details]);
+        });
+        return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+    }
+
+    static toJson(activities, driver, day) {
+        return JSON.stringify({
+            driverId: driver.id,
+            driverName: driver.name,
+            day,
+            activities: activities.map(({ at, type, title, details }) => ({ at, type, title, details }))
+        }, null, 2);
+    }
+}
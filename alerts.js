@@ -0,0 +1,223 @@
+// Speed and zone alerts - synthesised sounds, spoken messages and escalation while over the limit
+//
+// An overspeed episode escalates through levels; a level is reached once the vehicle is at least
+// `over` km/h above the limit or has been over it for `after` ms:
+//   chime -> voice ("School zone, limit 25") -> alarm, repeated until back under the limit or acknowledged
+// The episode only ends after clearAfter ms back under the limit, so hovering around it doesn't
+// restart the chime every few seconds.
+// Sounds are made with Web Audio, so there are no files to cache. Volume and silence while
+// stationary are driver settings (see settings.js); speech follows the UI language.
+
+import { I18n } from './i18n.js';
+import { systemClock } from './clock.js';
+
+const ALERT_LEVELS = ['none', 'chime', 'voice', 'alarm'];
+
+// [frequency (Hz), duration (s)] notes, played in order
+const ALERT_SOUNDS = {
+    chime: [[880, 0.15], [1320, 0.3]],
+    zone: [[660, 0.12], [880, 0.12], [1100, 0.25]],
+    alarm: [[960, 0.2], [720, 0.2], [960, 0.2], [720, 0.2]]
+};
+
+export class AlertPlayer {
+    constructor(options = {}) {
+        this.prefs = {
+            volume: options.volume === undefined ? 0.8 : options.volume, // 0 to 1
+            silentWhenStationary: options.silentWhenStationary !== false
+        };
+        this.stationary = true;
+        this.context = null;
+    }
+
+    // The driver's settings (settings.js) take over from the configured defaults
+    setPrefs(prefs) {
+        this.prefs = { ...this.prefs, ...prefs };
+        return this.prefs;
+    }
+
+    get silent() {
+        return this.prefs.volume === 0 || (this.prefs.silentWhenStationary && this.stationary);
+    }
+
+    // Browsers only let a page make sound after the user has interacted with it
+    unlock() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!this.context && AudioContext) {
+            this.context = new AudioContext();
+        }
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // force plays even in silent mode (the settings "Test" button); returns whether anything played
+    play(sound, force = false) {
+        if ((this.silent && !force) || !this.context || this.prefs.volume === 0) {
+            return false;
+        }
+        let at = this.context.currentTime;
+        ALERT_SOUNDS[sound].forEach(([frequency, duration]) => {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(this.prefs.volume, at);
+            gain.gain.exponentialRampToValueAtTime(0.001, at + duration);
+            oscillator.connect(gain).connect(this.context.destination);
+            oscillator.start(at);
+            oscillator.stop(at + duration);
+            at += duration;
+        });
+        return true;
+    }
+
+    speak(text, force = false) {
+        if ((this.silent && !force) || !('speechSynthesis' in window) || this.prefs.volume === 0) {
+            return false;
+        }
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = I18n.locale;
+        utterance.volume = this.prefs.volume;
+        window.speechSynthesis.speak(utterance);
+        return true;
+    }
+
+    phrase(key, values = {}) {
+        return I18n.t(`alert.${key}`, values);
+    }
+
+    // "School zone, limit 25", or "Speed limit 60" outside every zone
+    describeLimit(zone, limit) {
+        if (!zone) {
+            return this.phrase('speedLimit', { limit: I18n.speedValue(limit) });
+        }
+        const label = I18n.has(`alert.${zone.category}`) ? this.phrase(zone.category) : I18n.zoneName(zone);
+        return this.phrase('zoneLimit', { zone: label, limit: I18n.speedValue(limit) });
+    }
+
+    announceZone(zone) {
+        if (this.play('zone')) {
+            this.speak(this.describeLimit(zone, zone.speedLimit));
+        }
+    }
+
+    test() {
+        this.unlock();
+        this.play('chime', true);
+        this.speak(this.phrase('test'), true);
+    }
+}
+
+// Events: 'level' (detail: { level, previous, over, limit, zone }) whenever the level changes
+export class SpeedAlerter extends EventTarget {
+    constructor(player, options = {}) {
+        super();
+        this.player = player;
+        this.thresholds = {
+            chime: { over: 1 },
+            voice: { over: 10, after: 10000 },
+            alarm: { over: 20, after: 30000 },
+            ...options.levels
+        };
+        this.repeat = { voice: 20000, alarm: 3000, ...options.repeat }; // ms between repeats at a level
+        this.clearAfter = options.clearAfter || 3000;
+        this.clock = options.clock || systemClock;
+        this.reading = null;
+        this.reset();
+    }
+
+    // Swaps thresholds and repeats, e.g. for another sensitivity; options as for the constructor
+    configure(options) {
+        this.thresholds = { ...this.thresholds, ...options.levels };
+        this.repeat = { ...this.repeat, ...options.repeat };
+    }
+
+    reset() {
+        this.level = 'none';
+        this.overSince = null;
+        this.underSince = null;
+        this.playedAt = 0;
+        this.acknowledged = false;
+    }
+
+    // reading: { speed (km/h, null without a fix), limit (km/h), zone }; returns the level
+    update(reading, now = this.clock.now()) {
+        this.reading = reading;
+        return this.evaluate(now);
+    }
+
+    // Escalation by duration and repeats need a clock between fixes
+    tick(now = this.clock.now()) {
+        return this.reading ? this.evaluate(now) : this.level;
+    }
+
+    evaluate(now) {
+        const { speed, limit } = this.reading;
+        const over = speed === null ? 0 : speed - limit;
+
+        if (over < this.thresholds.chime.over) {
+            if (this.overSince === null) {
+                return this.level;
+            }
+            this.underSince = this.underSince === null ? now : this.underSince;
+            if (speed === null || now - this.underSince >= this.clearAfter) {
+                const previous = this.level;
+                this.reset();
+                this.emit(previous, over);
+            }
+            return this.level;
+        }
+
+        this.overSince = this.overSince === null ? now : this.overSince;
+        this.underSince = null;
+        const elapsed = now - this.overSince;
+        let level = ALERT_LEVELS.slice(1).filter(name => {
+            const threshold = this.thresholds[name];
+            return over >= threshold.over || (threshold.after !== undefined && elapsed >= threshold.after);
+        }).pop();
+        if (this.acknowledged && level === 'alarm') {
+            level = 'voice';
+        }
+
+        // An episode never steps down until it ends
+        if (ALERT_LEVELS.indexOf(level) > ALERT_LEVELS.indexOf(this.level)) {
+            const previous = this.level;
+            this.level = level;
+            this.sound(now, true);
+            this.emit(previous, over);
+        } else if (this.repeat[this.level] && now - this.playedAt >= this.repeat[this.level]) {
+            this.sound(now, false);
+        }
+        return this.level;
+    }
+
+    sound(now, first) {
+        this.playedAt = now;
+        const { limit, zone } = this.reading;
+        if (this.level === 'alarm') {
+            this.player.play('alarm');
+        } else {
+            this.player.play('chime');
+        }
+        // Spoken on reaching voice or alarm, and with each voice repeat; the alarm repeats on its own
+        if (this.level === 'voice' || (this.level === 'alarm' && first)) {
+            this.player.speak(this.player.phrase('slowDown', { rule: this.player.describeLimit(zone, limit) }));
+        }
+    }
+
+    // Driver acknowledged the warning: the alarm stops for the rest of this episode
+    acknowledge() {
+        this.acknowledged = true;
+        if (this.level === 'alarm') {
+            this.level = 'voice';
+            this.emit('alarm', this.reading ? this.reading.speed - this.reading.limit : 0);
+        }
+    }
+
+    emit(previous, over) {
+        const { limit, zone } = this.reading || {};
+        this.dispatchEvent(new CustomEvent('level', {
+            detail: { level: this.level, previous, over, limit, zone }
+        }));
+    }
+}
@@ -0,0 +1,73 @@
+// HTTP client shared by every backend integration
+export class ApiError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status; // 0 means the request never got a response
+    }
+}
+
+export class ApiClient {
+    constructor(config = {}, session = null) {
+        this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
+        this.timeout = config.timeout || 10000;
+        this.session = session;
+    }
+
+    // Expand '/drivers/:id' style paths
+    buildUrl(path, params = {}) {
+        const resolved = path.replace(/:(\w+)/g, (match, key) => encodeURIComponent(params[key]));
+        return this.baseUrl + resolved;
+    }
+
+    // options.raw sends body as-is (e.g. compressed bytes); the caller sets Content-Type in options.headers
+    async request(method, path, options = {}) {
+        const { params, body, raw } = options;
+        const headers = { 'Accept': 'application/json', ...options.headers };
+        if (body !== undefined && !raw) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const token = this.session && this.session.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.buildUrl(path, params), {
+                method,
+                headers,
+                body: body === undefined || raw ? body : JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'timed out' : 'could not reach server';
+            throw new ApiError(`${method} ${path} ${reason}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.status === 401 && this.session) {
+            this.session.expire('unauthorized');
+        }
+        if (!response.ok) {
+            throw new ApiError(`${method} ${path} failed with status ${response.status}`, response.status);
+        }
+
+        if (response.status === 204) {
+            return null;
+        }
+        return response.json();
+    }
+
+    get(path, params) {
+        return this.request('GET', path, { params });
+    }
+
+    post(path, body, params) {
+        return this.request('POST', path, { body, params });
+    }
+}
@@ -0,0 +1,6 @@
+// Time source for the tracking modules; tests pass their own to step time by hand
+export const systemClock = {
+    now() {
+        return Date.now();
+    }
+};
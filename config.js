@@ -0,0 +1,285 @@
+// FleetTrack runtime configuration
+// Deployments override these values by defining window.FLEETTRACK_CONFIG in a script ahead of the app's modules.
+export const FleetTrackConfig = (function(overrides) {
+    const defaults = {
+        api: {
+            baseUrl: '/api',
+            timeout: 10000,
+            endpoints: {
+                login: '/auth/login',
+                logout: '/auth/logout',
+                driver: '/drivers/:id',
+                vehicle: '/vehicles/:id',
+                vehicleModel: '/vehicle-models/:model',
+                fuelLog: '/vehicles/:id/fuel',
+                vehicleStatus: '/vehicles/:id/status',
+                inspections: '/vehicles/:id/inspections',
+                inspectionChecklist: '/vehicle-models/:model/checklist',
+                manifest: '/drivers/:id/manifest?date=:date',
+                deliveryProof: '/stops/:id/proof',
+                emergency: '/emergencies',
+                emergencyStatus: '/emergencies/:id',
+                emergencyLocation: '/emergencies/:id/locations',
+                emergencyClose: '/emergencies/:id/close',
+                telemetry: '/drivers/:id/telemetry',
+                drivingEvents: '/drivers/:id/driving-events',
+                trips: '/drivers/:id/trips',
+                dutyLog: '/drivers/:id/duty-log',
+                leave: '/drivers/:id/leave',
+                messages: '/drivers/:id/messages',
+                messagePoll: '/drivers/:id/messages/poll?since=:since',
+                messageRead: '/messages/:id/read',
+                shiftReports: '/drivers/:id/shift-reports',
+                settingsPolicy: '/drivers/:id/settings-policy'
+            }
+        },
+        dataSource: {
+            // 'rest' talks to the API above, 'fixture' reads local demo files
+            type: 'fixture',
+            fixtures: {
+                drivers: 'data/drivers.csv',
+                vehicles: 'data/vehicles.json',
+                vehicleModels: 'data/vehicle-models.json',
+                manifests: 'data/manifests.json',
+                leave: 'data/leave.json',
+                checklists: 'data/checklists.json',
+                messages: 'data/messages.json',
+                settingsPolicy: 'data/settings-policy.json'
+            }
+        },
+        zones: {
+            source: 'data/zones.geojson',
+            defaultSpeedLimit: 60 // km/h outside every zone
+        },
+        manifest: {
+            arrivalRadius: 100 // metres from a stop before it is marked as arrived
+        },
+        driving: {
+            tripGap: 300000, // ms stopped or without a fix before a trip ends
+            hardBrake: 3.5, // m/s² of deceleration
+            hardAccel: 3.0, // m/s² of acceleration
+            penalties: { // points off a trip's score of 100
+                overspeed: 5, // per episode
+                perKmhOver: 0.5, // per km/h of peak speed above the limit
+                perMinuteOver: 2,
+                unacknowledged: 2, // speed warning not acknowledged
+                'hard-brake': 4,
+                'hard-accel': 2
+            }
+        },
+        hos: {
+            movingSpeed: 8, // km/h at or above which the driver is driving
+            stopAfter: 3, // minutes stationary before driving switches back to on duty
+            maxContinuousDriving: 300, // minutes of driving before a break is required
+            minBreak: 30, // minutes; shorter breaks don't reset continuous driving
+            maxDailyHours: 480, // minutes on duty (including driving) per day
+            warnBefore: [30, 15], // minutes before a limit to warn, escalating
+            repeatEvery: 10 // minutes between reminders once a limit is passed
+        },
+        odometer: {
+            minMove: 10, // metres; smaller moves (or moves within the fix accuracy) are jitter
+            maxSpeed: 160, // km/h implied between fixes before a fix is treated as a jump
+            jumpConfirmations: 3 // consecutive jumps before tracking restarts at the new position
+        },
+        fuel: {
+            lowFuelRatio: 0.15, // estimated share of the tank left before warning
+            lowFuelRange: 50, // km of estimated range left before warning
+            efficiencyTolerance: 0.25, // measured km/l this far outside the rated band is flagged
+            odometerTolerance: 25, // km between the entered and tracked odometer before flagging
+            defaultEfficiency: { min: 8, max: 10 } // km/l when the model is unknown
+        },
+        leave: {
+            types: {
+                earned: { label: 'Earned Leave', perMonth: 1.25 }, // credited per completed month
+                casual: { label: 'Casual Leave', perYear: 7 }, // granted each January, pro rata when joining
+                sick: { label: 'Sick Leave', perYear: 7 }
+            },
+            excludeWeekdays: [0] // weekly offs not counted as leave days (0 = Sunday)
+        },
+        emergency: {
+            maxAttempts: 4, // failed sends before the call/SMS fallback is offered
+            pollInterval: 10000, // ms between acknowledgement checks
+            shareInterval: 15000, // ms between location updates while an incident is open
+            trailLength: 10, // recent fixes sent with a report
+            fallbackPhone: '112',
+            fallbackSms: '112'
+        },
+        sync: {
+            baseDelay: 2000, // ms before retrying the outbox, doubled after each failed flush
+            maxDelay: 60000,
+            flushInterval: 30000, // ms between background flushes while online
+            limits: { // most items of a kind kept while offline; the oldest are dropped
+                telemetry: 200, // batches
+                'emergency-location': 50
+            }
+        },
+        map: {
+            // See layers.js for the entry format. A depot without internet can add e.g.
+            // depot: { label: 'Depot (offline)', type: 'mbtiles', url: 'tiles/depot.mbtiles' }
+            // or point a base layer at a self-hosted tile server.
+            baseLayers: {
+                street: {
+                    label: 'Street',
+                    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                    attribution: '© OpenStreetMap contributors',
+                    maxZoom: 19
+                },
+                satellite: {
+                    label: 'Satellite',
+                    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+                    attribution: 'Imagery © Esri',
+                    maxZoom: 19
+                },
+                dark: {
+                    label: 'Night',
+                    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+                    attribution: '© OpenStreetMap contributors © CARTO',
+                    subdomains: 'abcd',
+                    maxZoom: 19
+                }
+            },
+            overlays: {
+                traffic: {
+                    label: 'Traffic',
+                    url: 'https://api.tomtom.com/traffic/map/4/tile/flow/relative0/{z}/{x}/{y}.png?key={apiKey}',
+                    attribution: 'Traffic © TomTom',
+                    apiKey: '', // required; the overlay stays unavailable without one
+                    opacity: 0.8
+                },
+                zones: { label: 'Speed Zones', builtin: true },
+                route: { label: 'Route', builtin: true }
+            },
+            defaultBase: 'street',
+            defaultOverlays: ['zones', 'route'],
+            sqlJs: 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/', // loaded only for MBTiles layers
+            precache: {
+                zooms: [12, 13, 14, 15, 16], // zoom levels cached along the day's route
+                buffer: 1, // tiles either side of the route
+                maxTiles: 3000
+            },
+            serviceWorker: 'sw.js'
+        },
+        routing: {
+            backend: 'mock', // 'osrm', 'graphhopper', or 'mock' for demos and tests
+            url: 'https://router.project-osrm.org',
+            profile: 'driving', // 'car' for GraphHopper
+            apiKey: '', // GraphHopper only
+            timeout: 10000,
+            offRouteDistance: 50, // metres from the route line before it counts as off route
+            offRouteFixes: 3, // consecutive off-route fixes before rerouting
+            rerouteCooldown: 15000, // ms between route requests
+            mockSpeed: 30 // km/h assumed by the mock backend
+        },
+        telemetry: {
+            baseUrl: '', // separate ingest host, e.g. 'https://ingest.example.com'; empty uses api.baseUrl
+            modes: { // interval: ms between samples; batchAge: ms a sample may wait before its batch is sent
+                moving: { interval: 5000, batchAge: 30000 },
+                parked: { interval: 60000, batchAge: 300000 },
+                hidden: { interval: 120000, batchAge: 300000 }
+            },
+            minDistance: 15, // metres a parked vehicle must move for a new sample to count
+            heartbeat: 300000, // ms after which an unchanged sample is sent anyway
+            batchSize: 50, // samples
+            compress: true // gzip batches where the browser supports CompressionStream
+        },
+        messaging: {
+            socketUrl: '', // e.g. 'wss://dispatch.example.com/ws'; empty means long-polling only
+            pollTimeout: 25000, // ms the server may hold a poll open
+            baseDelay: 2000, // ms before reconnecting or polling again after a failure, doubling
+            maxDelay: 60000,
+            quickReplies: [
+                'Stuck in traffic',
+                'Customer unreachable',
+                'On my way',
+                'Running 15 minutes late',
+                'Please call me'
+            ]
+        },
+        location: {
+            devTools: false, // show the location source panel; also enabled with ?dev=1
+            sampleTrack: 'data/sample-route.gpx'
+        },
+        i18n: {
+            defaultLanguage: 'en', // when neither the driver nor the browser picks one we have
+            catalogs: 'data/i18n/', // <language>.json message catalogues
+            languages: {
+                en: { label: 'English', locale: 'en-IN' },
+                hi: { label: 'हिन्दी', locale: 'hi-IN' },
+                mr: { label: 'मराठी', locale: 'mr-IN' },
+                kn: { label: 'ಕನ್ನಡ', locale: 'kn-IN' }
+            }
+        },
+        shift: {
+            pathSpacing: 50, // metres between route points kept for the report map
+            maxPathPoints: 2000 // the route is thinned beyond this
+        },
+        activities: {
+            recent: 5, // shown on the dashboard; the rest are in the history view
+            keepDays: 30
+        },
+        settings: {
+            // For drivers who haven't chosen; alert volume and silence default from alerts below
+            defaults: {
+                alertSensitivity: 'normal',
+                units: 'metric',
+                theme: 'light', // 'dark', or 'auto' to follow the night hours
+                refreshInterval: 30, // seconds: 15, 30, 60 or 120
+                notificationDuration: 'normal',
+                shortcuts: { emergency: 'Ctrl+E', centerMap: 'Ctrl+M' }
+            },
+            notificationScale: { short: 0.6, normal: 1, long: 2 }, // times each notification's own duration
+            night: { from: 19, until: 6 }, // hours when theme 'auto' is dark
+            nightBase: 'dark', // base map used in the dark theme in place of the default one
+            policy: {} // fleet rules (see settings.js) until dispatch sends its own
+        },
+        alerts: {
+            volume: 0.8, // 0-1, for drivers who haven't chosen their own
+            silentWhenStationary: true,
+            levels: { // reached at `over` km/h above the limit, or after `after` ms over it
+                chime: { over: 1 },
+                voice: { over: 10, after: 10000 },
+                alarm: { over: 20, after: 30000 }
+            },
+            repeat: { voice: 20000, alarm: 3000 }, // ms between repeats while at a level
+            sensitivity: { // levels and repeats by the driver's alert sensitivity; 'normal' is the above
+                low: {
+                    levels: { chime: { over: 5 }, voice: { over: 15, after: 20000 }, alarm: { over: 25, after: 45000 } },
+                    repeat: { voice: 30000 }
+                },
+                high: {
+                    levels: { chime: { over: 1 }, voice: { over: 5, after: 5000 }, alarm: { over: 10, after: 15000 } },
+                    repeat: { voice: 10000 }
+                }
+            },
+            clearAfter: 3000 // ms back under the limit before an episode ends
+        },
+        speed: {
+            maxAccuracy: 50, // metres
+            staleAfter: 15000, // ms without a fix before showing "no signal"
+            smoothing: 0.5,
+            stoppedBelow: 3, // km/h
+            maxPlausible: 160, // km/h
+            warningRatio: 0.9 // share of the limit above which the speed shows as a warning
+        },
+        session: {
+            storageKey: 'fleettrack.session',
+            loginPage: 'index.html',
+            dashboardPage: 'dashboard.html',
+            ttl: 8 * 60 * 60 // seconds, used when the auth source does not send expiresIn
+        }
+    };
+
+    function merge(target, source) {
+        Object.keys(source || {}).forEach(key => {
+            const value = source[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target[key] = merge(target[key] || {}, value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    return merge(defaults, overrides);
+})(globalThis.FLEETTRACK_CONFIG);
@@ -1,429 +1,2241 @@
 // Dashboard JavaScript - Driver Interface
-class DriverDashboard {
-    constructor() {
+//
+// DriverDashboard wires the services to the page and renders their state; the position, speed
+// and zone logic lives in DriverTracker. Clock, location provider and storage can be injected
+// (deps: { clock, location, store, storage }), and nothing starts until start() is called.
+import { I18n } from './i18n.js';
+import { ApiClient } from './api-client.js';
+import { createDataSource, driverProfile } from './data-source.js';
+import { systemClock } from './clock.js';
+import { Geo } from './geo.js';
+import { ZONE_COLORS } from './zones.js';
+import { DriverTracker } from './tracker.js';
+import { AlertPlayer, SpeedAlerter } from './alerts.js';
+import { LocalStore } from './storage.js';
+import { ACTIVITY_TYPES, ActivityLog } from './activity.js';
+import { LiveLocationSource, ReplayLocationSource, TrackRecorder, LocationProvider } from './location.js';
+import { DeliveryManifest } from './manifest.js';
+import { createRouter, RouteNavigator } from './routing.js';
+import { MapLayerRegistry } from './layers.js';
+import { MESSAGE_STATUSES, DEFAULT_THREAD, MessageService, DispatchChannel } from './messaging.js';
+import { FAILURE_REASONS, SignaturePad, ProofOfDeliveryService } from './pod.js';
+import { SyncQueue, RouteTileCache } from './offline.js';
+import { TelemetryBroadcaster } from './telemetry.js';
+import { DRIVING_EVENT_LABELS, DrivingMonitor } from './driving.js';
+import { DUTY_STATUSES, HoursOfService } from './hos.js';
+import { Odometer } from './odometer.js';
+import { FUEL_FLAGS, FuelLog } from './fuel.js';
+import { LEAVE_STATUSES, LeaveService } from './leave.js';
+import { INSPECTION_RESULTS, InspectionService } from './inspection.js';
+import { EmergencyDispatcher } from './emergency.js';
+import { ShiftLog, ShiftReport } from './shift.js';
+import { SETTINGS, Shortcut, DriverSettings } from './settings.js';
+
+// Speed status -> [message key, CSS class] of the speedometer label
+const SPEED_STATUS_VIEW = {
+    'no-signal': ['speed.noSignal', 'no-signal'],
+    normal: ['speed.normal', 'normal'],
+    warning: ['speed.warning', 'warning'],
+    overspeed: ['speed.overspeed', 'danger']
+};
+
+// Setting -> select in the Settings panel
+const SETTING_SELECTS = {
+    alertSensitivity: 'settingAlertSensitivity',
+    units: 'settingUnits',
+    theme: 'settingTheme',
+    refreshInterval: 'settingRefreshInterval',
+    notificationDuration: 'settingNotificationDuration'
+};
+
+export class DriverDashboard {
+    constructor(config, session, deps = {}) {
+        this.config = config;
+        this.session = session;
+        this.clock = deps.clock || systemClock;
+        this.storage = deps.storage || window.localStorage;
+        this.api = new ApiClient(config.api, session);
+        this.dataSource = createDataSource(config, this.api);
+        this.tracker = new DriverTracker({ clock: this.clock, speed: config.speed, defaultLimit: config.zones.defaultSpeedLimit });
+        this.zoneRegistry = this.tracker.zones;
+        this.zoneLayers = [];
+        this.store = deps.store || new LocalStore();
+        this.syncQueue = new SyncQueue(this.api, this.store, config.sync);
+        this.drivingMonitor = new DrivingMonitor(this.store, { ...config.driving, clock: this.clock });
+        this.hos = new HoursOfService(this.store, { ...config.hos, clock: this.clock });
+        this.odometer = new Odometer(this.store, { ...config.odometer, clock: this.clock });
+        this.fuelLog = new FuelLog(this.store, config.fuel);
+        this.fuelFills = [];
+        this.lowFuelWarnedFor = null;
+        this.leaveService = new LeaveService(this.store, this.dataSource, this.syncQueue, config.leave, { clock: this.clock });
+        this.inspectionService = new InspectionService(this.store, this.syncQueue, config.api.endpoints, { clock: this.clock });
+        this.inspection = null; // latest completed inspection of the current vehicle
+        this.inspectionChecklist = null;
+        this.inspectionDraft = null;
+        this.pendingDutyStatus = null; // resumed once the inspection is done
+        this.inspectionOwed = false; // drove off without one; the checklist comes up at the next stop
+        this.messageService = new MessageService(this.store, this.dataSource, this.syncQueue);
+        this.dispatchChannel = new DispatchChannel(config.api, this.session, config.messaging);
+        this.activeThread = DEFAULT_THREAD.id;
+        this.handsFree = this.storage.getItem('fleettrack.handsFree') === 'true';
+        const ingest = config.telemetry.baseUrl ?
+            new ApiClient({ ...config.api, baseUrl: config.telemetry.baseUrl }, this.session) :
+            this.api;
+        this.telemetry = new TelemetryBroadcaster(this.store, this.syncQueue, ingest, {
+            ...config.telemetry,
+            endpoint: config.api.endpoints.telemetry,
+            movingSpeed: config.hos.movingSpeed
+        });
+        this.telemetry.setContext(this.session.getDriverId(), null);
+        this.trackRecorder = new TrackRecorder(this.store);
+        this.locationProvider = deps.location || new LocationProvider(this.trackRecorder);
+        this.lastRecordingId = null;
+        this.manifest = new DeliveryManifest();
+        this.manifestLayers = [];
+        this.navigator = new RouteNavigator(createRouter(config.routing), { ...config.routing, clock: this.clock });
+        this.routeLayer = null;
+        this.routeFailedFor = null; // stop id, so a failing backend is reported once per stop
+        this.previousBase = null; // base map to return to when satellite is switched off
+        this.podService = new ProofOfDeliveryService(this.store, this.dataSource, this.syncQueue);
+        this.signaturePad = null;
+        this.podStopId = null;
+        this.recentFixes = [];
+        this.emergencyDispatcher = new EmergencyDispatcher(this.api, this.store, this.syncQueue, config.api.endpoints, { ...config.emergency, clock: this.clock });
+        this.emergencyDispatcher.getLocation = () => this.recentFixes[this.recentFixes.length - 1] || null;
+        this.incidentStatuses = {};
+        this.driver = null;
+        this.vehicle = null;
+        this.vehicleSpec = null;
+        this.profile = null; // driverProfile() of the signed-in driver and their vehicle
         this.map = null;
-        this.currentLocation = null;
-        this.speedThreshold = 60; // km/h
-        this.currentSpeed = 0;
-        this.isInDangerZone = false;
         this.emergencyReported = false;
-        this.lastSpeedWarning = 0; // Track last warning time
+        this.activityLog = new ActivityLog(this.store, { ...config.activities, clock: this.clock });
+        this.settings = new DriverSettings({
+            ...config.settings,
+            defaults: { alertVolume: config.alerts.volume, silentWhenStationary: config.alerts.silentWhenStationary, ...config.settings.defaults }
+        }, this.storage);
+        this.settings.load(this.session.getDriverId());
+        this.darkTheme = false;
+        this.nightMap = false; // the night base map was put up by the theme, not chosen by the driver
+        this.refreshTimer = null;
+        this.alertPlayer = new AlertPlayer(config.alerts);
+        this.speedAlerts = new SpeedAlerter(this.alertPlayer, { ...config.alerts, clock: this.clock });
+        this.shiftLog = new ShiftLog(this.store, this.syncQueue, config.api.endpoints, { ...config.shift, clock: this.clock });
+        this.shiftReport = null; // compiled for the Close Shift panel
+    }
+
+    // Map, location tracking, data loading and timers
+    start() {
+        this.session.watchExpiry();
+        this.telemetry.resume().catch(error => console.error('Telemetry restore error:', error));
+        this.initMap();
+        this.bindSettingsEvents();
+        this.applySettings();
+        this.bindSyncEvents();
+        this.bindEmergencyEvents();
+        this.bindZoneEvents();
+        this.bindDrivingEvents();
+        this.bindShiftEvents();
+        this.bindDutyEvents();
+        this.bindNavigationEvents();
+        this.bindMessagingEvents();
+        this.bindAlertEvents();
+        this.renderLanguagePicker();
+        this.loadZones();
+        this.startLocationTracking();
+        this.startSpeedMonitoring();
+        this.updateLastUpdated();
+        this.loadActivities();
+        this.loadDriverData();
+        
+        // Bookkeeping every 30 seconds; the display refreshes at the driver's own cadence
+        setInterval(() => {
+            this.tracker.recheckZones();
+            this.drivingMonitor.tick();
+            this.odometer.save();
+            this.shiftLog.save();
+            this.hos.tick().catch(error => console.error('Duty status error:', error));
+            this.telemetry.tick().catch(error => console.error('Telemetry error:', error));
+        }, 30000);
+        
+        // Alerts escalate with time over the limit, between fixes too
+        setInterval(() => {
+            this.speedAlerts.tick();
+        }, 1000);
+
+        // Catch anything a missed 'online' event left behind
+        setInterval(() => {
+            this.syncQueue.flush();
+        }, this.config.sync.flushInterval);
+    }
+
+    // Settings
+    bindSettingsEvents() {
+        this.settings.addEventListener('change', (event) => this.applySettings(event.detail.changed));
+        // Dispatch can change the policy at any time; it applies straight away
+        this.dispatchChannel.addEventListener('policy', (event) => {
+            this.settings.setPolicy(event.detail.policy);
+            this.showNotification(I18n.t('notify.settingsPolicyChanged'), 'info');
+        });
+        this.loadSettingsPolicy();
+    }
+
+    async loadSettingsPolicy() {
+        try {
+            this.settings.setPolicy(await this.dataSource.getSettingsPolicy(this.session.getDriverId()));
+        } catch (error) {
+            // The policy cached from the last start stays in force
+            console.warn('Settings policy unavailable:', error);
+        }
+    }
+
+    // changed: names of the settings to apply; all of them at start
+    applySettings(changed = Object.keys(SETTINGS)) {
+        const values = this.settings.values();
+        this.alertPlayer.setPrefs({ volume: values.alertVolume, silentWhenStationary: values.silentWhenStationary });
+        this.speedAlerts.configure(this.config.alerts.sensitivity[values.alertSensitivity] || this.config.alerts);
+        if (changed.includes('theme')) {
+            this.applyTheme();
+        }
+        if (changed.includes('refreshInterval')) {
+            this.startRefresh();
+        }
+        if (changed.includes('units')) {
+            I18n.units = values.units;
+            document.getElementById('speedUnit').textContent = I18n.speedUnit();
+            this.updateSpeedDisplay();
+            this.applyZone(this.tracker.zone);
+            this.updateDashboardData();
+            this.updateFuelDisplay();
+        }
+        if (document.getElementById('settingsPanel').classList.contains('show')) {
+            this.renderSettings();
+        }
+    }
+
+    // Dark UI and night map for theme 'dark', or for 'auto' during the night hours
+    applyTheme() {
+        const theme = this.settings.get('theme');
+        const hour = new Date(this.clock.now()).getHours();
+        const night = this.config.settings.night;
+        const dark = theme === 'dark' || (theme === 'auto' && (hour >= night.from || hour < night.until));
+        if (dark === this.darkTheme) {
+            return;
+        }
+        this.darkTheme = dark;
+        document.body.classList.toggle('theme-dark', dark);
+
+        // Only the default map is swapped; satellite or another chosen base stays
+        const { defaultBase } = this.config.map;
+        const { nightBase } = this.config.settings;
+        if (dark && this.mapLayers.base === defaultBase && this.mapLayers.setBase(nightBase, false)) {
+            this.nightMap = true;
+            this.precacheRouteTiles().catch(error => console.warn('Tile precache error:', error));
+        } else if (!dark && this.nightMap && this.mapLayers.base === nightBase) {
+            this.mapLayers.setBase(defaultBase, false);
+            this.nightMap = false;
+        }
+    }
+
+    startRefresh() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => {
+            this.updateDashboardData();
+            this.updateLastUpdated();
+            this.updateFuelDisplay();
+            this.applyTheme();
+        }, this.settings.get('refreshInterval') * 1000);
+    }
+
+    // Map Initialization
+    initMap() {
+        // Default to a central location (can be updated with real GPS)
+        const defaultLat = 28.6139;
+        const defaultLng = 77.2090;
+        
+        this.map = L.map('map').setView([defaultLat, defaultLng], 13);
+
+        // Zones and the route are overlays the driver can hide like any tile overlay
+        this.zoneGroup = L.layerGroup();
+        this.routeGroup = L.layerGroup();
+        this.mapLayers = new MapLayerRegistry(this.map, this.config.map);
+        this.mapLayers.addOverlay('zones', this.zoneGroup);
+        this.mapLayers.addOverlay('route', this.routeGroup);
+        this.mapLayers.addEventListener('change', () => this.updateLayerButtons());
+        this.mapLayers.restore();
+        this.mapLayers.addControl();
+        
+        // Add driver marker
+        this.driverMarker = L.marker([defaultLat, defaultLng])
+            .addTo(this.map)
+            .bindPopup(I18n.t('map.currentLocation'));
+        
+        // Delivery stops are drawn once the manifest loads
+        this.bindManifestEvents();
+    }
+
+    // Delivery Manifest
+    async loadManifest() {
+        const today = LocalStore.dayKey(this.clock.now());
+        try {
+            // The day's stops were handed in with the shift report
+            await this.shiftLog.ready;
+            if (this.shiftLog.closedToday()) {
+                this.manifest.setStops([]);
+                return;
+            }
+            const stops = await this.dataSource.getManifest(this.driver.id, today);
+            this.manifest.setStops(await this.applySavedDeliveries(stops));
+        } catch (error) {
+            console.error('Manifest loading error:', error);
+            this.showNotification(I18n.t('notify.manifestError'), 'error');
+        }
+    }
+
+    // Stops closed out on this device win over a server copy that hasn't caught up yet
+    async applySavedDeliveries(stops) {
+        let records = [];
+        try {
+            records = await this.podService.getRecords();
+        } catch (error) {
+            console.error('Delivery records error:', error);
+        }
+        return stops.map(stop => {
+            const record = records.filter(item => item.stopId === String(stop.id))
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+                .pop();
+            return record ? { ...stop, status: record.status } : stop;
+        });
+    }
+
+    bindManifestEvents() {
+        this.manifest.addEventListener('load', () => {
+            this.drawManifest();
+            this.updateDashboardData();
+            this.precacheRouteTiles().catch(error => console.warn('Tile precache error:', error));
+        });
+
+        this.manifest.addEventListener('stopchange', (event) => {
+            const { stop, previousStatus } = event.detail;
+            this.drawManifest();
+            this.updateDashboardData();
+
+            if (stop.status === 'arrived' && previousStatus !== 'arrived') {
+                this.addActivity(this.stopActivityType(stop), I18n.t('activity.arrived', { sequence: stop.sequence }), stop.address);
+            }
+        });
+    }
+
+    drawManifest() {
+        this.manifestLayers.forEach(layer => this.routeGroup.removeLayer(layer));
+        this.manifestLayers = [];
+
+        const stops = this.manifest.stops;
+        if (stops.length === 0) {
+            return;
+        }
+
+        // Stop order only; the road route to the next stop is drawn by drawRoute()
+        const route = L.polyline(stops.map(stop => [stop.lat, stop.lng]), {
+            color: '#667eea',
+            weight: 3,
+            opacity: 0.5,
+            dashArray: '6 8'
+        }).addTo(this.routeGroup);
+        this.manifestLayers.push(route);
+
+        const statusColors = {
+            pending: '#667eea',
+            arrived: '#ff9800',
+            delivered: '#4CAF50',
+            failed: '#f44336'
+        };
+
+        // Numbered delivery points
+        stops.forEach(stop => {
+            const popup = popupContent(I18n.t('map.stopTitle', { sequence: stop.sequence, status: I18n.t(`stopStatus.${stop.status}`) }), [
+                stop.address,
+                stop.window ? I18n.t('map.stopWindow', { from: stop.window.from, to: stop.window.to }) : '',
+                stop.notes
+            ]);
+            const marker = L.marker([stop.lat, stop.lng], {
+                icon: L.divIcon({
+                    className: 'delivery-marker',
+                    html: `<div style="background: ${statusColors[stop.status]}; color: white; border-radius: 50%; width: 25px; height: 25px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: bold;">${stop.sequence}</div>`,
+                    iconSize: [25, 25]
+                })
+            }).addTo(this.routeGroup).bindPopup(popup);
+            this.manifestLayers.push(marker);
+        });
+    }
+
+    // Mark the next stop as arrived once the driver is close enough
+    checkStopArrival(lat, lng) {
+        const stop = this.manifest.nextStop();
+        if (!stop || stop.status !== 'pending') {
+            return;
+        }
+        const metres = Geo.distance(lat, lng, stop.lat, stop.lng) * 1000;
+        if (metres <= this.config.manifest.arrivalRadius) {
+            this.manifest.updateStop(stop.id, { status: 'arrived', arrivedAt: new Date(this.clock.now()).toISOString() });
+        }
+    }
+
+    // Map Layers
+    toggleSatellite() {
+        // Back to the default street map, or to whichever base was used before satellite
+        const target = this.mapLayers.base === 'satellite' ?
+            (this.previousBase || this.config.map.defaultBase) : 'satellite';
+        const previous = this.mapLayers.base;
+        if (!this.mapLayers.setBase(target)) {
+            this.showNotification(I18n.t('notify.satelliteUnavailable'), 'warning');
+            return;
+        }
+        this.previousBase = previous;
+        // Tiles for the new base map haven't been cached along the route yet
+        this.precacheRouteTiles().catch(error => console.warn('Tile precache error:', error));
+    }
+
+    toggleTraffic() {
+        const visible = this.mapLayers.toggleOverlay('traffic');
+        if (visible === null) {
+            this.showNotification(I18n.t('notify.trafficUnavailable'), 'warning');
+        }
+    }
+
+    updateLayerButtons() {
+        document.getElementById('satelliteBtn').classList.toggle('active', this.mapLayers.base === 'satellite');
+        document.getElementById('trafficBtn').classList.toggle('active', this.mapLayers.isVisible('traffic'));
+    }
+
+    // Navigation
+    bindNavigationEvents() {
+        this.navigator.addEventListener('route', (event) => {
+            this.drawRoute(event.detail.route);
+            this.renderRouteSteps();
+            this.updateNextDelivery();
+        });
+
+        this.navigator.addEventListener('progress', () => this.updateNextDelivery());
+
+        this.navigator.addEventListener('reroute', () => {
+            this.showNotification(I18n.t('notify.rerouting'), 'info');
+        });
+
+        this.navigator.addEventListener('error', (event) => {
+            console.warn('Reroute failed:', event.detail.error);
+        });
+    }
+
+    // Routes to the next pending stop; called on every fix and whenever the manifest changes
+    updateNavigation() {
+        const stop = this.manifest.nextStop();
+        const navigator = this.navigator;
+        if (!stop || stop.status !== 'pending') {
+            if (navigator.destination) {
+                navigator.stop();
+            }
+            return;
+        }
+        if (!this.tracker.location) {
+            return;
+        }
+
+        // After a failure the same stop is retried once the cooldown has passed
+        const sameStop = navigator.destination && navigator.destination.id === stop.id;
+        if (sameStop && (navigator.route || navigator.isRouting || this.clock.now() - navigator.routedAt < navigator.rerouteCooldown)) {
+            return;
+        }
+        if (!sameStop && navigator.route) {
+            navigator.stop();
+        }
+        navigator.navigate(this.tracker.location, stop).then(() => {
+            this.routeFailedFor = null;
+        }).catch(error => {
+            console.warn('Routing error:', error);
+            if (this.routeFailedFor !== stop.id) {
+                this.routeFailedFor = stop.id;
+                this.showNotification(I18n.t('notify.routeUnavailable'), 'warning');
+            }
+        });
+    }
+
+    drawRoute(route) {
+        if (this.routeLayer) {
+            this.routeGroup.removeLayer(this.routeLayer);
+            this.routeLayer = null;
+        }
+        if (route) {
+            this.routeLayer = L.polyline(route.geometry, {
+                color: '#1e90ff',
+                weight: 5,
+                opacity: 0.9
+            }).addTo(this.routeGroup);
+        }
+    }
+
+    renderRouteSteps() {
+        const route = this.navigator.route;
+        const list = document.getElementById('routeSteps');
+        document.getElementById('routeSummary').textContent = route ?
+            I18n.t('route.summary', { distance: I18n.distance(route.distance), minutes: I18n.number(Math.round(route.duration / 60)) }) :
+            I18n.t('route.none');
+        list.replaceChildren(...(route ? route.steps : []).map(step => {
+            const item = document.createElement('li');
+            const instruction = document.createElement('span');
+            instruction.textContent = step.instruction;
+            const distance = document.createElement('span');
+            distance.className = 'route-step-distance';
+            distance.textContent = step.distance > 0 ? I18n.distance(step.distance) : '';
+            item.append(instruction, distance);
+            return item;
+        }));
+    }
+
+    showRoutePanel() {
+        this.renderRouteSteps();
+        openPanel('routePanel');
+    }
+
+    async loadZones() {
+        try {
+            await this.zoneRegistry.load(this.config.zones.source);
+        } catch (error) {
+            console.error('Zone loading error:', error);
+            this.showNotification(I18n.t('notify.zonesUnavailable'), 'warning');
+        }
+        this.addDangerZones();
+        this.tracker.setZone(null);
+        this.applyZone(null);
+        this.tracker.recheckZones();
+    }
+
+    addDangerZones() {
+        this.zoneGroup.clearLayers();
+
+        this.zoneLayers = this.zoneRegistry.zones.map(zone => {
+            const color = ZONE_COLORS[zone.category] || ZONE_COLORS.default;
+            const style = { color, fillColor: color, fillOpacity: 0.2 };
+            const layer = zone.shape === 'circle' ?
+                L.circle([zone.center.lat, zone.center.lng], { ...style, radius: zone.radius }) :
+                L.polygon(zone.polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => [lat, lng]))), style);
+
+            const hours = zone.activeHours ?
+                I18n.t('zone.activeHours', { hours: zone.activeHours.map(slot => `${slot.from}-${slot.to}`).join(', ') }) : '';
+            return layer.addTo(this.zoneGroup).bindPopup(popupContent(I18n.zoneName(zone), [
+                I18n.t('zone.speedLimit', { limit: I18n.speed(zone.speedLimit) }),
+                hours
+            ]));
+        });
+    }
+
+    bindZoneEvents() {
+        this.zoneRegistry.addEventListener('zonechange', (event) => {
+            this.applyZone(event.detail.zone);
+        });
+
+        this.zoneRegistry.addEventListener('zoneenter', (event) => {
+            const zone = event.detail.zone;
+            this.addActivity('zone', I18n.t('activity.zoneEntered', { zone: I18n.zoneName(zone) }),
+                I18n.t('zone.speedLimit', { limit: I18n.speed(zone.speedLimit) }));
+            this.alertPlayer.announceZone(zone);
+        });
+
+        this.zoneRegistry.addEventListener('zoneexit', (event) => {
+            this.addActivity('zone', I18n.t('activity.zoneLeft', { zone: I18n.zoneName(event.detail.zone) }), I18n.t('activity.zoneLifted'));
+        });
+    }
+
+    // The tracker has already taken the zone's limit by the time this renders it
+    applyZone(zone) {
+        if (zone) {
+            this.updateZoneAlert(I18n.zoneName(zone), I18n.speed(zone.speedLimit), `${zone.category}-zone`);
+        } else {
+            this.updateZoneAlert(I18n.t('zone.normal'), I18n.speed(this.tracker.limit), '');
+        }
+    }
+
+    // Driving events and telemetry record zones by name
+    zoneLabel(name) {
+        const zone = this.zoneRegistry.zones.find(item => item.name === name);
+        return zone ? I18n.zoneName(zone) : name;
+    }
+
+    // Proof of Delivery
+    showProofOfDelivery(stopId) {
+        const stop = stopId ? this.manifest.getStop(stopId) : this.manifest.nextStop();
+        if (!stop) {
+            this.showNotification(I18n.t('notify.noOpenStop'), 'info');
+            return;
+        }
+
+        this.podStopId = stop.id;
+        document.getElementById('podStopInfo').textContent = I18n.t('pod.stopInfo', { sequence: stop.sequence, address: stop.address });
+        document.getElementById('podRecipient').value = '';
+        document.getElementById('podFailureReason').value = '';
+        document.getElementById('podPhoto').value = '';
+        document.getElementById('podNotes').value = '';
+        document.querySelector('input[name="podOutcome"][value="delivered"]').checked = true;
+        this.setPodOutcome('delivered');
+
+        if (!this.signaturePad) {
+            this.signaturePad = new SignaturePad(document.getElementById('podSignature'));
+        }
+        this.signaturePad.clear();
+
+        openPanel('podPanel');
+    }
+
+    setPodOutcome(outcome) {
+        document.getElementById('podDeliveredFields').hidden = outcome !== 'delivered';
+        document.getElementById('podFailedFields').hidden = outcome !== 'failed';
+    }
+
+    async submitProofOfDelivery() {
+        const stop = this.manifest.getStop(this.podStopId);
+        if (!stop) {
+            return;
+        }
+
+        const outcome = document.querySelector('input[name="podOutcome"]:checked').value;
+        const recipientName = document.getElementById('podRecipient').value.trim();
+        const failureReason = document.getElementById('podFailureReason').value;
+
+        if (outcome === 'delivered' && (!recipientName || this.signaturePad.isEmpty())) {
+            this.showNotification(I18n.t('notify.podSignatureRequired'), 'warning');
+            return;
+        }
+        if (outcome === 'failed' && !failureReason) {
+            this.showNotification(I18n.t('notify.podReasonRequired'), 'warning');
+            return;
+        }
+
+        const button = document.getElementById('podSubmitBtn');
+        button.disabled = true;
+        try {
+            const photoFile = document.getElementById('podPhoto').files[0];
+            const record = await this.podService.save({
+                stopId: stop.id,
+                driverId: this.driver.id,
+                vehicleId: this.vehicle.id,
+                status: outcome,
+                recipientName: outcome === 'delivered' ? recipientName : null,
+                signature: outcome === 'delivered' ? this.signaturePad.toDataURL() : null,
+                failureReason: outcome === 'failed' ? failureReason : null,
+                photo: photoFile ? await ProofOfDeliveryService.readPhoto(photoFile) : null,
+                notes: document.getElementById('podNotes').value.trim(),
+                location: this.tracker.location,
+                timestamp: new Date(this.clock.now()).toISOString()
+            });
+
+            closePanel('podPanel');
+            this.manifest.updateStop(stop.id, { status: outcome, completedAt: record.timestamp });
+
+            const type = this.stopActivityType(stop);
+            if (outcome === 'delivered') {
+                this.addActivity(type, I18n.t(`activity.${type}Completed`),
+                    I18n.t('activity.receivedBy', { address: stop.address, recipient: recipientName }));
+                this.showNotification(I18n.t('notify.stopDelivered', { sequence: stop.sequence }), 'success');
+            } else {
+                this.addActivity(type, I18n.t(`activity.${type}Failed`),
+                    `${stop.address} - ${I18n.label(`failureReason.${failureReason}`, FAILURE_REASONS[failureReason])}`);
+                this.showNotification(I18n.t('notify.stopFailed', { sequence: stop.sequence }), 'warning');
+            }
+
+        } catch (error) {
+            console.error('Proof of delivery error:', error);
+            this.showNotification(I18n.t('notify.podSaveError'), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Offline Sync
+    bindSyncEvents() {
+        this.syncQueue.addEventListener('change', () => this.updateConnectionStatus());
+        this.syncQueue.addEventListener('sent', (event) => {
+            if (event.detail.item.kind === 'leave' && this.driver) {
+                this.renderLeave();
+            }
+        });
+        this.syncQueue.addEventListener('failed', (event) => {
+            // Telemetry the driver never sees is only logged
+            if (event.detail.permanent && ['delivery', 'emergency', 'leave', 'shift-report'].includes(event.detail.item.kind)) {
+                this.showNotification(I18n.t(`notify.syncRejected.${event.detail.item.kind}`), 'error');
+            }
+        });
+        window.addEventListener('online', () => this.updateConnectionStatus());
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        this.updateConnectionStatus();
+        this.syncQueue.refreshCount().catch(error => console.error('Sync queue error:', error));
+    }
+
+    updateConnectionStatus() {
+        const status = document.getElementById('connectionStatus');
+        status.className = `connection-status ${navigator.onLine ? 'online' : 'offline'}`;
+        status.querySelector('span').textContent = I18n.t(navigator.onLine ? 'status.online' : 'status.offline');
+
+        const pending = this.syncQueue.pending;
+        const waiting = document.getElementById('syncPending');
+        waiting.hidden = pending === 0;
+        waiting.textContent = I18n.t('status.syncPending', { count: I18n.number(pending) });
+    }
+
+    // Buffered and batched rather than posted so the server gets an unbroken track after a dead spot
+    broadcastPosition(position, previous) {
+        const coords = position.coords;
+        let heading = Number.isFinite(coords.heading) ? coords.heading : null;
+        // Most phones only report heading while navigating; derive it from the last fix otherwise
+        if (heading === null && previous && this.tracker.speed) {
+            heading = Geo.bearing(previous.lat, previous.lng, coords.latitude, coords.longitude);
+        }
+        this.telemetry.record({
+            timestamp: position.timestamp,
+            lat: coords.latitude,
+            lng: coords.longitude,
+            speed: this.tracker.speed,
+            heading: heading === null ? null : Math.round(heading),
+            accuracy: coords.accuracy,
+            zone: this.tracker.zone ? this.tracker.zone.name : null,
+            dutyStatus: this.hos.status
+        }).catch(error => console.error('Telemetry error:', error));
+    }
+
+    // Ask the service worker to fetch tiles along today's stops while there is still signal
+    async precacheRouteTiles() {
+        const stops = this.manifest.stops.filter(stop => stop.lat != null && stop.lng != null);
+        // MBTiles base maps are already offline
+        const template = this.mapLayers.baseUrl;
+        if (!('serviceWorker' in navigator) || stops.length === 0 || !template) {
+            return;
+        }
+
+        const points = this.tracker.location ? [this.tracker.location, ...stops] : stops;
+        const precache = this.config.map.precache;
+        const tiles = RouteTileCache.corridorTiles(points, precache.zooms, precache.buffer)
+            .slice(0, precache.maxTiles);
+        const registration = await navigator.serviceWorker.ready;
+        registration.active.postMessage({
+            type: 'cache-tiles',
+            urls: RouteTileCache.tileUrls(template, tiles)
+        });
+    }
+
+    // Location Tracking
+    startLocationTracking() {
+        this.locationProvider.addEventListener('position', (event) => {
+            this.handlePosition(event.detail.position);
+        });
+
+        this.locationProvider.addEventListener('error', (event) => {
+            console.error('Location tracking error:', event.detail.error);
+            this.showNotification(I18n.t('notify.locationUnavailable'), 'warning');
+            this.tracker.signalLost();
+            this.updateSpeedDisplay();
+        });
+
+        this.locationProvider.addEventListener('sourcechange', () => {
+            this.tracker.signalLost();
+            this.drivingMonitor.signalLost();
+            this.odometer.reset();
+            this.updateSpeedDisplay();
+        });
+
+        // An injected provider may already have its source running
+        if (!this.locationProvider.source) {
+            if (LiveLocationSource.isSupported()) {
+                this.locationProvider.use(new LiveLocationSource());
+            } else {
+                this.showNotification(I18n.t('notify.geolocationUnsupported'), 'error');
+            }
+        }
+
+        const devMode = new URLSearchParams(window.location.search).get('dev') === '1';
+        if (this.config.location.devTools || devMode) {
+            document.getElementById('locationSourceBtn').hidden = false;
+        }
+    }
+
+    handlePosition(position) {
+        const reading = this.tracker.update(position);
+        if (!reading.accepted) {
+            return;
+        }
+
+        this.updateLocation(position.coords.latitude, position.coords.longitude);
+        this.updateSpeedDisplay();
+
+        const metres = this.odometer.record({
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp
+        });
+        if (metres > 0) {
+            this.drivingMonitor.addDistance(metres);
+            this.shiftLog.addDistance(metres);
+            this.updateDistanceDisplay();
+        }
+        this.shiftLog.recordFix(position.coords.latitude, position.coords.longitude);
+
+        if (this.tracker.speed !== null) {
+            this.drivingMonitor.update({
+                speed: this.tracker.speed,
+                limit: this.tracker.limit,
+                zone: this.tracker.zone ? this.tracker.zone.name : null,
+                location: this.tracker.location,
+                timestamp: position.timestamp
+            });
+            this.hos.updateMovement(this.tracker.speed).catch(error => console.error('Duty status error:', error));
+        }
+
+        this.broadcastPosition(position, this.recentFixes[this.recentFixes.length - 1]);
+
+        // Short trail sent with emergency reports
+        this.recentFixes.push({
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            speed: this.tracker.speed,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp
+        });
+        if (this.recentFixes.length > this.config.emergency.trailLength) {
+            this.recentFixes.shift();
+        }
+    }
+
+    // The tracker has moved to the fix and fired any zone events (see bindZoneEvents())
+    updateLocation(lat, lng) {
+        if (this.driverMarker) {
+            this.driverMarker.setLatLng([lat, lng]);
+        }
+        
+        this.checkStopArrival(lat, lng);
+        this.updateNavigation();
+        this.navigator.update(this.tracker.location);
+    }
+
+    // Location Source Panel (dev/demo)
+    showLocationSourcePanel() {
+        const source = this.locationProvider.source;
+        document.getElementById('locationSourceSelect').value = source ? source.name : 'live';
+        this.updateLocationSourceStatus();
+        openPanel('locationSourcePanel');
+    }
+
+    updateLocationSourceStatus() {
+        const source = this.locationProvider.source;
+        const recording = this.trackRecorder.isRecording;
+        const status = source && source.name === 'replay' ?
+            I18n.t('location.replaying', { count: I18n.number(source.track.length), rate: source.rate }) :
+            I18n.t('location.live');
+        document.getElementById('locationSourceStatus').textContent = recording ? I18n.t('location.recording', { status }) : status;
+        const icon = document.createElement('i');
+        icon.className = recording ? 'fas fa-stop' : 'fas fa-circle';
+        document.getElementById('recordTrackBtn').replaceChildren(icon, ' ' + I18n.t(recording ? 'location.stopRecording' : 'location.record'));
+        document.getElementById('exportTrackBtn').disabled = !this.lastRecordingId && !recording;
+    }
+
+    async applyLocationSource() {
+        const choice = document.getElementById('locationSourceSelect').value;
+        if (choice === 'live') {
+            this.locationProvider.use(new LiveLocationSource());
+            this.showNotification(I18n.t('notify.liveGps'), 'info');
+            this.updateLocationSourceStatus();
+            return;
+        }
+
+        let track;
+        try {
+            track = await this.loadReplayTrack(document.getElementById('replayFile').files[0]);
+        } catch (error) {
+            console.error('Replay track error:', error);
+            this.showNotification(I18n.t('notify.replayReadError'), 'error');
+            return;
+        }
+        if (track.length === 0) {
+            this.showNotification(I18n.t('notify.replayEmpty'), 'warning');
+            return;
+        }
+
+        const replay = new ReplayLocationSource(track);
+        replay.setRate(Number(document.getElementById('replayRate').value));
+        replay.onEnd = () => {
+            this.showNotification(I18n.t('notify.replayFinished'), 'info');
+            this.updateLocationSourceStatus();
+        };
+        this.locationProvider.use(replay);
+        this.showNotification(I18n.t('notify.replaying', { count: I18n.number(track.length) }), 'info');
+        this.updateLocationSourceStatus();
+    }
+
+    // Uses the chosen file, or the bundled sample route when none is picked
+    async loadReplayTrack(file) {
+        const name = file ? file.name : this.config.location.sampleTrack;
+        const text = file ? await file.text() : await fetch(name).then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load ${name}`);
+            }
+            return response.text();
+        });
+        return /\.gpx$/i.test(name) ?
+            ReplayLocationSource.parseGpx(text) :
+            ReplayLocationSource.parseGeoJSON(JSON.parse(text));
+    }
+
+    setReplayRate(rate) {
+        const source = this.locationProvider.source;
+        if (source && source.name === 'replay') {
+            source.setRate(Number(rate));
+            this.updateLocationSourceStatus();
+        }
+    }
+
+    toggleTrackRecording() {
+        if (this.trackRecorder.isRecording) {
+            this.lastRecordingId = this.trackRecorder.stop();
+            this.showNotification(I18n.t('notify.recordingStopped'), 'info');
+        } else {
+            this.trackRecorder.start();
+            this.showNotification(I18n.t('notify.recording'), 'info');
+        }
+        this.updateLocationSourceStatus();
+    }
+
+    async exportTrackRecording() {
+        const sessionId = this.trackRecorder.sessionId || this.lastRecordingId;
+        if (!sessionId) {
+            return;
+        }
+        try {
+            const gpx = await this.trackRecorder.exportGpx(sessionId);
+            downloadFile(`fleettrack-${sessionId.replace(/[:.]/g, '-')}.gpx`, gpx, 'application/gpx+xml');
+        } catch (error) {
+            console.error('Track export error:', error);
+            this.showNotification(I18n.t('notify.trackExportError'), 'error');
+        }
+    }
+
+    // Driving Behaviour
+    bindDrivingEvents() {
+        const monitor = this.drivingMonitor;
+
+        monitor.addEventListener('event', (event) => {
+            const { trip, event: drivingEvent } = event.detail;
+            if (drivingEvent.type === 'overspeed') {
+                const values = { peak: I18n.speed(drivingEvent.peakSpeed), limit: I18n.speed(drivingEvent.limit) };
+                this.addActivity('speed', I18n.t('activity.overspeed'), drivingEvent.zone ?
+                    I18n.t('activity.overspeedInZone', { ...values, zone: this.zoneLabel(drivingEvent.zone) }) :
+                    I18n.t('activity.overspeedDetails', values));
+            } else {
+                this.addActivity('speed', I18n.label(`drivingEvent.${drivingEvent.type}`, DRIVING_EVENT_LABELS[drivingEvent.type]),
+                    I18n.t('activity.speedChange', { from: I18n.speedValue(drivingEvent.from), to: I18n.speed(drivingEvent.to) }));
+            }
+            this.queueDrivingUpdate('driving-event', this.config.api.endpoints.drivingEvents, { ...drivingEvent, tripId: trip.id });
+        });
+
+        monitor.addEventListener('change', () => this.updateDrivingScore());
+
+        monitor.addEventListener('tripend', (event) => {
+            const trip = event.detail.trip;
+            this.addActivity('trip', I18n.t('activity.tripEnded'), I18n.t('activity.tripScore', { score: I18n.number(trip.score) }));
+            this.updateDrivingScore();
+            const { events, ...summary } = trip;
+            this.queueDrivingUpdate('trip', this.config.api.endpoints.trips, { ...summary, eventCount: events.length });
+        });
+
+        monitor.resume()
+            .then(() => this.updateDrivingScore())
+            .catch(error => console.error('Trip restore error:', error));
+    }
+
+    queueDrivingUpdate(kind, path, body) {
+        this.syncQueue.enqueue({ kind, path, params: { id: this.session.getDriverId() }, body })
+            .catch(error => console.error('Driving event queue error:', error));
+    }
+
+    async updateDrivingScore() {
+        try {
+            const score = DrivingMonitor.combinedScore(await this.drivingMonitor.getTrips(this.shiftLog.countersSince()));
+            document.getElementById('rating').textContent = score === null ? '--' : score;
+        } catch (error) {
+            console.error('Driving score error:', error);
+        }
+    }
+
+    async showDrivingPanel() {
+        let trips = [];
+        try {
+            trips = await this.drivingMonitor.getTrips(this.shiftLog.countersSince());
+        } catch (error) {
+            console.error('Trip history error:', error);
+            this.showNotification(I18n.t('notify.drivingHistoryError'), 'error');
+            return;
+        }
+
+        const events = trips.reduce((all, trip) => all.concat(trip.events), []);
+        const count = type => events.filter(event => event.type === type).length;
+        const score = DrivingMonitor.combinedScore(trips);
+        document.getElementById('drivingScore').textContent = score === null ? '--' : score;
+        document.getElementById('drivingTrips').textContent = trips.length;
+        document.getElementById('drivingOverspeeds').textContent = count('overspeed');
+        document.getElementById('drivingHardBrakes').textContent = count('hard-brake');
+        document.getElementById('drivingHardAccels').textContent = count('hard-accel');
+
+        const list = document.getElementById('drivingTripList');
+        list.replaceChildren(...trips.slice().reverse().map(trip => this.renderTrip(trip)));
+        document.getElementById('drivingEmpty').hidden = trips.length > 0;
+
+        openPanel('drivingPanel');
+    }
+
+    renderTrip(trip) {
+        const time = value => I18n.time(value);
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            node.className = className;
+            node.textContent = text;
+            return node;
+        };
+
+        const minutes = Math.round(((trip.endedAt || trip.lastAt) - trip.startedAt) / 60000);
+        const item = element('div', 'trip-item', '');
+        const header = element('div', 'trip-header', '');
+        header.append(
+            element('span', 'trip-time', I18n.t('driving.tripTime', {
+                from: time(trip.startedAt),
+                to: trip.endedAt ? time(trip.endedAt) : I18n.t('driving.now'),
+                minutes: I18n.number(minutes)
+            })),
+            element('span', `trip-score ${trip.score >= 80 ? 'good' : (trip.score >= 60 ? 'fair' : 'poor')}`, I18n.number(trip.score))
+        );
+        item.append(header, element('div', 'trip-meta', I18n.t('driving.tripMeta', {
+            distance: I18n.unit((trip.distance || 0) / 1000, 'kilometer', 1),
+            speed: I18n.speed(trip.maxSpeed)
+        })));
+
+        const events = element('ul', 'trip-events', '');
+        trip.events.forEach(event => {
+            const text = event.type === 'overspeed' ?
+                I18n.t(event.zone ? 'driving.overspeedInZone' : 'driving.overspeed', {
+                    time: time(event.start),
+                    peak: I18n.speed(event.peakSpeed),
+                    limit: I18n.speed(event.limit),
+                    zone: event.zone ? this.zoneLabel(event.zone) : '',
+                    seconds: I18n.number(Math.round(((event.end || trip.lastAt) - event.start) / 1000)),
+                    acknowledged: I18n.t(event.acknowledged ? 'driving.acknowledged' : 'driving.notAcknowledged')
+                }) :
+                I18n.t('driving.harshEvent', {
+                    time: time(event.at),
+                    label: I18n.label(`drivingEvent.${event.type}`, DRIVING_EVENT_LABELS[event.type]),
+                    from: I18n.number(event.from),
+                    to: I18n.speed(event.to),
+                    rate: I18n.number(Math.abs(event.rate))
+                });
+            events.append(element('li', event.type, text));
+        });
+        if (trip.events.length === 0) {
+            events.append(element('li', 'clean', I18n.t('driving.cleanTrip')));
+        }
+        item.append(events);
+        return item;
+    }
+
+    // Hours of Service
+    bindDutyEvents() {
+        this.hos.addEventListener('statuschange', (event) => {
+            const { entry, previous } = event.detail;
+            this.renderDutyStatus();
+            this.updateDashboardData();
+
+            const label = this.dutyLabel(entry.status);
+            this.addActivity('duty', I18n.t('activity.dutyStatus', { status: label }),
+                entry.source === 'auto' ? I18n.t('activity.dutyAuto') : (entry.note || I18n.t('activity.dutyManual')));
+            if (entry.source === 'auto') {
+                this.showNotification(I18n.t('notify.dutyChanged', { status: label }), 'info');
+            }
+            if (previous && previous.status === 'break' && previous.end - previous.start < this.hos.minBreak) {
+                this.showNotification(I18n.t('notify.breakTooShort', { minutes: I18n.number(this.config.hos.minBreak) }), 'warning', 8000);
+            }
+
+            // Driving off from off duty skips the pre-trip gate; it can't be stopped, so it is
+            // logged and the checklist comes up at the next stop
+            if (entry.status === 'driving' && (!previous || previous.status === 'off-duty') &&
+                !InspectionService.clearsVehicle(this.inspection, this.clock.now())) {
+                this.hos.logViolation('no-inspection', entry.start, 'Drove without a pre-trip inspection');
+                this.inspectionOwed = true;
+                this.showNotification(I18n.t('notify.drivingWithoutInspection'), 'error', 15000);
+                this.addActivity('inspection', I18n.t('activity.noInspection'), I18n.t('activity.noInspectionDetail'));
+            } else if (entry.status !== 'driving' && this.inspectionOwed) {
+                this.inspectionOwed = false;
+                if (!InspectionService.clearsVehicle(this.inspection, this.clock.now())) {
+                    this.showInspectionPanel().catch(error => console.error('Inspection error:', error));
+                }
+            }
+
+            this.syncQueue.enqueue({
+                kind: 'duty-status',
+                path: this.config.api.endpoints.dutyLog,
+                params: { id: this.session.getDriverId() },
+                body: entry
+            }).catch(error => console.error('Duty log queue error:', error));
+        });
+
+        this.hos.addEventListener('warning', (event) => {
+            const { rule, level, remaining } = event.detail;
+            const minutes = Math.max(Math.ceil(remaining / 60000), 0);
+            const messages = {
+                'continuous-driving': level === 'violation' ?
+                    I18n.t('hos.drivingLimitReached') :
+                    I18n.plural('hos.breakDue', minutes),
+                'daily-hours': level === 'violation' ?
+                    I18n.t('hos.dailyHoursExceeded') :
+                    I18n.plural('hos.dailyHoursEnding', minutes)
+            };
+            const types = { info: 'info', warning: 'warning', violation: 'error' };
+            this.showNotification(messages[rule], types[level], level === 'violation' ? 15000 : 8000);
+            if (level === 'violation') {
+                this.addActivity('duty', I18n.t('activity.hoursExceeded'), messages[rule]);
+            }
+        });
+
+        this.hos.resume()
+            .then(() => {
+                this.renderDutyStatus();
+                return this.hos.tick();
+            })
+            .catch(error => console.error('Duty log restore error:', error));
+    }
+
+    renderDutyStatus() {
+        const badge = document.getElementById('driverStatus');
+        badge.textContent = this.dutyLabel(this.hos.status);
+        badge.className = `duty-status ${this.hos.status}`;
+    }
+
+    dutyLabel(status) {
+        return I18n.label(`duty.${status}`, DUTY_STATUSES[status]);
+    }
+
+    showDutyPanel() {
+        const now = this.clock.now();
+        const hours = ms => I18n.t('duty.hoursMinutes', {
+            hours: I18n.number(Math.floor(ms / 3600000)),
+            minutes: I18n.number(Math.floor(ms / 60000) % 60, { minimumIntegerDigits: 2 })
+        });
+        const totals = this.hos.totals(now, now);
+        const stretch = this.hos.continuousDriving(now);
+        const current = this.hos.current;
+
+        document.getElementById('dutyCurrentStatus').textContent = current ?
+            I18n.t('duty.since', { status: this.dutyLabel(this.hos.status), time: I18n.time(current.start) }) :
+            this.dutyLabel(this.hos.status);
+        document.getElementById('dutyDriving').textContent = hours(totals.driving);
+        document.getElementById('dutyWorked').textContent = I18n.t('duty.workedOf', { worked: hours(totals.worked), max: hours(this.hos.maxDailyHours) });
+        document.getElementById('dutyBreak').textContent = hours(totals.break);
+        document.getElementById('dutyContinuous').textContent = I18n.t('duty.continuous', {
+            driving: hours(stretch.driving),
+            due: hours(Math.max(this.hos.maxContinuousDriving - stretch.driving, 0))
+        });
+
+        document.querySelectorAll('[data-duty-status]').forEach(button => {
+            button.disabled = !this.hos.canChange(button.dataset.dutyStatus);
+        });
+        document.getElementById('dutyExportDate').value = LocalStore.dayKey(now);
+
+        openPanel('dutyPanel');
+    }
+
+    async changeDutyStatus(status) {
+        // Starting duty needs a passed pre-trip inspection today; coming back from a break does not
+        if (status === 'on-duty' && this.hos.status === 'off-duty' && !InspectionService.clearsVehicle(this.inspection, this.clock.now())) {
+            this.showNotification(I18n.t('notify.inspectionBeforeDuty'), 'warning');
+            this.pendingDutyStatus = status;
+            closePanel('dutyPanel');
+            this.showInspectionPanel().catch(error => console.error('Inspection error:', error));
+            return;
+        }
+        let changed;
+        try {
+            changed = await this.hos.change(status);
+        } catch (error) {
+            console.error('Duty status error:', error);
+            this.showNotification(I18n.t('notify.dutyChangeError'), 'error');
+            return;
+        }
+        if (!changed) {
+            this.showNotification(I18n.t('notify.dutyChangeNotAllowed', { to: this.dutyLabel(status), from: this.dutyLabel(this.hos.status) }), 'warning');
+            return;
+        }
+        this.showDutyPanel();
+    }
+
+    async exportDutyLog() {
+        const date = document.getElementById('dutyExportDate').value;
+        if (!date) {
+            return;
+        }
+        try {
+            const entries = await this.hos.getLog(date);
+            if (entries.length === 0) {
+                this.showNotification(I18n.t('notify.noDutyLog', { date: I18n.date(`${date}T00:00`) }), 'info');
+                return;
+            }
+            const driver = this.driver || { id: this.session.getDriverId(), name: '' };
+            downloadFile(`duty-log-${driver.id}-${date}.csv`, HoursOfService.toCsv(entries, driver), 'text/csv');
+        } catch (error) {
+            console.error('Duty log export error:', error);
+            this.showNotification(I18n.t('notify.dutyExportError'), 'error');
+        }
+    }
+
+    // End of Shift
+    bindShiftEvents() {
+        // Going on duty, or driving off while off duty, starts a shift
+        this.hos.addEventListener('statuschange', (event) => {
+            const entry = event.detail.entry;
+            if (entry.status !== 'off-duty') {
+                this.shiftLog.open(this.vehicle ? this.vehicle.id : null, entry.start)
+                    .catch(error => console.error('Shift error:', error));
+            }
+        });
+
+        this.zoneRegistry.addEventListener('zoneenter', (event) => this.shiftLog.enterZone(event.detail.zone));
+
+        this.shiftLog.resume(this.session.getDriverId())
+            .then(() => this.updateDashboardData())
+            .catch(error => console.error('Shift restore error:', error));
+    }
+
+    // Everything from the start of the shift (or the last close, if none was opened since) to now
+    async compileShiftReport() {
+        await this.shiftLog.ready;
+        const now = this.clock.now();
+        const shift = this.shiftLog.current;
+        const from = shift ? shift.startedAt : this.shiftLog.countersSince(now);
+        return ShiftReport.compile({
+            shift,
+            driver: this.driver || { id: this.session.getDriverId(), name: '' },
+            vehicle: this.vehicle,
+            from,
+            to: now,
+            stops: this.manifest.stops,
+            deliveries: await this.podService.getRecords(),
+            hours: this.hos.totalsBetween(from, now, now),
+            trips: await this.drivingMonitor.getTrips(from),
+            fills: this.fuelFills,
+            incidents: await this.emergencyDispatcher.history(),
+            odometer: this.odometer.reading
+        });
+    }
+
+    async showShiftPanel() {
+        try {
+            this.shiftReport = await this.compileShiftReport();
+        } catch (error) {
+            console.error('Shift report error:', error);
+            this.showNotification(I18n.t('notify.shiftReportError'), 'error');
+            return;
+        }
+
+        const pending = this.shiftReport.deliveries.pending;
+        const warning = document.getElementById('shiftWarning');
+        warning.textContent = pending > 0 ? I18n.plural('shift.pendingStops', pending) : '';
+        warning.hidden = pending === 0;
+        document.getElementById('shiftStatus').textContent = I18n.t('shift.help');
+        document.getElementById('shiftSubmitBtn').hidden = false;
+        this.renderShiftReport();
+        openPanel('shiftPanel');
+    }
+
+    renderShiftReport() {
+        document.getElementById('shiftReportPreview').srcdoc = ShiftReport.toHtml(this.shiftReport, this.clock.now());
+    }
+
+    // The browser's print dialog also saves it as a PDF
+    printShiftReport() {
+        const view = window.open('', '_blank');
+        if (!view) {
+            this.showNotification(I18n.t('notify.popupBlocked'), 'warning');
+            return;
+        }
+        view.document.write(ShiftReport.toHtml(this.shiftReport, this.clock.now()));
+        view.document.close();
+        view.focus();
+        view.print();
+    }
+
+    downloadShiftReport() {
+        const report = this.shiftReport;
+        downloadFile(`shift-report-${report.driverId}-${LocalStore.dayKey(new Date(report.closedAt).getTime())}.html`,
+            ShiftReport.toHtml(report, this.clock.now()), 'text/html');
+    }
+
+    // Submits the report, goes off duty and starts the dashboard counters again from zero
+    async closeShift() {
+        if (this.isMoving()) {
+            this.showNotification(I18n.t('notify.shiftWhileMoving'), 'warning');
+            return;
+        }
+
+        const button = document.getElementById('shiftSubmitBtn');
+        button.disabled = true;
+        try {
+            // A trip in progress ends with the shift so its score is final in the report
+            if (this.drivingMonitor.trip) {
+                await this.drivingMonitor.endTrip(this.clock.now());
+            }
+            const report = await this.compileShiftReport();
+            await this.shiftLog.close(report);
+            this.shiftReport = report;
+
+            await this.hos.change('off-duty', I18n.t('activity.shiftClosed'), this.clock.now());
+            await this.odometer.rollover();
+            this.manifest.setStops([]);
+
+            this.addActivity('shift', I18n.t('activity.shiftClosed'), I18n.t('activity.shiftClosedDetails', {
+                delivered: I18n.number(report.deliveries.delivered),
+                total: I18n.number(report.deliveries.total),
+                distance: I18n.unit(report.distance / 1000, 'kilometer', 1)
+            }));
+            this.showNotification(I18n.t(navigator.onLine ? 'notify.shiftClosed' : 'notify.shiftClosedOffline'), 'success');
+
+            // Stays open so the submitted report can still be printed
+            document.getElementById('shiftStatus').textContent = I18n.t('shift.submitted');
+            document.getElementById('shiftWarning').hidden = true;
+            button.hidden = true;
+            this.renderShiftReport();
+            this.updateDashboardData();
+        } catch (error) {
+            console.error('Close shift error:', error);
+            this.showNotification(I18n.t('notify.shiftCloseError'), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Speed Monitoring
+    startSpeedMonitoring() {
+        // Speed itself arrives with each fix; this only notices when fixes stop coming
+        this.updateSpeedDisplay();
+        setInterval(() => {
+            if (this.tracker.checkSignal()) {
+                this.drivingMonitor.signalLost();
+                this.updateSpeedDisplay();
+            }
+        }, 3000);
+    }
+
+    updateSpeedDisplay() {
+        const { speed, limit, zone } = this.tracker;
+        this.alertPlayer.stationary = !this.isMoving();
+        this.speedAlerts.update({ speed, limit, zone });
+
+        const [key, className] = SPEED_STATUS_VIEW[this.tracker.status];
+        const speedStatus = document.getElementById('speedStatus');
+        document.getElementById('currentSpeed').textContent = speed === null ? '--' : I18n.speedValue(speed);
+        speedStatus.textContent = I18n.t(key);
+        speedStatus.className = `speed-status ${className}`;
+    }
+
+    bindAlertEvents() {
+        // Browsers keep audio locked until the first tap
+        const unlock = () => this.alertPlayer.unlock();
+        document.addEventListener('click', unlock, { once: true });
+        document.addEventListener('touchstart', unlock, { once: true });
+
+        this.speedAlerts.addEventListener('level', (event) => {
+            const { level, limit } = event.detail;
+            if (level === 'voice' && event.detail.previous !== 'alarm') {
+                this.showNotification(I18n.t('notify.slowDown', { speed: I18n.speed(this.tracker.speed), limit: I18n.speed(limit) }), 'warning');
+            }
+            if (level === 'alarm') {
+                this.showSpeedWarning();
+            } else {
+                document.getElementById('speedWarningModal').classList.remove('show');
+            }
+        });
+    }
+
+    // Stays up until acknowledged or the vehicle is back under the limit
+    showSpeedWarning() {
+        const modal = document.getElementById('speedWarningModal');
+        const message = document.getElementById('speedWarningMessage');
+        
+        const values = { speed: I18n.speed(this.tracker.speed), limit: I18n.speed(this.tracker.limit) };
+        message.textContent = I18n.t(this.tracker.zone ? 'speed.dangerZoneWarning' : 'speed.limitWarning', values);
+        
+        modal.classList.add('show');
+    }
+
+    updateZoneAlert(zoneType, speedLimit, zoneClass) {
+        document.getElementById('zoneType').textContent = zoneType;
+        document.getElementById('zoneLimit').textContent = I18n.t('zone.speedLimit', { limit: speedLimit });
         
-        this.init();
+        const zoneCard = document.querySelector('.zone-alert');
+        zoneCard.className = `status-card zone-alert ${zoneClass}`;
+    }
+
+    // Data Loading and Updates
+    async loadDriverData() {
+        try {
+            this.driver = await this.dataSource.getDriver(this.session.getDriverId());
+            this.vehicle = await this.dataSource.getVehicle(this.driver.vehicleId);
+        } catch (error) {
+            console.error('Driver data error:', error);
+            this.showNotification(I18n.t('notify.driverError'), 'error');
+            return;
+        }
+
+        try {
+            this.vehicleSpec = await this.dataSource.getVehicleModel(this.vehicle.model);
+        } catch (error) {
+            // Unknown model: fall back to the default band, no tank-based estimates
+            console.warn('Vehicle model lookup failed:', error);
+        }
+
+        this.profile = driverProfile(this.driver, this.vehicle, this.vehicleSpec, {
+            year: new Date(this.clock.now()).getFullYear(),
+            defaultEfficiency: this.config.fuel.defaultEfficiency
+        });
+        this.updateDriverInfo(this.profile);
+        this.telemetry.setContext(this.driver.id, this.vehicle.id);
+        try {
+            await this.odometer.setVehicle(this.vehicle.id, Number(this.vehicle.odometer) || 0, this.driver.id);
+            this.updateDistanceDisplay();
+        } catch (error) {
+            console.error('Odometer error:', error);
+        }
+        try {
+            this.fuelFills = await this.fuelLog.getFills(this.vehicle.id);
+        } catch (error) {
+            console.error('Fuel log error:', error);
+        }
+        this.updateFuelDisplay();
+        try {
+            this.inspection = await this.inspectionService.latest(this.vehicle.id);
+        } catch (error) {
+            console.error('Inspection loading error:', error);
+        }
+        this.updateInspectionDisplay();
+        this.loadLeave();
+        this.loadMessages();
+        await this.loadManifest();
+    }
+    
+    formatEfficiencyBand(band) {
+        return I18n.t('fuel.band', { min: I18n.number(band.min), max: I18n.number(band.max) });
+    }
+
+    formatEfficiency(kmPerLitre) {
+        return I18n.t('fuel.efficiency', { value: I18n.number(kmPerLitre, { maximumFractionDigits: 1, minimumFractionDigits: 1 }) });
+    }
+
+    updateDriverInfo(data) {
+        // Update profile section
+        document.getElementById('driverName').textContent = data.name;
+        document.getElementById('driverIdDisplay').textContent = data.id;
+        document.getElementById('licenseNumber').textContent = data.license;
+        document.getElementById('phoneNumber').textContent = data.phone;
+        document.getElementById('experience').textContent = I18n.plural('profile.years', data.experienceYears);
+        
+        // Update vehicle section
+        document.getElementById('vehicleId').textContent = data.vehicleId;
+        document.getElementById('licensePlate').textContent = data.licensePlate;
+        document.getElementById('vehicleModel').textContent = data.vehicleModel;
+        document.getElementById('vehicleEfficiency').textContent = this.formatEfficiencyBand(data.efficiency);
+        document.getElementById('fuelType').textContent = data.fuelType;
+
+        
+        // Update header
+        document.getElementById('headerDriverName').textContent = data.name;
+        document.getElementById('headerVehiclePlate').textContent = data.licensePlate;
+    }
+
+    // Profile and Settings Panels
+    showProfile() {
+        if (!this.driver) {
+            this.showNotification(I18n.t('notify.driverLoading'), 'info');
+            return;
+        }
+
+        const fields = {
+            profileName: this.driver.name,
+            profileDriverId: this.driver.id,
+            profileLicense: this.driver.license,
+            profilePhone: this.driver.phone,
+            profileExperience: I18n.plural('profile.years', this.profile.experienceYears),
+            profileVehicle: `${this.vehicle.model} ${this.vehicle.year} (${this.vehicle.plate})`
+        };
+        Object.keys(fields).forEach(id => {
+            document.getElementById(id).textContent = fields[id];
+        });
+
+        openPanel('profilePanel');
+    }
+
+    showSettings() {
+        const expiry = this.session.getExpiry();
+        document.getElementById('settingsSignedInAs').textContent = this.driver ? this.driver.name : this.session.getDriverId();
+        document.getElementById('settingsSessionExpiry').textContent = expiry ? I18n.dateTime(expiry) : '-';
+        this.renderSettings();
+        openPanel('settingsPanel');
+    }
+
+    // Choices the fleet policy rules out are shown but disabled; locked settings can't be touched
+    renderSettings() {
+        const values = this.settings.values();
+        Object.entries(SETTING_SELECTS).forEach(([name, id]) => {
+            const select = document.getElementById(id);
+            const allowed = this.settings.allowed(name);
+            select.replaceChildren(...SETTINGS[name].choices.map(choice => {
+                const option = new Option(this.settingLabel(name, choice), choice);
+                option.disabled = !allowed.includes(choice);
+                return option;
+            }));
+            select.value = values[name];
+            select.disabled = this.settings.isLocked(name);
+        });
+
+        const volume = document.getElementById('alertVolume');
+        const range = this.settings.range('alertVolume');
+        volume.min = range.min;
+        volume.max = range.max;
+        volume.value = values.alertVolume;
+        volume.disabled = this.settings.isLocked('alertVolume');
+        const silent = document.getElementById('alertSilentStationary');
+        silent.checked = values.silentWhenStationary;
+        silent.disabled = this.settings.isLocked('silentWhenStationary');
+
+        document.querySelectorAll('[data-shortcut]').forEach(input => {
+            input.value = values.shortcuts[input.dataset.shortcut];
+            input.disabled = this.settings.isLocked('shortcuts');
+        });
+        document.getElementById('settingsPolicyNote').hidden = Object.keys(this.settings.policy).length === 0;
+    }
+
+    settingLabel(name, choice) {
+        if (name === 'refreshInterval') {
+            return I18n.t('settings.every', { interval: I18n.unit(choice, 'second') });
+        }
+        return I18n.t(`settings.${name}.${choice}`);
+    }
+
+    saveSettings() {
+        const changes = {
+            alertVolume: Number(document.getElementById('alertVolume').value),
+            silentWhenStationary: document.getElementById('alertSilentStationary').checked
+        };
+        Object.entries(SETTING_SELECTS).forEach(([name, id]) => {
+            const value = document.getElementById(id).value;
+            changes[name] = name === 'refreshInterval' ? Number(value) : value;
+        });
+        this.settings.save(changes);
+    }
+
+    // Shortcut fields take the next combination pressed in them instead of text
+    captureShortcut(event, action) {
+        if (event.key === 'Tab') {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        const combo = Shortcut.fromEvent(event);
+        if (!combo) {
+            return;
+        }
+        const shortcuts = this.settings.get('shortcuts');
+        const taken = Object.keys(shortcuts).find(other => other !== action && shortcuts[other] === combo);
+        if (taken) {
+            this.showNotification(I18n.t('notify.shortcutTaken', { shortcut: combo, action: I18n.t(`settings.shortcut.${taken}`) }), 'warning');
+            return;
+        }
+        this.settings.save({ shortcuts: { ...shortcuts, [action]: combo } });
+        event.target.value = this.settings.get('shortcuts')[action];
+    }
+
+    renderLanguagePicker() {
+        const select = document.getElementById('languageSelect');
+        select.replaceChildren(...Object.entries(I18n.languages).map(([code, language]) => new Option(language.label, code)));
+        select.value = I18n.language;
+    }
+
+    async signOut() {
+        try {
+            await this.dataSource.signOut();
+        } catch (error) {
+            // The token expires server-side anyway; never block sign-out on the network
+            console.warn('Sign out request failed:', error);
+        }
+        this.session.clear();
+        sessionStorage.clear();
+        this.session.redirectToLogin('signed-out');
+    }
+
+    updateDashboardData() {
+        const currentDriverData = this.getCurrentDriverData();
+        if (!currentDriverData) {
+            return;
+        }
+        
+        const counts = this.manifest.counts();
+        const now = this.clock.now();
+        const metrics = {
+            todayDeliveries: `${I18n.number(counts.delivered)}/${I18n.number(counts.total)}`,
+            hoursWorked: I18n.unit(this.hos.totalsBetween(this.shiftLog.countersSince(now), now, now).worked / 3600000, 'hour', 1),
+        };
+        
+        document.getElementById('todayDeliveries').textContent = metrics.todayDeliveries;
+        document.getElementById('hoursWorked').textContent = metrics.hoursWorked;
+        this.updateDistanceDisplay();
+        this.updateDrivingScore();
+        this.updateNavigation();
+        this.updateNextDelivery();
+    }
+
+    updateNextDelivery() {
+        // Next delivery is the first open stop in manifest order
+        const counts = this.manifest.counts();
+        const nextStop = this.manifest.nextStop();
+        document.getElementById('completeStopBtn').hidden = !nextStop;
+        if (nextStop) {
+            document.getElementById('nextDeliveryAddress').textContent = `${nextStop.sequence}. ${nextStop.address}`;
+            document.getElementById('deliveryETA').textContent = this.describeStopTiming(nextStop, counts);
+        } else if (counts.total > 0) {
+            document.getElementById('nextDeliveryAddress').textContent = I18n.t('delivery.nonePending');
+            document.getElementById('deliveryETA').textContent = I18n.t('delivery.allCompleted');
+        } else {
+            document.getElementById('nextDeliveryAddress').textContent = I18n.t('delivery.noneAssigned');
+            document.getElementById('deliveryETA').textContent = '';
+        }
+
+        const progress = this.navigator.progress;
+        const maneuver = document.getElementById('nextManeuver');
+        maneuver.textContent = progress && progress.nextStep ?
+            I18n.t('route.nextStep', { instruction: progress.nextStep.instruction, distance: I18n.distance(progress.toNextStep) }) : '';
+        document.getElementById('routeStepsBtn').hidden = !this.navigator.route;
+    }
+
+    updateDistanceDisplay() {
+        document.getElementById('distanceCovered').textContent = I18n.unit(this.odometer.today / 1000, 'kilometer', 1);
+        const reading = this.odometer.reading;
+        document.getElementById('vehicleOdometer').textContent = reading === null ? '-' :
+            I18n.unit(Math.floor(reading), 'kilometer');
+    }
+
+    // Fuel
+    fuelEstimate() {
+        return FuelLog.estimate(this.fuelFills, this.vehicleSpec, this.odometer.reading);
+    }
+
+    updateFuelDisplay() {
+        const estimate = this.fuelEstimate();
+        document.getElementById('fuelLevel').textContent = estimate ?
+            I18n.t('fuel.level', { percent: I18n.number(estimate.ratio, { style: 'percent' }), range: I18n.unit(estimate.range, 'kilometer') }) :
+            I18n.t('fuel.notLogged');
+
+        const settings = this.config.fuel;
+        const low = estimate && (estimate.ratio < settings.lowFuelRatio || estimate.range < settings.lowFuelRange);
+        document.getElementById('fuelLevel').classList.toggle('low-fuel', !!low);
+        // Once per tank
+        if (low && this.lowFuelWarnedFor !== estimate.fillId) {
+            this.lowFuelWarnedFor = estimate.fillId;
+            this.showNotification(I18n.t('notify.lowFuel', { range: I18n.unit(estimate.range, 'kilometer') }), 'warning', 10000);
+            this.addActivity('fuel', I18n.t('activity.lowFuel'), I18n.t('activity.lowFuelDetails', { distance: I18n.unit(estimate.distance, 'kilometer') }));
+        }
+    }
+
+    showFuelLog() {
+        if (!this.vehicle) {
+            this.showNotification(I18n.t('notify.vehicleLoading'), 'info');
+            return;
+        }
+
+        const reading = this.odometer.reading;
+        document.getElementById('fuelOdometer').value = reading === null ? '' : Math.floor(reading);
+        ['fuelLitres', 'fuelCost', 'fuelStation', 'fuelReceipt'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('fuelFullTank').checked = true;
+        this.renderFuelHistory();
+        openPanel('fuelPanel');
+    }
+
+    renderFuelHistory() {
+        const average = FuelLog.averageEfficiency(this.fuelFills);
+        const estimate = this.fuelEstimate();
+        document.getElementById('fuelRated').textContent = this.formatEfficiencyBand(this.profile.efficiency);
+        document.getElementById('fuelAverage').textContent = average === null ? I18n.t('fuel.needsTwoFills') : this.formatEfficiency(average);
+        document.getElementById('fuelEstimate').textContent = estimate ?
+            I18n.t('fuel.estimate', { litres: I18n.unit(estimate.litres, 'liter'), range: I18n.unit(estimate.range, 'kilometer') }) : '-';
+
+        const segments = {};
+        FuelLog.consumption(this.fuelFills).forEach(segment => {
+            segments[segment.toId] = segment;
+        });
+
+        const list = document.getElementById('fuelHistory');
+        list.replaceChildren(...this.fuelFills.slice().reverse().map(fill => {
+            const item = document.createElement('li');
+            const segment = segments[fill.id];
+            const parts = [
+                I18n.date(fill.timestamp),
+                I18n.unit(fill.litres, 'liter', 2),
+                fill.cost ? I18n.currency(fill.cost) : null,
+                I18n.unit(fill.odometer, 'kilometer'),
+                fill.station || null,
+                segment ? this.formatEfficiency(segment.efficiency) : (fill.fullTank ? null : I18n.t('fuel.topUp'))
+            ];
+            item.textContent = parts.filter(Boolean).join(' · ');
+            if (fill.flags.length > 0) {
+                item.className = 'flagged';
+                const flags = document.createElement('div');
+                flags.className = 'fuel-flags';
+                flags.textContent = fill.flags.map(flag => I18n.label(`fuelFlag.${flag}`, FUEL_FLAGS[flag])).join('; ');
+                item.append(flags);
+            }
+            return item;
+        }));
+        document.getElementById('fuelEmpty').hidden = this.fuelFills.length > 0;
+    }
+
+    async submitFuelLog() {
+        const litres = parseFloat(document.getElementById('fuelLitres').value);
+        const odometer = parseFloat(document.getElementById('fuelOdometer').value);
+        if (!(litres > 0) || !(odometer > 0)) {
+            this.showNotification(I18n.t('notify.fuelRequired'), 'warning');
+            return;
+        }
+
+        const button = document.getElementById('fuelSubmitBtn');
+        button.disabled = true;
+        try {
+            const receiptFile = document.getElementById('fuelReceipt').files[0];
+            const fill = await this.fuelLog.add({
+                vehicleId: this.vehicle.id,
+                driverId: this.driver.id,
+                litres,
+                cost: parseFloat(document.getElementById('fuelCost').value) || null,
+                odometer,
+                station: document.getElementById('fuelStation').value.trim(),
+                fullTank: document.getElementById('fuelFullTank').checked,
+                receipt: receiptFile ? await ProofOfDeliveryService.readPhoto(receiptFile) : null,
+                timestamp: new Date(this.clock.now()).toISOString()
+            }, this.fuelFills, this.vehicleSpec, this.odometer.reading);
+
+            this.fuelFills.push(fill);
+            this.syncQueue.enqueue({
+                kind: 'fuel',
+                path: this.config.api.endpoints.fuelLog,
+                params: { id: fill.vehicleId },
+                body: fill,
+                ref: fill.id
+            }).catch(error => console.error('Fuel log queue error:', error));
+
+            const details = I18n.t('activity.fuelDetails', { litres: I18n.unit(litres, 'liter', 2), odometer: I18n.unit(odometer, 'kilometer') });
+            this.addActivity('fuel', I18n.t('activity.fuelLogged'), fill.station ? `${details} - ${fill.station}` : details);
+            if (fill.flags.length > 0) {
+                this.showNotification(I18n.t('notify.fuelFlagged', { flags: fill.flags.map(flag => I18n.label(`fuelFlag.${flag}`, FUEL_FLAGS[flag])).join('; ') }), 'warning', 10000);
+            } else {
+                this.showNotification(I18n.t('notify.fuelSaved'), 'success');
+            }
+            this.updateFuelDisplay();
+            this.renderFuelHistory();
+        } catch (error) {
+            console.error('Fuel log error:', error);
+            this.showNotification(I18n.t('notify.fuelSaveError'), 'error');
+        } finally {
+            button.disabled = false;
+        }
     }
 
-    init() {
-        this.initMap();
-        this.startLocationTracking();
-        this.startSpeedMonitoring();
-        this.updateLastUpdated();
-        this.loadDriverData();
-        
-        // Update every 30 seconds
-        setInterval(() => {
-            this.updateDashboardData();
-            this.updateLastUpdated();
-        }, 30000);
-        
-        // Speed check every 5 seconds
-        setInterval(() => {
-            this.checkSpeed();
-        }, 5000);
+    // Pre-trip Inspection
+    updateInspectionDisplay() {
+        const element = document.getElementById('vehicleInspection');
+        const inspection = this.inspection;
+        if (inspection && !inspection.vehicleAvailable) {
+            element.textContent = I18n.t('inspection.failedUnavailable');
+            element.className = 'value inspection-failed';
+        } else if (InspectionService.clearsVehicle(inspection, this.clock.now())) {
+            element.textContent = I18n.t('inspection.passedAt', { time: I18n.time(inspection.completedAt) });
+            element.className = 'value inspection-passed';
+        } else {
+            element.textContent = I18n.t('inspection.due');
+            element.className = 'value inspection-due';
+        }
     }
 
-    // Map Initialization
-    initMap() {
-        // Default to a central location (can be updated with real GPS)
-        const defaultLat = 28.6139;
-        const defaultLng = 77.2090;
-        
-        this.map = L.map('map').setView([defaultLat, defaultLng], 13);
-        
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors'
-        }).addTo(this.map);
-        
-        // Add driver marker
-        this.driverMarker = L.marker([defaultLat, defaultLng])
-            .addTo(this.map)
-            .bindPopup('Your Current Location');
-        
-        // Add sample route
-        this.addSampleRoute();
-        
-        // Add danger zones
-        this.addDangerZones();
+    async showInspectionPanel() {
+        if (!this.vehicle) {
+            this.showNotification(I18n.t('notify.vehicleLoading'), 'info');
+            return;
+        }
+        if (!this.inspectionChecklist) {
+            try {
+                this.inspectionChecklist = await this.dataSource.getInspectionChecklist(this.vehicle.model);
+            } catch (error) {
+                console.error('Checklist loading error:', error);
+                this.showNotification(I18n.t('notify.checklistError'), 'error');
+                return;
+            }
+        }
+
+        this.inspectionDraft = InspectionService.draft(this.vehicle, this.driver.id, this.inspectionChecklist);
+        document.getElementById('inspectionVehicle').textContent = `${this.vehicle.plate} - ${this.vehicle.model}`;
+        this.renderInspectionItems();
+        openPanel('inspectionPanel');
     }
 
-    addSampleRoute() {
-        const routeCoordinates = [
-            [28.6139, 77.2090],
-            [28.6169, 77.2100],
-            [28.6199, 77.2120],
-            [28.6229, 77.2140],
-            [28.6259, 77.2160]
-        ];
-        
-        const route = L.polyline(routeCoordinates, {
-            color: '#667eea',
-            weight: 4,
-            opacity: 0.8
-        }).addTo(this.map);
-        
-        // Add delivery points
-        routeCoordinates.forEach((coord, index) => {
-            if (index > 0) {
-                L.marker(coord, {
-                    icon: L.divIcon({
-                        className: 'delivery-marker',
-                        html: `<div style="background: #4CAF50; color: white; border-radius: 50%; width: 25px; height: 25px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: bold;">${index}</div>`,
-                        iconSize: [25, 25]
-                    })
-                }).addTo(this.map).bindPopup(`Delivery Point ${index}`);
+    renderInspectionItems() {
+        let category = null;
+        const rows = [];
+        this.inspectionDraft.items.forEach(item => {
+            if (item.category !== category) {
+                category = item.category;
+                const heading = document.createElement('li');
+                heading.className = 'inspection-category';
+                heading.textContent = category;
+                rows.push(heading);
             }
+            rows.push(this.createInspectionRow(item));
         });
+        document.getElementById('inspectionItems').replaceChildren(...rows);
     }
 
-    addDangerZones() {
-        // School zone
-        const schoolZone = L.circle([28.6180, 77.2110], {
-            color: '#ff9800',
-            fillColor: '#ff9800',
-            fillOpacity: 0.2,
-            radius: 200
-        }).addTo(this.map).bindPopup('School Zone - Speed Limit: 25 km/h');
-        
-        // Construction zone
-        const constructionZone = L.circle([28.6220, 77.2130], {
-            color: '#f44336',
-            fillColor: '#f44336',
-            fillOpacity: 0.2,
-            radius: 150
-        }).addTo(this.map).bindPopup('Construction Zone - Speed Limit: 30 km/h');
+    createInspectionRow(item) {
+        const row = document.createElement('li');
+        row.className = 'inspection-item';
+
+        const label = document.createElement('div');
+        label.className = 'inspection-label';
+        label.textContent = item.label;
+        if (item.critical) {
+            const tag = document.createElement('span');
+            tag.className = 'critical-tag';
+            tag.textContent = I18n.t('inspection.critical');
+            label.append(' ', tag);
+        }
+
+        const results = document.createElement('div');
+        results.className = 'inspection-results';
+        const buttons = Object.keys(INSPECTION_RESULTS).map(result => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `inspection-result ${result}`;
+            button.textContent = I18n.label(`inspection.${result}`, INSPECTION_RESULTS[result]);
+            button.addEventListener('click', () => {
+                InspectionService.setResult(this.inspectionDraft, item.id, { result });
+                buttons.forEach(other => other.classList.toggle('selected', other === button));
+                row.classList.toggle('failed', result === 'fail');
+            });
+            return button;
+        });
+        results.append(...buttons);
+
+        const note = document.createElement('input');
+        note.type = 'text';
+        note.placeholder = I18n.t('inspection.note');
+        note.addEventListener('input', () => InspectionService.setResult(this.inspectionDraft, item.id, { note: note.value }));
+
+        const photo = document.createElement('input');
+        photo.type = 'file';
+        photo.accept = 'image/*';
+        photo.capture = 'environment';
+        photo.addEventListener('change', async () => {
+            const file = photo.files[0];
+            InspectionService.setResult(this.inspectionDraft, item.id, {
+                photo: file ? await ProofOfDeliveryService.readPhoto(file) : null
+            });
+        });
+
+        row.append(label, results, note, photo);
+        return row;
     }
 
-    // Location Tracking
-    startLocationTracking() {
-        if (navigator.geolocation) {
-            navigator.geolocation.watchPosition(
-                (position) => {
-                    this.updateLocation(position.coords.latitude, position.coords.longitude);
-                },
-                (error) => {
-                    console.error('Location tracking error:', error);
-                    this.showNotification('Location tracking unavailable', 'warning');
-                },
-                {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 60000
-                }
-            );
+    async submitInspection() {
+        const draft = this.inspectionDraft;
+        const error = InspectionService.validate(draft);
+        if (error) {
+            this.showNotification(error, 'warning');
+            return;
+        }
+
+        const button = document.getElementById('inspectionSubmitBtn');
+        button.disabled = true;
+        let record;
+        try {
+            record = await this.inspectionService.complete(draft, this.inspection);
+        } catch (error) {
+            console.error('Inspection error:', error);
+            this.showNotification(I18n.t('notify.inspectionSaveError'), 'error');
+            return;
+        } finally {
+            button.disabled = false;
+        }
+
+        this.inspection = record;
+        this.inspectionDraft = null;
+        closePanel('inspectionPanel');
+        this.updateInspectionDisplay();
+
+        const failed = record.items.filter(item => item.result === 'fail');
+        if (!record.vehicleAvailable) {
+            const critical = failed.filter(item => item.critical);
+            this.addActivity('inspection', I18n.t('activity.inspectionFailed'), critical.map(item => item.label).join(', '));
+            this.showNotification(I18n.t('notify.inspectionCriticalFailed'), 'error', 10000);
+            this.reportEmergency('breakdown', {
+                source: 'inspection',
+                inspectionId: record.id,
+                notes: critical.map(item => `${item.label}: ${item.note}`).join('; ')
+            });
         } else {
-            this.showNotification('Geolocation not supported', 'error');
+            this.addActivity('inspection', I18n.t('activity.inspectionCompleted'),
+                failed.length > 0 ? I18n.plural('activity.inspectionMinorItems', failed.length) : I18n.t('activity.inspectionAllPassed'));
+            this.showNotification(I18n.t('notify.inspectionCompleted'), 'success');
+        }
+
+        // A grounded vehicle keeps the driver off duty; the duty change waiting on it is dropped
+        const status = this.pendingDutyStatus;
+        this.pendingDutyStatus = null;
+        if (status && record.vehicleAvailable) {
+            await this.changeDutyStatus(status);
         }
     }
 
-    updateLocation(lat, lng) {
-        this.currentLocation = { lat, lng };
-        
-        if (this.driverMarker) {
-            this.driverMarker.setLatLng([lat, lng]);
+    // Messages
+    async loadMessages() {
+        let history = [];
+        try {
+            history = await this.dataSource.getMessages(this.driver.id);
+        } catch (error) {
+            // Offline: show what this device has; the channel catches up once connected
+            console.warn('Message history unavailable:', error);
         }
-        
-        this.checkDangerZones(lat, lng);
+        try {
+            await this.messageService.load(history);
+        } catch (error) {
+            console.error('Message loading error:', error);
+        }
+        this.dispatchChannel.start(this.driver.id, this.messageService.cursor);
     }
 
-    checkDangerZones(lat, lng) {
-        // Check if in school zone
-        const schoolZoneCenter = { lat: 28.6180, lng: 77.2110 };
-        const schoolDistance = this.calculateDistance(lat, lng, schoolZoneCenter.lat, schoolZoneCenter.lng);
-        
-        if (schoolDistance < 0.2) { // Within 200m
-            this.isInDangerZone = true;
-            this.speedThreshold = 25;
-            this.updateZoneAlert('School Zone', '25 km/h', 'school-zone');
-        } else {
-            const constructionZoneCenter = { lat: 28.6220, lng: 77.2130 };
-            const constructionDistance = this.calculateDistance(lat, lng, constructionZoneCenter.lat, constructionZoneCenter.lng);
-            
-            if (constructionDistance < 0.15) { // Within 150m
-                this.isInDangerZone = true;
-                this.speedThreshold = 30;
-                this.updateZoneAlert('Construction Zone', '30 km/h', 'construction-zone');
-            } else {
-                this.isInDangerZone = false;
-                this.speedThreshold = 60;
-                this.updateZoneAlert('Normal Zone', '60 km/h', '');
+    bindMessagingEvents() {
+        this.messageService.addEventListener('change', () => {
+            this.updateUnreadBadge();
+            if (this.isMessagesOpen()) {
+                this.renderMessages();
             }
-        }
+        });
+
+        this.dispatchChannel.addEventListener('message', async (event) => {
+            try {
+                const message = await this.messageService.receive(event.detail.message);
+                if (!message || message.from !== 'dispatch') {
+                    return;
+                }
+                this.showNotification(`${message.author}: ${message.text}`, 'info', 8000);
+                this.addActivity('message', I18n.t('activity.messageFrom', { author: message.author }), message.text);
+
+                if (this.isMessagesOpen() && message.threadId === this.activeThread) {
+                    this.messageService.markRead(message.threadId).catch(error => console.error('Read receipt error:', error));
+                } else if (this.handsFree && this.isMoving()) {
+                    this.alertPlayer.speak(I18n.t('messages.readOut', { author: message.author, text: message.text }));
+                }
+            } catch (error) {
+                console.error('Message error:', error);
+            }
+        });
+
+        this.dispatchChannel.addEventListener('receipt', (event) => {
+            this.messageService.applyReceipt(event.detail.receipt);
+        });
+
+        this.dispatchChannel.addEventListener('state', () => this.updateChannelStatus());
     }
 
-    calculateDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371; // Earth's radius in km
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLng = (lng2 - lng1) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.sin(dLng/2) * Math.sin(dLng/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c;
+    updateChannelStatus() {
+        document.getElementById('messagesChannel').textContent = I18n.t(`messages.channel.${this.dispatchChannel.mode}`);
     }
 
-    // Speed Monitoring
-    startSpeedMonitoring() {
-        // Simulate speed changes
-        setInterval(() => {
-            this.currentSpeed = Math.floor(Math.random() * 80) + 20; // 20-100 km/h
-            this.updateSpeedDisplay();
-        }, 3000);
+    isMoving() {
+        return this.tracker.speed !== null && this.tracker.speed >= this.hos.movingSpeed;
     }
 
-    updateSpeedDisplay() {
-        document.getElementById('currentSpeed').textContent = this.currentSpeed;
-        const speedStatus = document.getElementById('speedStatus');
-        
-        if (this.currentSpeed > this.speedThreshold) {
-            speedStatus.textContent = 'Overspeed';
-            speedStatus.className = 'speed-status danger';
-            this.showSpeedWarning();
-        } else if (this.currentSpeed > this.speedThreshold * 0.9) {
-            speedStatus.textContent = 'Warning';
-            speedStatus.className = 'speed-status warning';
-        } else {
-            speedStatus.textContent = 'Normal';
-            speedStatus.className = 'speed-status normal';
+    isMessagesOpen() {
+        return document.getElementById('messagesPanel').classList.contains('show');
+    }
+
+    updateUnreadBadge() {
+        const unread = this.messageService.unreadCount;
+        const badge = document.getElementById('unreadBadge');
+        badge.hidden = unread === 0;
+        badge.textContent = unread > 9 ? `${I18n.number(9)}+` : I18n.number(unread);
+    }
+
+    showMessages(threadId = this.activeThread) {
+        this.activeThread = threadId;
+        document.getElementById('handsFree').checked = this.handsFree;
+        this.updateChannelStatus();
+        this.renderQuickReplies();
+        openPanel('messagesPanel');
+        this.renderMessages();
+        this.messageService.markRead(threadId).catch(error => console.error('Read receipt error:', error));
+    }
+
+    renderMessages() {
+        const select = document.getElementById('messageThread');
+        select.replaceChildren(...this.messageService.threads().map(thread => {
+            const option = document.createElement('option');
+            option.value = thread.id;
+            const subject = thread.id === DEFAULT_THREAD.id ? I18n.t('messages.dispatch') : thread.subject;
+            option.textContent = thread.unread > 0 ? `${subject} (${I18n.number(thread.unread)})` : subject;
+            return option;
+        }));
+        select.value = this.activeThread;
+
+        const list = document.getElementById('messageList');
+        const messages = this.messageService.inThread(this.activeThread);
+        list.replaceChildren(...messages.map(message => {
+            const item = document.createElement('li');
+            item.className = `message from-${message.from}`;
+            const author = document.createElement('span');
+            author.className = 'message-author';
+            author.textContent = message.from === 'driver' ? I18n.t('messages.you') : message.author;
+            const text = document.createElement('p');
+            text.textContent = message.text;
+            const meta = document.createElement('span');
+            meta.className = 'message-meta';
+            const time = I18n.time(message.sentAt);
+            // Receipts only mean something on our own messages
+            meta.textContent = message.from === 'driver' ?
+                `${time} · ${I18n.label(`messageStatus.${message.status}`, MESSAGE_STATUSES[message.status])}` : time;
+            if (message.from === 'driver') {
+                meta.classList.add(`status-${message.status}`);
+            }
+            item.append(author, text, meta);
+            return item;
+        }));
+        document.getElementById('messagesEmpty').hidden = messages.length > 0;
+        list.scrollTop = list.scrollHeight;
+    }
+
+    renderQuickReplies() {
+        document.getElementById('quickReplies').replaceChildren(...this.config.messaging.quickReplies.map(text => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quick-reply';
+            button.textContent = text;
+            button.addEventListener('click', () => this.sendMessage(text));
+            return button;
+        }));
+    }
+
+    selectThread(threadId) {
+        this.showMessages(threadId);
+    }
+
+    async sendMessage(text) {
+        text = text.trim();
+        if (!text || !this.driver) {
+            return;
+        }
+        const thread = this.messageService.threads().find(item => item.id === this.activeThread) || DEFAULT_THREAD;
+        try {
+            await this.messageService.send(this.driver, thread, text);
+            document.getElementById('messageText').value = '';
+        } catch (error) {
+            console.error('Message error:', error);
+            this.showNotification(I18n.t('notify.messageError'), 'error');
         }
     }
 
-    checkSpeed() {
-        const now = Date.now();
-        const warningCooldown = 30000; // 30 seconds between warnings
-        
-        if (this.currentSpeed > this.speedThreshold && 
-            !document.getElementById('speedWarningModal').classList.contains('show') &&
-            (now - this.lastSpeedWarning) > warningCooldown) {
-            this.showSpeedWarning();
-            this.lastSpeedWarning = now;
+    setHandsFree(enabled) {
+        this.handsFree = enabled;
+        this.storage.setItem('fleettrack.handsFree', String(enabled));
+        if (enabled) {
+            this.alertPlayer.unlock();
+            this.alertPlayer.speak(I18n.t('messages.handsFreeOn'), true);
         }
     }
 
-    showSpeedWarning() {
-        const modal = document.getElementById('speedWarningModal');
-        const message = document.getElementById('speedWarningMessage');
-        
-        if (this.isInDangerZone) {
-            message.textContent = `DANGER: You are in a restricted zone! Current speed: ${this.currentSpeed} km/h. Speed limit: ${this.speedThreshold} km/h`;
-        } else {
-            message.textContent = `Speed Warning: Current speed ${this.currentSpeed} km/h exceeds limit of ${this.speedThreshold} km/h`;
+    // Leave
+    async loadLeave() {
+        try {
+            await this.leaveService.load(this.driver.id);
+        } catch (error) {
+            console.error('Leave loading error:', error);
         }
-        
-        modal.classList.add('show');
-        
-        // Auto-hide after 10 seconds if not acknowledged
-        setTimeout(() => {
-            if (modal.classList.contains('show')) {
-                modal.classList.remove('show');
-            }
-        }, 10000);
+        this.updateLeaveSummary();
     }
 
-    updateZoneAlert(zoneType, speedLimit, zoneClass) {
-        document.getElementById('zoneType').textContent = zoneType;
-        document.getElementById('zoneLimit').textContent = `Speed Limit: ${speedLimit}`;
-        
-        const zoneCard = document.querySelector('.zone-alert');
-        zoneCard.className = `status-card zone-alert ${zoneClass}`;
+    updateLeaveSummary() {
+        const balances = Object.values(this.leaveService.balances(this.driver));
+        const sum = key => balances.reduce((total, balance) => total + balance[key], 0);
+        const days = value => I18n.plural('leave.days', value);
+        document.getElementById('leaveAvailable').textContent = days(sum('available'));
+        document.getElementById('leaveUsed').textContent = days(sum('used'));
+        document.getElementById('leaveThisMonth').textContent = days(this.leaveService.daysInMonth());
     }
 
-    // Data Loading and Updates
-    loadDriverData() {
-        // Real driver and vehicle data from spreadsheets
-        const driversData = [
-            { vehicleNumber: 'MH12AB1234', name: 'Rajesh Yadav', license: 'MH14201900123', deliveries: 12, pending: 3, model: 'Tata 407', year: 2021 },
-            { vehicleNumber: 'MH12AB2234', name: 'Sunil Shinde', license: 'MH14201700124', deliveries: 9, pending: 1, model: 'Ashok Leyland', year: 2022 },
-            { vehicleNumber: 'MH12AB3234', name: 'Anand Pawar', license: 'MH14201600122', deliveries: 15, pending: 2, model: 'Mahindra Bolero', year: 2020 },
-            { vehicleNumber: 'MH12AB4234', name: 'Suresh Gaikwad', license: 'MH14201300921', deliveries: 7, pending: 0, model: 'Eicher Pro', year: 2018 },
-            { vehicleNumber: 'MH12AB5234', name: 'Dipak Patil', license: 'MH14201200856', deliveries: 4, pending: 2, model: 'Tata Ace', year: 2023 },
-            { vehicleNumber: 'KA01CD1234', name: 'Ajay Kumar', license: 'KA19201500482', deliveries: 20, pending: 0, model: 'Force Traveller', year: 2021 },
-            { vehicleNumber: 'KA01CD2234', name: 'Mohan Reddy', license: 'KA19201300746', deliveries: 6, pending: 1, model: 'Tata Sumo', year: 2019 },
-            { vehicleNumber: 'KA01CD3234', name: 'Praveen Shetty', license: 'KA19201900614', deliveries: 13, pending: 4, model: 'Mahindra Pickup', year: 2022 }
-        ];
-        
-        // Select first driver as current user (you can modify this logic)
-        const currentDriver = driversData[0];
-        
-        const driverData = {
-            name: currentDriver.name,
-            id: currentDriver.vehicleNumber,
-            license: currentDriver.license,
-            phone: '+91-9876543210',
-            experience: this.calculateExperience(currentDriver.year),
-            vehicleId: currentDriver.vehicleNumber,
-            licensePlate: currentDriver.vehicleNumber,
-            vehicleModel: currentDriver.model + ' ' + currentDriver.year,
-            mileage: this.calculateMileage(currentDriver.year),
-            fuelType: this.getFuelType(currentDriver.model),
-            fuelLevel: Math.floor(Math.random() * 40 + 60) + '%',
-            leaveAvailable: Math.floor(Math.random() * 10 + 10) + ' days',
-            leaveUsed: Math.floor(Math.random() * 8 + 5) + ' days',
-            leaveThisMonth: Math.floor(Math.random() * 3 + 1) + ' days',
-            todayDeliveries: currentDriver.deliveries,
-            pendingDeliveries: currentDriver.pending
+    showLeavePanel() {
+        if (!this.driver) {
+            this.showNotification(I18n.t('notify.driverLoading'), 'info');
+            return;
+        }
+
+        const select = document.getElementById('leaveType');
+        const balances = this.leaveService.balances(this.driver);
+        select.replaceChildren(...Object.keys(balances).map(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = I18n.t('leave.typeOption', {
+                type: this.leaveTypeLabel(type, balances[type].label),
+                available: I18n.number(balances[type].available)
+            });
+            return option;
+        }));
+        const today = LocalStore.dayKey(this.clock.now());
+        ['leaveFrom', 'leaveTo'].forEach(id => {
+            const input = document.getElementById(id);
+            input.min = today;
+            input.value = '';
+        });
+        document.getElementById('leaveReason').value = '';
+        this.updateLeaveDays();
+        this.renderLeave();
+        openPanel('leavePanel');
+    }
+
+    leaveFormValues() {
+        const from = document.getElementById('leaveFrom').value;
+        const to = document.getElementById('leaveTo').value;
+        return {
+            type: document.getElementById('leaveType').value,
+            from,
+            to,
+            days: from && to && to >= from ? LeaveService.countDays(from, to, this.config.leave.excludeWeekdays) : 0,
+            reason: document.getElementById('leaveReason').value.trim()
         };
-        
-        this.updateDriverInfo(driverData);
     }
-    
-    calculateExperience(vehicleYear) {
-        const currentYear = new Date().getFullYear();
-        const experience = currentYear - vehicleYear + Math.floor(Math.random() * 3 + 2);
-        return experience + ' years';
+
+    updateLeaveDays() {
+        const { days, from, to } = this.leaveFormValues();
+        document.getElementById('leaveDays').textContent = from && to ? I18n.plural('leave.daysExcludingOffs', days) : '';
     }
-    
-    calculateMileage(vehicleYear) {
-        // Return fuel efficiency in km/l based on vehicle model
-        return this.getFuelEfficiency();
+
+    leaveTypeLabel(type, fallback) {
+        return I18n.label(`leaveType.${type}`, fallback);
     }
-    
-    getFuelEfficiency() {
-        // Fuel efficiency based on vehicle type (km/l)
-        const currentDriverData = this.getCurrentDriverData();
-        const model = currentDriverData.model;
-        
-        const fuelEfficiencies = {
-            'Tata 407': '8-10 km/l',
-            'Ashok Leyland': '7-9 km/l', 
-            'Mahindra Bolero': '12-14 km/l',
-            'Eicher Pro': '9-11 km/l',
-            'Tata Ace': '15-17 km/l',
-            'Force Traveller': '8-10 km/l',
-            'Tata Sumo': '10-12 km/l',
-            'Mahindra Pickup': '11-13 km/l'
-        };
-        
-        for (let vehicleModel in fuelEfficiencies) {
-            if (model.includes(vehicleModel.split(' ')[0])) {
-                return fuelEfficiencies[vehicleModel];
-            }
-        }
-        return '8-10 km/l'; // Default for commercial vehicles
+
+    renderLeave() {
+        const balances = this.leaveService.balances(this.driver);
+        document.getElementById('leaveBalances').replaceChildren(...Object.values(balances).map(balance => {
+            const row = document.createElement('div');
+            row.className = 'detail-item';
+            const label = document.createElement('span');
+            label.className = 'label';
+            label.textContent = `${this.leaveTypeLabel(balance.type, balance.label)}:`;
+            const value = document.createElement('span');
+            value.className = 'value';
+            const values = { available: I18n.number(balance.available), total: I18n.number(balance.opening + balance.accrued), pending: I18n.number(balance.pending) };
+            value.textContent = I18n.t(balance.pending ? 'leave.balancePending' : 'leave.balance', values);
+            row.append(label, value);
+            return row;
+        }));
+
+        const history = document.getElementById('leaveHistory');
+        const requests = this.leaveService.requests;
+        history.replaceChildren(...requests.map(request => {
+            const item = document.createElement('li');
+            const status = document.createElement('span');
+            status.className = `leave-status ${request.status}`;
+            status.textContent = request.synced === false ?
+                I18n.t('messageStatus.sending') :
+                I18n.label(`leaveStatus.${request.status}`, LEAVE_STATUSES[request.status]);
+            const summary = document.createElement('div');
+            const type = this.config.leave.types[request.type];
+            summary.textContent = I18n.t('leave.requestSummary', {
+                type: type ? this.leaveTypeLabel(request.type, type.label) : request.type,
+                from: I18n.date(`${request.from}T00:00`),
+                to: I18n.date(`${request.to}T00:00`),
+                days: I18n.plural('leave.days', request.days)
+            });
+            const details = document.createElement('div');
+            details.className = 'leave-reason';
+            details.textContent = [request.reason, request.decidedBy && I18n.t('leave.decidedBy', { name: request.decidedBy }), request.comment].filter(Boolean).join(' - ');
+            item.append(status, summary, details);
+            return item;
+        }));
+        document.getElementById('leaveEmpty').hidden = requests.length > 0;
     }
-    
-    getFuelType(model) {
-        const fuelTypes = {
-            'Tata': 'Diesel',
-            'Ashok': 'Diesel',
-            'Mahindra': 'Diesel',
-            'Eicher': 'Diesel',
-            'Force': 'Diesel'
-        };
-        
-        for (let brand in fuelTypes) {
-            if (model.includes(brand)) {
-                return fuelTypes[brand];
-            }
+
+    async submitLeaveRequest() {
+        const request = this.leaveFormValues();
+        const error = this.leaveService.validate(request, this.leaveService.balances(this.driver));
+        if (error) {
+            this.showNotification(error, 'warning');
+            return;
         }
-        return 'Diesel';
-    }
 
-    updateDriverInfo(data) {
-        // Update profile section
-        document.getElementById('driverName').textContent = data.name;
-        document.getElementById('driverIdDisplay').textContent = data.id;
-        document.getElementById('licenseNumber').textContent = data.license;
-        document.getElementById('phoneNumber').textContent = data.phone;
-        document.getElementById('experience').textContent = data.experience;
-        
-        // Update vehicle section
-        document.getElementById('vehicleId').textContent = data.vehicleId;
-        document.getElementById('licensePlate').textContent = data.licensePlate;
-        document.getElementById('vehicleModel').textContent = data.vehicleModel;
-        document.getElementById('vehicleMileage').textContent = data.mileage;
-        document.getElementById('fuelType').textContent = data.fuelType;
-        document.getElementById('fuelLevel').textContent = data.fuelLevel;
-        
-        // Update leave section
-        document.getElementById('leaveAvailable').textContent = data.leaveAvailable;
-        document.getElementById('leaveUsed').textContent = data.leaveUsed;
-        document.getElementById('leaveThisMonth').textContent = data.leaveThisMonth;
-        
-        // Update header
-        document.getElementById('headerDriverName').textContent = data.name;
-        document.getElementById('headerVehiclePlate').textContent = data.licensePlate;
+        const button = document.getElementById('leaveSubmitBtn');
+        button.disabled = true;
+        try {
+            await this.leaveService.submit(this.driver, request);
+            this.addActivity('leave', I18n.t('activity.leaveRequested'),
+                I18n.t('activity.leaveDates', { from: I18n.date(`${request.from}T00:00`), to: I18n.date(`${request.to}T00:00`) }));
+            this.showNotification(I18n.t(navigator.onLine ? 'notify.leaveSubmitted' : 'notify.leaveSavedOffline'), 'success');
+            this.updateLeaveSummary();
+            this.showLeavePanel();
+        } catch (error) {
+            console.error('Leave request error:', error);
+            this.showNotification(I18n.t('notify.leaveSaveError'), 'error');
+        } finally {
+            button.disabled = false;
+        }
     }
 
-    updateDashboardData() {
-        // Get current driver data for real-time updates
-        const currentDriverData = this.getCurrentDriverData();
-        
-        const metrics = {
-            todayDeliveries: currentDriverData.deliveries,
-            hoursWorked: (Math.random() * 2 + 6).toFixed(1) + 'h',
-            distanceCovered: Math.floor(Math.random() * 50) + 200 + 'km',
-            rating: (Math.random() * 0.5 + 4.3).toFixed(1)
-        };
-        
-        document.getElementById('todayDeliveries').textContent = metrics.todayDeliveries;
-        document.getElementById('hoursWorked').textContent = metrics.hoursWorked;
-        document.getElementById('distanceCovered').textContent = metrics.distanceCovered;
-        document.getElementById('rating').textContent = metrics.rating;
-        
-        // Update next delivery based on pending deliveries
-        const deliveryAddresses = [
-            'Pune Railway Station',
-            'Mumbai Central Hub',
-            'Nashik Distribution Center',
-            'Aurangabad Warehouse',
-            'Kolhapur Depot',
-            'Bangalore Tech Park',
-            'Mysore Industrial Area'
-        ];
-        
-        if (currentDriverData.pending > 0) {
-            const randomAddress = deliveryAddresses[Math.floor(Math.random() * deliveryAddresses.length)];
-            const eta = Math.floor(Math.random() * 30 + 10);
-            document.getElementById('nextDeliveryAddress').textContent = randomAddress;
-            document.getElementById('deliveryETA').textContent = `ETA: ${eta} min`;
-        } else {
-            document.getElementById('nextDeliveryAddress').textContent = 'No pending deliveries';
-            document.getElementById('deliveryETA').textContent = 'All deliveries completed';
+    describeStopTiming(stop, counts) {
+        const parts = [];
+        if (stop.status === 'arrived') {
+            parts.push(I18n.t('stopStatus.arrived'));
+        } else if (stop.window) {
+            parts.push(I18n.t('delivery.due', { from: stop.window.from, to: stop.window.to }));
+        }
+        const progress = this.navigator.progress;
+        if (progress && this.navigator.destination && this.navigator.destination.id === stop.id) {
+            const eta = new Date(this.clock.now() + progress.duration * 1000);
+            parts.push(I18n.t('delivery.eta', { time: I18n.time(eta), minutes: I18n.number(Math.round(progress.duration / 60)) }));
+            parts.push(I18n.t('delivery.toGo', { distance: I18n.distance(progress.remaining) }));
+        } else if (this.tracker.location && stop.status === 'pending') {
+            const km = Geo.distance(this.tracker.location.lat, this.tracker.location.lng, stop.lat, stop.lng);
+            parts.push(I18n.t('delivery.away', { distance: I18n.unit(km, 'kilometer', 1) }));
         }
+        parts.push(I18n.t('delivery.open', { count: I18n.number(counts.pending + counts.arrived) }));
+        return parts.join(' · ');
     }
     
     getCurrentDriverData() {
-        // Return current driver from the real data
-        const driversData = [
-            { vehicleNumber: 'MH12AB1234', name: 'Rajesh Yadav', license: 'MH14201900123', deliveries: 12, pending: 3, model: 'Tata 407', year: 2021 },
-            { vehicleNumber: 'MH12AB2234', name: 'Sunil Shinde', license: 'MH14201700124', deliveries: 9, pending: 1, model: 'Ashok Leyland', year: 2022 },
-            { vehicleNumber: 'MH12AB3234', name: 'Anand Pawar', license: 'MH14201600122', deliveries: 15, pending: 2, model: 'Mahindra Bolero', year: 2020 },
-            { vehicleNumber: 'MH12AB4234', name: 'Suresh Gaikwad', license: 'MH14201300921', deliveries: 7, pending: 0, model: 'Eicher Pro', year: 2018 },
-            { vehicleNumber: 'MH12AB5234', name: 'Dipak Patil', license: 'MH14201200856', deliveries: 4, pending: 2, model: 'Tata Ace', year: 2023 }
-        ];
-        return driversData[0]; // Currently showing Rajesh Yadav
+        // Single source of truth for every panel, set by loadDriverData()
+        return this.driver;
     }
 
     updateLastUpdated() {
-        const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
-        document.getElementById('lastUpdated').textContent = timeString;
+        document.getElementById('lastUpdated').textContent = I18n.time(this.clock.now());
     }
 
     // Notification System
+    // duration is stretched or shortened by the driver's notification setting
     showNotification(message, type = 'info', duration = 5000) {
+        const scale = this.config.settings.notificationScale[this.settings.get('notificationDuration')] || 1;
         const container = document.getElementById('notificationsContainer');
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         
-        const icon = this.getNotificationIcon(type);
-        notification.innerHTML = `
-            <i class="${icon}"></i>
-            <span>${message}</span>
-        `;
+        const icon = document.createElement('i');
+        icon.className = this.getNotificationIcon(type);
+        const text = document.createElement('span');
+        text.textContent = message;
+        notification.append(icon, text);
         
         container.appendChild(notification);
         
@@ -432,7 +2244,7 @@ class DriverDashboard {
             setTimeout(() => {
                 container.removeChild(notification);
             }, 300);
-        }, duration);
+        }, duration * scale);
     }
 
     getNotificationIcon(type) {
@@ -446,9 +2258,8 @@ class DriverDashboard {
     }
 
     // Emergency System
-    reportEmergency(type) {
-        this.emergencyReported = true;
-        
+    // The English label goes to dispatch with the report; the driver sees their own language
+    getEmergencyLabel(type) {
         const emergencyTypes = {
             accident: 'Vehicle Accident',
             breakdown: 'Vehicle Breakdown',
@@ -456,179 +2267,266 @@ class DriverDashboard {
             security: 'Security Issue',
             other: 'General Emergency'
         };
-        
-        const emergencyType = emergencyTypes[type] || 'Emergency';
-        
-        // Close modal
-        this.closeEmergencyModal();
-        
-        // Show confirmation
-        this.showNotification(`${emergencyType} reported successfully. Help is on the way!`, 'success', 8000);
-        
-        // Add to activities
-        this.addActivity('emergency', `${emergencyType} Reported`, 'Emergency services contacted');
-        
-        // In a real app, this would send data to the server
-        console.log('Emergency reported:', {
-            type: type,
-            location: this.currentLocation,
-            timestamp: new Date(),
-            driverId: document.getElementById('driverIdDisplay').textContent,
-            vehicleId: document.getElementById('vehicleId').textContent
-        });
+        return emergencyTypes[type] || 'Emergency';
     }
 
-    addActivity(type, title, details) {
-        const activitiesList = document.getElementById('activitiesList');
-        const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
-        
-        const activityItem = document.createElement('div');
-        activityItem.className = 'activity-item';
-        
-        const iconClass = type === 'emergency' ? 'fas fa-exclamation-triangle' : 'fas fa-info-circle';
-        const iconType = type === 'emergency' ? 'error' : 'delivered';
-        
-        activityItem.innerHTML = `
-            <div class="activity-icon ${iconType}">
-                <i class="${iconClass}"></i>
-            </div>
-            <div class="activity-content">
-                <span class="activity-title">${title}</span>
-                <span class="activity-details">${details}</span>
-                <span class="activity-time">${timeString}</span>
-            </div>
-        `;
+    emergencyTitle(type) {
+        return I18n.label(`emergency.${type}`, this.getEmergencyLabel(type));
+    }
+
+    // details: extra payload fields, e.g. from a failed inspection
+    async reportEmergency(type, details = {}) {
+        this.emergencyReported = true;
+        const emergencyType = this.getEmergencyLabel(type);
+        const title = this.emergencyTitle(type);
         
-        activitiesList.insertBefore(activityItem, activitiesList.firstChild);
+        // Close modal
+        closeEmergencyModal();
         
-        // Keep only last 5 activities
-        while (activitiesList.children.length > 5) {
-            activitiesList.removeChild(activitiesList.lastChild);
+        this.showNotification(I18n.t('notify.emergencySending', { type: title }), 'warning', 8000);
+        this.addActivity('emergency', I18n.t('activity.emergencyReported', { type: title }), I18n.t('emergency.sending'));
+
+        try {
+            await this.emergencyDispatcher.report({
+                type: type,
+                label: emergencyType,
+                location: this.tracker.location,
+                trail: this.recentFixes.slice(),
+                timestamp: new Date(this.clock.now()).toISOString(),
+                driverId: this.driver ? this.driver.id : this.session.getDriverId(),
+                vehicleId: this.vehicle ? this.vehicle.id : null,
+                ...details
+            });
+        } catch (error) {
+            // Could not even store the report; go straight to the phone fallback
+            console.error('Emergency report error:', error);
+            this.showNotification(I18n.t('notify.emergencyQueueError'), 'error', 15000);
+            window.location.href = `tel:${this.config.emergency.fallbackPhone}`;
         }
     }
-}
 
-// Global Functions
-function openEmergencyModal() {
-    document.getElementById('emergencyModal').classList.add('show');
-}
+    bindEmergencyEvents() {
+        const dispatcher = this.emergencyDispatcher;
 
-function closeEmergencyModal() {
-    document.getElementById('emergencyModal').classList.remove('show');
-}
+        dispatcher.addEventListener('statuschange', (event) => {
+            const incident = event.detail.incident;
+            const previous = this.incidentStatuses[incident.id];
+            this.incidentStatuses[incident.id] = incident.status;
 
-function reportEmergency(type) {
-    if (window.dashboard) {
-        window.dashboard.reportEmergency(type);
+            if (previous && previous !== incident.status) {
+                const label = this.emergencyTitle(incident.payload.type);
+                if (incident.status === 'delivered') {
+                    this.showNotification(I18n.t('notify.emergencyDelivered', { type: label }), 'info', 8000);
+                    this.addActivity('emergency', I18n.t('activity.reportDelivered'), I18n.t('activity.reportReceived', { type: label }));
+                } else if (incident.status === 'acknowledged') {
+                    const values = { type: label, name: incident.acknowledgedBy };
+                    const by = incident.acknowledgedBy ? 'By' : '';
+                    this.showNotification(I18n.t(`notify.emergencyAcknowledged${by}`, values), 'success', 10000);
+                    this.addActivity('emergency', I18n.t('activity.dispatcherAcknowledged'), I18n.t(`activity.acknowledged${by}`, values));
+                } else if (incident.status === 'closed') {
+                    this.addActivity('emergency', I18n.t('activity.incidentClosed'), label);
+                }
+            }
+            this.renderIncidentBanner();
+        });
+
+        dispatcher.addEventListener('fallback', (event) => {
+            this.showNotification(I18n.t('notify.emergencyFallback'), 'error', 15000);
+            this.renderIncidentBanner();
+        });
+        window.addEventListener('offline', () => {
+            dispatcher.connectionLost().catch(error => console.error('Incident error:', error));
+        });
+
+        dispatcher.resume().catch(error => console.error('Incident restore error:', error));
     }
-}
 
-function acknowledgeSpeedWarning() {
-    document.getElementById('speedWarningModal').classList.remove('show');
-}
+    renderIncidentBanner() {
+        const banner = document.getElementById('incidentBanner');
+        const incident = this.emergencyDispatcher.openIncidents.pop();
+        if (!incident) {
+            banner.hidden = true;
+            return;
+        }
 
-function toggleUserMenu() {
-    const dropdown = document.getElementById('userDropdown');
-    dropdown.classList.toggle('show');
-}
+        const statusText = {
+            sending: incident.attempts > 1 ?
+                I18n.t('incident.retrying', { attempt: I18n.number(incident.attempts) }) :
+                I18n.t('incident.sending'),
+            failed: I18n.t('incident.rejected'),
+            delivered: I18n.t('incident.delivered'),
+            acknowledged: incident.acknowledgedBy ?
+                I18n.t('incident.acknowledgedBy', { name: incident.acknowledgedBy }) :
+                I18n.t('incident.acknowledged')
+        };
 
+        banner.hidden = false;
+        banner.className = `incident-banner ${incident.status}`;
+        banner.dataset.incidentId = incident.id;
+        document.getElementById('incidentTitle').textContent = this.emergencyTitle(incident.payload.type);
+        document.getElementById('incidentStatus').textContent = statusText[incident.status];
 
-function logout() {
-    if (confirm('Are you sure you want to logout?')) {
-        // Clear any session data
-        sessionStorage.clear();
-        // Reload the page to reset the dashboard
-        window.location.reload();
+        const showFallback = ['sending', 'failed'].includes(incident.status) && incident.fallback;
+        const links = EmergencyDispatcher.fallbackLinks(incident, this.config.emergency.fallbackPhone, this.config.emergency.fallbackSms);
+        const call = document.getElementById('incidentCall');
+        const sms = document.getElementById('incidentSms');
+        call.hidden = !showFallback;
+        sms.hidden = !showFallback;
+        call.href = links.tel;
+        sms.href = links.sms;
     }
-    toggleUserMenu();
-}
 
-// Map Controls
-function centerMap() {
-    if (window.dashboard && window.dashboard.currentLocation) {
-        const { lat, lng } = window.dashboard.currentLocation;
-        window.dashboard.map.setView([lat, lng], 15);
-    } else {
-        window.dashboard.showNotification('Location not available', 'warning');
+    closeIncident() {
+        const id = document.getElementById('incidentBanner').dataset.incidentId;
+        if (id && confirm(I18n.t('incident.confirmClose'))) {
+            this.emergencyDispatcher.close(id);
+        }
     }
-}
 
-function toggleTraffic() {
-    window.dashboard.showNotification('Traffic layer toggled', 'info');
-}
+    // Activities
+    async loadActivities() {
+        try {
+            await this.activityLog.prune();
+            const activities = await this.activityLog.recent(this.config.activities.recent);
+            document.getElementById('activitiesList').replaceChildren(...activities.map(activity => this.createActivityItem(activity)));
+        } catch (error) {
+            console.error('Activity restore error:', error);
+        }
+    }
 
-function toggleSatellite() {
-    window.dashboard.showNotification('Satellite view toggled', 'info');
-}
+    stopActivityType(stop) {
+        return stop.type === 'pickup' ? 'pickup' : 'delivery';
+    }
 
-// Close dropdowns when clicking outside
-document.addEventListener('click', function(event) {
-    const userMenu = document.querySelector('.user-menu');
-    const userDropdown = document.getElementById('userDropdown');
-    
-    if (!userMenu.contains(event.target)) {
-        userDropdown.classList.remove('show');
+    addActivity(type, title, details) {
+        this.activityLog.add(type, title, details)
+            .then(activity => {
+                const activitiesList = document.getElementById('activitiesList');
+                activitiesList.insertBefore(this.createActivityItem(activity), activitiesList.firstChild);
+                while (activitiesList.children.length > this.config.activities.recent) {
+                    activitiesList.removeChild(activitiesList.lastChild);
+                }
+                if (document.getElementById('activityPanel').classList.contains('show')) {
+                    this.renderActivityHistory();
+                }
+            })
+            .catch(error => console.error('Activity error:', error));
     }
-});
 
-// Initialize dashboard when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    window.dashboard = new DriverDashboard();
-    
-    // Add some sample activities on load
-    setTimeout(() => {
-        window.dashboard.addActivity('delivered', 'Delivery Completed', 'Package delivered to 456 Oak Ave');
-    }, 2000);
-    
-    setTimeout(() => {
-        window.dashboard.addActivity('pickup', 'Package Picked Up', 'Collected from Warehouse B');
-    }, 4000);
-});
-
-// Handle page visibility changes
-document.addEventListener('visibilitychange', function() {
-    if (document.hidden) {
-        console.log('Dashboard hidden - reducing update frequency');
-    } else {
-        console.log('Dashboard visible - resuming normal updates');
-        if (window.dashboard) {
-            window.dashboard.updateDashboardData();
-        }
-    }
-});
-
-// Keyboard shortcuts
-document.addEventListener('keydown', function(event) {
-    // Emergency shortcut: Ctrl + E
-    if (event.ctrlKey && event.key === 'e') {
-        event.preventDefault();
-        openEmergencyModal();
+    createActivityItem(activity) {
+        const category = ACTIVITY_TYPES[activity.type];
+        const item = document.createElement('div');
+        item.className = 'activity-item';
+
+        const icon = document.createElement('div');
+        icon.className = `activity-icon ${category.style}`;
+        const glyph = document.createElement('i');
+        glyph.className = category.icon;
+        icon.appendChild(glyph);
+
+        const content = document.createElement('div');
+        content.className = 'activity-content';
+        [
+            ['activity-title', activity.title],
+            ['activity-details', activity.details],
+            ['activity-time', I18n.time(activity.at)]
+        ].forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            content.appendChild(span);
+        });
+
+        item.append(icon, content);
+        return item;
     }
-    
-    // Center map: Ctrl + M
-    if (event.ctrlKey && event.key === 'm') {
-        event.preventDefault();
-        centerMap();
+
+    showActivityHistory() {
+        const filter = document.getElementById('activityType');
+        if (filter.options.length === 0) {
+            filter.append(new Option(I18n.t('activity.all'), ''),
+                ...Object.entries(ACTIVITY_TYPES).map(([type, category]) => new Option(I18n.label(`activityType.${type}`, category.label), type)));
+        }
+        document.getElementById('activityDate').value = LocalStore.dayKey(this.clock.now());
+        this.renderActivityHistory();
+        openPanel('activityPanel');
     }
-});
 
-// Add CSS for slideOut animation
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideOut {
-        from {
-            transform: translateX(0);
-            opacity: 1;
+    activityFilter() {
+        const type = document.getElementById('activityType').value;
+        return {
+            day: document.getElementById('activityDate').value || LocalStore.dayKey(this.clock.now()),
+            types: type ? [type] : null
+        };
+    }
+
+    async renderActivityHistory() {
+        const { day, types } = this.activityFilter();
+        const list = document.getElementById('activityHistory');
+        try {
+            const activities = await this.activityLog.forDay(day, types);
+            list.replaceChildren(...activities.map(activity => this.createActivityItem(activity)));
+            document.getElementById('activityEmpty').hidden = activities.length > 0;
+        } catch (error) {
+            console.error('Activity history error:', error);
+            this.showNotification(I18n.t('notify.activityHistoryError'), 'error');
         }
-        to {
-            transform: translateX(100%);
-            opacity: 0;
+    }
+
+    // The whole day, whatever the type filter, for the end-of-shift report
+    async exportActivities(format) {
+        const { day } = this.activityFilter();
+        try {
+            const activities = (await this.activityLog.forDay(day)).reverse();
+            if (activities.length === 0) {
+                this.showNotification(I18n.t('notify.noActivity', { date: I18n.date(`${day}T00:00`) }), 'info');
+                return;
+            }
+            const driver = this.driver || { id: this.session.getDriverId(), name: '' };
+            if (format === 'json') {
+                downloadFile(`activity-${driver.id}-${day}.json`, ActivityLog.toJson(activities, driver, day), 'application/json');
+            } else {
+                downloadFile(`activity-${driver.id}-${day}.csv`, ActivityLog.toCsv(activities, driver), 'text/csv');
+            }
+        } catch (error) {
+            console.error('Activity export error:', error);
+            this.showNotification(I18n.t('notify.activityExportError'), 'error');
         }
     }
-`;
-document.head.appendChild(style);
+}
+
+// Page helpers, shared with the inline handlers in main.js
+export function closeEmergencyModal() {
+    document.getElementById('emergencyModal').classList.remove('show');
+}
+
+export function openPanel(id) {
+    document.getElementById(id).classList.add('show');
+}
+
+export function closePanel(id) {
+    document.getElementById(id).classList.remove('show');
+}
+
+// Popup body built from text, so addresses and names from the server can't inject markup
+export function popupContent(title, lines) {
+    const content = document.createElement('div');
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    content.appendChild(heading);
+    lines.filter(Boolean).forEach(line => {
+        content.append(document.createElement('br'), line);
+    });
+    return content;
+}
+
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,271 @@
+// Driver and vehicle data access layer
+
+import { ApiError } from './api-client.js';
+
+export class DataSourceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DataSourceError';
+    }
+}
+
+// Backend adapter: GET /drivers/:id and /vehicles/:id
+export class RestDataSource {
+    constructor(apiClient, endpoints) {
+        this.api = apiClient;
+        this.endpoints = endpoints;
+    }
+
+    // Resolves to { token, driverId, expiresIn? }
+    authenticate(identifier, secret) {
+        return this.api.post(this.endpoints.login, { identifier, secret });
+    }
+
+    signOut() {
+        return this.api.post(this.endpoints.logout);
+    }
+
+    getDriver(id) {
+        return this.api.get(this.endpoints.driver, { id });
+    }
+
+    getVehicle(id) {
+        return this.api.get(this.endpoints.vehicle, { id });
+    }
+
+    // Resolves to { model, fuelType, tankCapacity (l), efficiency: { min, max } (km/l) }
+    getVehicleModel(model) {
+        return this.api.get(this.endpoints.vehicleModel, { model });
+    }
+
+    // Resolves to the pre-trip checklist items for a model: [{ id, label, category, critical }]
+    getInspectionChecklist(model) {
+        return this.api.get(this.endpoints.inspectionChecklist, { model });
+    }
+
+    // date is YYYY-MM-DD; resolves to an array of stops
+    getManifest(driverId, date) {
+        return this.api.get(this.endpoints.manifest, { id: driverId, date });
+    }
+
+    submitProofOfDelivery(record) {
+        return this.api.post(this.endpoints.deliveryProof, record, { id: record.stopId });
+    }
+
+    // Resolves to { opening: { type: days }, requests: [...] }
+    getLeave(driverId) {
+        return this.api.get(this.endpoints.leave, { id: driverId });
+    }
+
+    submitLeaveRequest(request) {
+        return this.api.post(this.endpoints.leave, request, { id: request.driverId });
+    }
+
+    // Resolves to the driver's recent messages with dispatch, oldest first
+    getMessages(driverId) {
+        return this.api.get(this.endpoints.messages, { id: driverId });
+    }
+
+    // Resolves to { id } of the stored message
+    sendMessage(message) {
+        return this.api.post(this.endpoints.messages, message, { id: message.driverId });
+    }
+
+    markMessageRead(messageId, readAt) {
+        return this.api.post(this.endpoints.messageRead, { readAt }, { id: messageId });
+    }
+
+    // Resolves to the fleet's settings policy for the driver (see settings.js)
+    getSettingsPolicy(driverId) {
+        return this.api.get(this.endpoints.settingsPolicy, { id: driverId });
+    }
+}
+
+// Offline/demo adapter reading JSON or CSV files shipped with the app
+export class FixtureDataSource {
+    // fetcher resolves a fixture URL to a fetch-style Response
+    constructor(fixtures, fetcher = (url) => fetch(url)) {
+        this.fixtures = fixtures;
+        this.fetcher = fetcher;
+        this.cache = {};
+    }
+
+    // Demo sign-in: driver ID or licence number plus the fixture PIN
+    async authenticate(identifier, secret) {
+        const drivers = await this.load('drivers');
+        const key = String(identifier).trim().toUpperCase();
+        const driver = drivers.find(item =>
+            (String(item.id).toUpperCase() === key || String(item.license).toUpperCase() === key) &&
+            String(item.pin) === String(secret)
+        );
+        if (!driver) {
+            throw new ApiError('Invalid driver ID or PIN', 401);
+        }
+        return {
+            token: `demo-${driver.id}-${Date.now().toString(36)}`,
+            driverId: driver.id
+        };
+    }
+
+    async signOut() {
+        return null;
+    }
+
+    async getDriver(id) {
+        return this.findById('drivers', id);
+    }
+
+    async getVehicle(id) {
+        return this.findById('vehicles', id);
+    }
+
+    async getVehicleModel(model) {
+        const models = await this.load('vehicleModels');
+        const spec = models.find(item => item.model.toLowerCase() === String(model).toLowerCase());
+        if (!spec) {
+            throw new DataSourceError(`No vehicle model ${model}`);
+        }
+        return spec;
+    }
+
+    // Every model gets the default items plus any of its own
+    async getInspectionChecklist(model) {
+        const checklists = await this.load('checklists');
+        const key = Object.keys(checklists.models).find(name => name.toLowerCase() === String(model).toLowerCase());
+        return checklists.default.concat(key ? checklists.models[key] : []);
+    }
+
+    // Fixture manifests are keyed by driver id and reused for every date
+    async getManifest(driverId) {
+        const manifests = await this.load('manifests');
+        return manifests[driverId] || [];
+    }
+
+    // Nothing to upload to in demo mode; records stay in IndexedDB
+    async submitProofOfDelivery() {
+        return null;
+    }
+
+    async getLeave(driverId) {
+        const leave = await this.load('leave');
+        return leave[driverId] || { opening: {}, requests: [] };
+    }
+
+    // Demo requests stay pending on this device; nobody is there to approve them
+    async submitLeaveRequest() {
+        return null;
+    }
+
+    async getMessages(driverId) {
+        const messages = await this.load('messages');
+        return messages[driverId] || [];
+    }
+
+    // Demo messages go nowhere; they show as sent so the thread reads naturally
+    async sendMessage() {
+        return null;
+    }
+
+    async markMessageRead() {
+        return null;
+    }
+
+    // One demo policy for every driver
+    async getSettingsPolicy() {
+        return this.load('settingsPolicy');
+    }
+
+    async findById(collection, id) {
+        const records = await this.load(collection);
+        const record = records.find(item => String(item.id).toUpperCase() === String(id).toUpperCase());
+        if (!record) {
+            throw new DataSourceError(`No ${collection} record with id ${id}`);
+        }
+        return record;
+    }
+
+    load(collection) {
+        if (!this.cache[collection]) {
+            const url = this.fixtures[collection];
+            this.cache[collection] = this.fetcher(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new DataSourceError(`Could not load fixture ${url}`);
+                    }
+                    return response.text();
+                })
+                .then(text => url.endsWith('.csv') ? FixtureDataSource.parseCsv(text) : JSON.parse(text))
+                .catch(error => {
+                    delete this.cache[collection];
+                    throw error;
+                });
+        }
+        return this.cache[collection];
+    }
+
+    // Header row gives the keys; numeric cells become numbers
+    static parseCsv(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            return [];
+        }
+
+        const splitRow = (line) => {
+            const cells = [];
+            let current = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '"' && line[i + 1] === '"' && quoted) {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = !quoted;
+                } else if (char === ',' && !quoted) {
+                    cells.push(current.trim());
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            cells.push(current.trim());
+            return cells;
+        };
+
+        const headers = splitRow(lines[0]);
+        return lines.slice(1).map(line => {
+            const cells = splitRow(line);
+            const record = {};
+            headers.forEach((header, index) => {
+                const value = cells[index] !== undefined ? cells[index] : '';
+                record[header] = value !== '' && !isNaN(value) && !/^0\d/.test(value) ? Number(value) : value;
+            });
+            return record;
+        });
+    }
+}
+
+// Flattens the driver, vehicle and model records into what the profile and vehicle cards show.
+// spec is null for a model we have no data on; experience is whole years since the licence was issued.
+export function driverProfile(driver, vehicle, spec, options = {}) {
+    const year = options.year || new Date().getFullYear();
+    return {
+        name: driver.name,
+        id: driver.id,
+        license: driver.license,
+        phone: driver.phone,
+        experienceYears: Math.max(year - Number(driver.licenseIssued), 0),
+        vehicleId: vehicle.id,
+        licensePlate: vehicle.plate,
+        vehicleModel: `${vehicle.model} ${vehicle.year}`,
+        efficiency: spec ? spec.efficiency : options.defaultEfficiency, // rated km/l band: { min, max }
+        fuelType: vehicle.fuelType || (spec && spec.fuelType) || 'Diesel'
+    };
+}
+
+export function createDataSource(config, apiClient) {
+    if (config.dataSource.type === 'rest') {
+        return new RestDataSource(apiClient, config.api.endpoints);
+    }
+    return new FixtureDataSource(config.dataSource.fixtures);
+}
@@ -0,0 +1,276 @@
+// Driving behaviour - overspeed episodes, harsh braking/acceleration and per-trip scores
+//
+// A trip starts when the vehicle moves and ends once it has been stopped, or without a fix,
+// for tripGap ms. Trips and events are stamped with the clock when each reading arrives, as
+// replayed tracks carry their original timestamps; those only time braking and acceleration.
+// Trips are kept in the 'trips' store with their distance (m) and events:
+//   overspeed:              { type, start, end, peakSpeed, limit, zone, location, acknowledged }
+//   hard-brake, hard-accel: { type, at, from, to, rate (m/s²), location }
+// Events: 'tripstart' and 'tripend' (detail.trip), 'event' (detail.trip, detail.event) when an
+// event is complete, and 'change' (detail.trip) whenever the current trip's score may have moved.
+
+import { systemClock } from './clock.js';
+
+export const DRIVING_EVENT_LABELS = {
+    'overspeed': 'Overspeed',
+    'hard-brake': 'Hard braking',
+    'hard-accel': 'Hard acceleration'
+};
+
+export class DrivingMonitor extends EventTarget {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        this.tripGap = options.tripGap || 300000;
+        this.hardBrake = options.hardBrake || 3.5;
+        this.hardAccel = options.hardAccel || 3.0;
+        this.maxSampleGap = options.maxSampleGap || 5000; // ms; longer gaps say nothing about braking
+        this.penalties = { ...DrivingMonitor.defaultPenalties, ...options.penalties };
+        this.trip = null;
+        this.episode = null; // overspeed episode in progress
+        this.harsh = null; // harsh event type the previous sample was already part of
+        this.last = null;
+        this.stoppedSince = null;
+        this.savedAt = 0;
+        this.receivedAt = 0; // arrival of the last reading
+    }
+
+    static get defaultPenalties() {
+        return {
+            overspeed: 5,
+            perKmhOver: 0.5, // per km/h of peak speed above the limit
+            perMinuteOver: 2,
+            unacknowledged: 2,
+            'hard-brake': 4,
+            'hard-accel': 2
+        };
+    }
+
+    // Carry on with a trip interrupted by a reload, or close it if it has gone quiet since
+    async resume(now = this.clock.now()) {
+        const trips = await this.store.getAll('trips');
+        const open = trips.find(trip => !trip.endedAt);
+        if (!open) {
+            return null;
+        }
+        this.trip = open;
+        this.receivedAt = open.lastAt;
+        if (now - open.lastAt >= this.tripGap) {
+            await this.endTrip(open.lastAt);
+            return null;
+        }
+        return open;
+    }
+
+    // reading: { speed (km/h), limit (km/h), zone (name or null), location, timestamp }
+    update(reading, now = this.clock.now()) {
+        this.receivedAt = now;
+        if (!this.trip) {
+            if (reading.speed <= 0) {
+                return;
+            }
+            this.startTrip(now);
+        }
+
+        const trip = this.trip;
+        if (this.last) {
+            this.detectHarsh(this.last, reading, now);
+        }
+        this.trackOverspeed(reading, now);
+
+        trip.maxSpeed = Math.max(trip.maxSpeed, reading.speed);
+        trip.lastAt = now;
+        this.last = reading;
+        this.stoppedSince = reading.speed > 0 ? null : (this.stoppedSince || now);
+
+        if (this.stoppedSince && now - this.stoppedSince >= this.tripGap) {
+            this.endTrip(this.stoppedSince);
+        } else if (now - this.savedAt >= 60000) {
+            this.save();
+        }
+    }
+
+    // No usable fix: an overspeed episode or speed change can't be judged across the gap
+    signalLost() {
+        if (this.episode && this.last) {
+            this.closeEpisode(this.receivedAt);
+        }
+        this.last = null;
+        this.harsh = null;
+    }
+
+    // Called periodically so a trip ends even when fixes stop arriving altogether
+    tick(now = this.clock.now()) {
+        if (this.trip && now - this.receivedAt >= this.tripGap) {
+            this.endTrip(this.stoppedSince || this.trip.lastAt);
+        }
+    }
+
+    // Metres from the odometer; only counted while a trip is under way
+    addDistance(metres) {
+        if (this.trip) {
+            this.trip.distance = (this.trip.distance || 0) + metres;
+        }
+    }
+
+    // Driver pressed "I understand" on the speed warning
+    acknowledge(now = this.clock.now()) {
+        const episode = this.episode || (this.trip && this.trip.events
+            .filter(event => event.type === 'overspeed' && !event.acknowledged)
+            .pop());
+        if (!episode) {
+            return;
+        }
+        episode.acknowledged = true;
+        episode.acknowledgedAt = now;
+        this.changed();
+    }
+
+    startTrip(timestamp) {
+        this.trip = {
+            id: `TRIP-${timestamp}`,
+            startedAt: timestamp,
+            endedAt: null,
+            lastAt: timestamp,
+            maxSpeed: 0,
+            distance: 0,
+            events: [],
+            score: 100
+        };
+        this.last = null;
+        this.harsh = null;
+        this.stoppedSince = null;
+        this.dispatchEvent(new CustomEvent('tripstart', { detail: { trip: this.trip } }));
+        this.save();
+    }
+
+    async endTrip(at) {
+        const trip = this.trip;
+        if (this.episode) {
+            this.closeEpisode(Math.min(at, trip.lastAt));
+        }
+        trip.endedAt = at;
+        trip.score = DrivingMonitor.score(trip, this.penalties);
+        this.trip = null;
+        this.last = null;
+        this.stoppedSince = null;
+        await this.store.put('trips', trip);
+        this.dispatchEvent(new CustomEvent('tripend', { detail: { trip } }));
+    }
+
+    trackOverspeed(reading, now) {
+        const over = reading.limit && reading.speed > reading.limit;
+        // A new limit (entering or leaving a zone) starts a new episode
+        if (this.episode && (!over || this.episode.limit !== reading.limit)) {
+            this.closeEpisode(now);
+        }
+        if (!over) {
+            return;
+        }
+
+        if (!this.episode) {
+            this.episode = {
+                type: 'overspeed',
+                start: now,
+                end: null,
+                peakSpeed: reading.speed,
+                limit: reading.limit,
+                zone: reading.zone || null,
+                location: reading.location || null,
+                acknowledged: false
+            };
+            this.trip.events.push(this.episode);
+            this.changed();
+        } else if (reading.speed > this.episode.peakSpeed) {
+            this.episode.peakSpeed = reading.speed;
+        }
+    }
+
+    closeEpisode(at) {
+        const episode = this.episode;
+        episode.end = Math.max(at, episode.start);
+        this.episode = null;
+        this.completeEvent(episode);
+    }
+
+    detectHarsh(previous, reading, now) {
+        const elapsed = reading.timestamp - previous.timestamp;
+        if (elapsed <= 0 || elapsed > this.maxSampleGap) {
+            this.harsh = null;
+            return;
+        }
+
+        const rate = (reading.speed - previous.speed) / 3.6 / (elapsed / 1000);
+        const type = rate <= -this.hardBrake ? 'hard-brake' : (rate >= this.hardAccel ? 'hard-accel' : null);
+        // One event per braking/acceleration, however many samples it spans
+        if (type && type !== this.harsh) {
+            this.trip.events.push({
+                type,
+                at: now,
+                from: previous.speed,
+                to: reading.speed,
+                rate: Math.round(rate * 10) / 10,
+                location: reading.location || null
+            });
+            this.completeEvent(this.trip.events[this.trip.events.length - 1]);
+        }
+        this.harsh = type;
+    }
+
+    completeEvent(event) {
+        this.dispatchEvent(new CustomEvent('event', { detail: { trip: this.trip, event } }));
+        this.changed();
+    }
+
+    changed() {
+        this.trip.score = DrivingMonitor.score(this.trip, this.penalties);
+        this.dispatchEvent(new CustomEvent('change', { detail: { trip: this.trip } }));
+        this.save();
+    }
+
+    save() {
+        if (!this.trip) {
+            return;
+        }
+        this.savedAt = this.trip.lastAt;
+        this.store.put('trips', this.trip).catch(error => console.error('Trip save error:', error));
+    }
+
+    // Trips started since `since` (ms), oldest first, including the one in progress
+    async getTrips(since = 0) {
+        const trips = await this.store.getAll('trips');
+        const current = this.trip;
+        return trips
+            .map(trip => (current && trip.id === current.id ? current : trip))
+            .concat(current && !trips.some(trip => trip.id === current.id) ? [current] : [])
+            .filter(trip => trip.startedAt >= since)
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    static score(trip, penalties = DrivingMonitor.defaultPenalties) {
+        const deductions = trip.events.reduce((total, event) => {
+            if (event.type !== 'overspeed') {
+                return total + (penalties[event.type] || 0);
+            }
+            const minutes = ((event.end || trip.lastAt) - event.start) / 60000;
+            return total + penalties.overspeed +
+                penalties.perKmhOver * (event.peakSpeed - event.limit) +
+                penalties.perMinuteOver * minutes +
+                (event.acknowledged ? 0 : penalties.unacknowledged);
+        }, 0);
+        return Math.max(0, Math.round(100 - deductions));
+    }
+
+    // Average of trip scores weighted by how long each trip lasted; null without trips
+    static combinedScore(trips) {
+        let weighted = 0;
+        let duration = 0;
+        trips.forEach(trip => {
+            const length = Math.max((trip.endedAt || trip.lastAt) - trip.startedAt, 1);
+            weighted += trip.score * length;
+            duration += length;
+        });
+        return duration ? Math.round(weighted / duration) : null;
+    }
+}
@@ -0,0 +1,248 @@
+// Emergency dispatch - delivery through the sync queue, acknowledgement tracking and location sharing
+//
+// Incident status: 'sending' -> 'delivered' -> 'acknowledged' -> 'closed', or 'sending' -> 'failed'
+// when dispatch rejects the report outright (the queue drops it, so it is never retried)
+// Events: 'statuschange' (detail.incident) on every change, and 'fallback'
+// (detail.incident) once maxAttempts sends have failed, on a rejection, or straight away while the
+// device is offline (the queue doesn't try then), so the driver can call or text instead.
+// Reports, location shares and closes are queued at high priority so they go out ahead of
+// anything else waiting to sync; the queue keeps retrying after the fallback is offered.
+
+import { systemClock } from './clock.js';
+
+export class EmergencyDispatcher extends EventTarget {
+    constructor(api, store, queue, endpoints, options = {}) {
+        super();
+        this.api = api;
+        this.store = store;
+        this.queue = queue;
+        this.endpoints = endpoints;
+        this.clock = options.clock || systemClock;
+        this.maxAttempts = options.maxAttempts || 4;
+        this.pollInterval = options.pollInterval || 10000;
+        this.shareInterval = options.shareInterval || 15000;
+        this.incidents = new Map();
+        this.timers = new Map();
+        // Supplied by the dashboard: returns the latest { lat, lng, speed, accuracy, timestamp } or null
+        this.getLocation = () => null;
+
+        queue.addEventListener('sent', (event) => this.handleSent(event.detail.item, event.detail.result));
+        queue.addEventListener('failed', (event) => {
+            const { item, error, permanent } = event.detail;
+            this.handleFailed(item, error, permanent).catch(saveError => console.error('Incident save error:', saveError));
+        });
+    }
+
+    get openIncidents() {
+        return Array.from(this.incidents.values()).filter(incident => incident.status !== 'closed');
+    }
+
+    async report(payload) {
+        const now = this.clock.now();
+        const incident = {
+            id: `INC-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            status: 'sending',
+            attempts: 0,
+            fallback: false,
+            serverId: null,
+            acknowledgedBy: null,
+            payload,
+            createdAt: new Date(now).toISOString()
+        };
+        await this.save(incident);
+        this.emit(incident);
+        await this.queue.enqueue({
+            kind: 'emergency',
+            path: this.endpoints.emergency,
+            body: { ...payload, clientId: incident.id },
+            priority: 10,
+            ref: incident.id
+        });
+        if (!navigator.onLine) {
+            await this.offerFallback(incident);
+        }
+        return incident;
+    }
+
+    // Pick up incidents left open by a reload; unsent reports are still in the queue
+    async resume() {
+        const incidents = await this.store.getAll('incidents');
+        const open = incidents.filter(incident => incident.status !== 'closed');
+        open.forEach(incident => {
+            this.incidents.set(incident.id, incident);
+            this.emit(incident);
+            if (incident.status !== 'sending') {
+                this.track(incident);
+            }
+        });
+        if (!navigator.onLine) {
+            await this.connectionLost();
+        }
+        return open;
+    }
+
+    // Called when the device goes offline: reports still sending won't be tried until it's back
+    async connectionLost() {
+        const sending = this.openIncidents.filter(incident => incident.status === 'sending');
+        for (const incident of sending) {
+            await this.offerFallback(incident);
+        }
+    }
+
+    async handleSent(item, result) {
+        const incident = this.incidents.get(item.ref);
+        if (item.kind !== 'emergency' || !incident || incident.status !== 'sending') {
+            return;
+        }
+        incident.serverId = (result && result.id) || incident.id;
+        await this.setStatus(incident, 'delivered');
+        this.track(incident);
+    }
+
+    async handleFailed(item, error, permanent = false) {
+        const incident = this.incidents.get(item.ref);
+        if (item.kind !== 'emergency' || !incident || incident.status !== 'sending') {
+            return;
+        }
+        console.warn(`Emergency send attempt ${item.attempts} failed:`, error);
+        incident.attempts = item.attempts;
+        incident.lastError = error.message;
+        if (permanent) {
+            await this.setStatus(incident, 'failed');
+        } else {
+            await this.save(incident);
+            this.emit(incident);
+        }
+
+        if (permanent || incident.attempts >= this.maxAttempts) {
+            await this.offerFallback(incident);
+        }
+    }
+
+    // Once per incident
+    async offerFallback(incident) {
+        if (incident.fallback) {
+            return;
+        }
+        incident.fallback = true;
+        await this.save(incident);
+        this.dispatchEvent(new CustomEvent('fallback', { detail: { incident } }));
+    }
+
+    track(incident) {
+        this.clearTimer(incident.id, 'poll');
+        this.clearTimer(incident.id, 'share');
+        this.setTimer(incident.id, 'poll', setInterval(() => this.poll(incident), this.pollInterval));
+        this.setTimer(incident.id, 'share', setInterval(() => this.shareLocation(incident), this.shareInterval));
+        this.shareLocation(incident);
+    }
+
+    async poll(incident) {
+        try {
+            const result = await this.api.get(this.endpoints.emergencyStatus, { id: incident.serverId });
+            if (result.status === 'acknowledged' && incident.status === 'delivered') {
+                incident.acknowledgedBy = result.dispatcher || null;
+                await this.setStatus(incident, 'acknowledged');
+            } else if (result.status === 'closed') {
+                await this.finish(incident);
+            }
+        } catch (error) {
+            console.warn('Emergency status check failed:', error);
+        }
+    }
+
+    async shareLocation(incident) {
+        const fix = this.getLocation();
+        if (!fix) {
+            return;
+        }
+        try {
+            await this.queue.enqueue({
+                kind: 'emergency-location',
+                path: this.endpoints.emergencyLocation,
+                params: { id: incident.serverId },
+                body: fix,
+                priority: 10,
+                ref: incident.id
+            });
+        } catch (error) {
+            console.warn('Emergency location share failed:', error);
+        }
+    }
+
+    // Every stored incident, closed ones included, e.g. for the end-of-shift report
+    history() {
+        return this.store.getAll('incidents');
+    }
+
+    // Driver marks the incident as resolved
+    async close(id) {
+        const incident = this.incidents.get(id);
+        if (!incident) {
+            return;
+        }
+        try {
+            if (incident.serverId) {
+                await this.queue.enqueue({
+                    kind: 'emergency-close',
+                    path: this.endpoints.emergencyClose,
+                    params: { id: incident.serverId },
+                    body: { closedAt: new Date(this.clock.now()).toISOString() },
+                    priority: 10,
+                    ref: incident.id
+                });
+            } else {
+                // Never reached dispatch, so there is nothing to close on the server
+                await this.queue.cancel(incident.id);
+            }
+        } catch (error) {
+            console.warn('Emergency close request failed:', error);
+        }
+        await this.finish(incident);
+    }
+
+    async finish(incident) {
+        ['poll', 'share'].forEach(kind => this.clearTimer(incident.id, kind));
+        await this.setStatus(incident, 'closed');
+    }
+
+    async setStatus(incident, status) {
+        incident.status = status;
+        incident[`${status}At`] = new Date(this.clock.now()).toISOString();
+        await this.save(incident);
+        this.emit(incident);
+    }
+
+    save(incident) {
+        this.incidents.set(incident.id, incident);
+        return this.store.put('incidents', incident);
+    }
+
+    emit(incident) {
+        this.dispatchEvent(new CustomEvent('statuschange', { detail: { incident } }));
+    }
+
+    setTimer(id, kind, handle) {
+        this.timers.set(`${id}:${kind}`, handle);
+    }
+
+    clearTimer(id, kind) {
+        const key = `${id}:${kind}`;
+        if (this.timers.has(key)) {
+            clearTimeout(this.timers.get(key));
+            clearInterval(this.timers.get(key));
+            this.timers.delete(key);
+        }
+    }
+
+    // tel:/sms: links for when the report cannot get through
+    static fallbackLinks(incident, phone, smsNumber) {
+        const { label, location } = incident.payload;
+        const where = location ? ` at ${location.lat.toFixed(5)},${location.lng.toFixed(5)}` : '';
+        const body = `EMERGENCY: ${label}${where}. Driver ${incident.payload.driverId}, vehicle ${incident.payload.vehicleId}.`;
+        return {
+            tel: `tel:${phone}`,
+            sms: `sms:${smsNumber || phone}?body=${encodeURIComponent(body)}`
+        };
+    }
+}
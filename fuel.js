@@ -0,0 +1,111 @@
+// Fuel logging - fill-ups, measured km/l against the rated band, fuel estimate and anomaly flags
+//
+// Fill-ups are kept in the 'fuelLogs' store:
+//   { id, vehicleId, driverId, litres, cost, odometer (km), station, fullTank, receipt, timestamp, flags }
+// Consumption uses the full-to-full method: the litres of every fill after one full tank, up to
+// and including the next full tank, over the distance between the two.
+export const FUEL_FLAGS = {
+    'over-capacity': 'More litres than the tank holds',
+    'odometer-backwards': 'Odometer is lower than at the previous fill',
+    'odometer-mismatch': 'Odometer differs from the tracked reading',
+    'low-efficiency': 'Consumption is worse than the rated band',
+    'high-efficiency': 'Consumption is better than the rated band - was a fill missed?'
+};
+
+export class FuelLog {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.efficiencyTolerance = options.efficiencyTolerance || 0.25;
+        this.odometerTolerance = options.odometerTolerance || 25;
+    }
+
+    // Oldest first
+    async getFills(vehicleId) {
+        const fills = await this.store.getAll('fuelLogs', { index: 'vehicleId', query: vehicleId });
+        return fills.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    // spec is the vehicle model record; trackedOdometer the GPS odometer in km, if known
+    async add(fill, previous, spec, trackedOdometer = null) {
+        const record = { id: `FUEL-${Date.now()}`, ...fill };
+        record.flags = this.check(record, previous, spec, trackedOdometer);
+        await this.store.put('fuelLogs', record);
+        return record;
+    }
+
+    check(fill, previous, spec, trackedOdometer) {
+        const flags = [];
+        const last = previous[previous.length - 1];
+        if (spec && fill.litres > spec.tankCapacity) {
+            flags.push('over-capacity');
+        }
+        if (last && fill.odometer < last.odometer) {
+            flags.push('odometer-backwards');
+        }
+        if (trackedOdometer !== null && Math.abs(fill.odometer - trackedOdometer) > this.odometerTolerance) {
+            flags.push('odometer-mismatch');
+        }
+
+        const segment = FuelLog.consumption(previous.concat(fill)).pop();
+        if (spec && segment && segment.toId === fill.id) {
+            const band = spec.efficiency;
+            if (segment.efficiency < band.min * (1 - this.efficiencyTolerance)) {
+                flags.push('low-efficiency');
+            } else if (segment.efficiency > band.max * (1 + this.efficiencyTolerance)) {
+                flags.push('high-efficiency');
+            }
+        }
+        return flags;
+    }
+
+    // km/l for each full-to-full segment: { fromId, toId, distance, litres, efficiency }
+    static consumption(fills) {
+        const segments = [];
+        let start = null;
+        let litres = 0;
+        fills.forEach(fill => {
+            if (start) {
+                litres += fill.litres;
+            }
+            if (!fill.fullTank) {
+                return;
+            }
+            if (start && fill.odometer > start.odometer && litres > 0) {
+                const distance = fill.odometer - start.odometer;
+                segments.push({ fromId: start.id, toId: fill.id, distance, litres, efficiency: distance / litres });
+            }
+            start = fill;
+            litres = 0;
+        });
+        return segments;
+    }
+
+    // Distance-weighted km/l over all segments, or null before the second full tank
+    static averageEfficiency(fills) {
+        const segments = FuelLog.consumption(fills);
+        const distance = segments.reduce((total, segment) => total + segment.distance, 0);
+        const litres = segments.reduce((total, segment) => total + segment.litres, 0);
+        return litres > 0 ? distance / litres : null;
+    }
+
+    // Fuel left, assuming the last full tank and burning at the measured (or rated) rate since.
+    // Returns { litres, ratio, range (km), distance (km since that fill), fillId } or null.
+    static estimate(fills, spec, odometerKm) {
+        const lastFull = fills.filter(fill => fill.fullTank).pop();
+        if (!lastFull || !spec || odometerKm === null) {
+            return null;
+        }
+
+        const efficiency = FuelLog.averageEfficiency(fills) || (spec.efficiency.min + spec.efficiency.max) / 2;
+        const topUps = fills.slice(fills.indexOf(lastFull) + 1).reduce((total, fill) => total + fill.litres, 0);
+        const distance = Math.max(odometerKm - lastFull.odometer, 0);
+        const litres = Math.min(Math.max(spec.tankCapacity + topUps - distance / efficiency, 0), spec.tankCapacity);
+        return {
+            litres,
+            ratio: litres / spec.tankCapacity,
+            range: litres * efficiency,
+            distance,
+            fillId: lastFull.id
+        };
+    }
+}
@@ -0,0 +1,77 @@
+// Geodesy helpers shared by the dashboard modules
+export const Geo = {
+    EARTH_RADIUS_KM: 6371,
+
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    },
+
+    // Great-circle distance in km
+    distance(lat1, lng1, lat2, lng2) {
+        const dLat = this.toRadians(lat2 - lat1);
+        const dLng = this.toRadians(lng2 - lng1);
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
+                  Math.sin(dLng/2) * Math.sin(dLng/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return this.EARTH_RADIUS_KM * c;
+    },
+
+    // Initial bearing from the first point to the second, degrees clockwise from north
+    bearing(lat1, lng1, lat2, lng2) {
+        const dLng = this.toRadians(lng2 - lng1);
+        const y = Math.sin(dLng) * Math.cos(this.toRadians(lat2));
+        const x = Math.cos(this.toRadians(lat1)) * Math.sin(this.toRadians(lat2)) -
+                  Math.sin(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) * Math.cos(dLng);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    },
+
+    // Ray casting against a ring of [lng, lat] pairs (GeoJSON order)
+    pointInRing(lat, lng, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            const crosses = (yi > lat) !== (yj > lat) &&
+                lng < (xj - xi) * (lat - yi) / (yj - yi) + xi;
+            if (crosses) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    // Closest point on a polyline of [lat, lng] pairs: { index (segment start), fraction along it,
+    // distance in km }. Uses a flat projection around the point, fine over a few km.
+    nearestOnLine(lat, lng, line) {
+        const kmPerLat = this.EARTH_RADIUS_KM * Math.PI / 180;
+        const kmPerLng = kmPerLat * Math.cos(this.toRadians(lat));
+        const project = ([pointLat, pointLng]) => [(pointLng - lng) * kmPerLng, (pointLat - lat) * kmPerLat];
+
+        let best = { index: 0, fraction: 0, distance: Infinity };
+        for (let i = 0; i < line.length - 1; i++) {
+            const [ax, ay] = project(line[i]);
+            const [bx, by] = project(line[i + 1]);
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            const fraction = lengthSquared === 0 ? 0 : Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1);
+            const distance = Math.hypot(ax + fraction * dx, ay + fraction * dy);
+            if (distance < best.distance) {
+                best = { index: i, fraction, distance };
+            }
+        }
+        if (line.length === 1) {
+            best.distance = this.distance(lat, lng, line[0][0], line[0][1]);
+        }
+        return best;
+    },
+
+    // GeoJSON polygon: first ring is the outline, the rest are holes
+    pointInPolygon(lat, lng, rings) {
+        if (!this.pointInRing(lat, lng, rings[0])) {
+            return false;
+        }
+        return !rings.slice(1).some(hole => this.pointInRing(lat, lng, hole));
+    }
+};
@@ -0,0 +1,247 @@
+// Hours of service - duty status, daily log and driving/break rules
+//
+// Log entries live in the 'dutyLog' store:
+//   { kind: 'status', status, start, end, source: 'driver' | 'auto', note }
+//   { kind: 'violation', rule, at, detail }
+// Driving starts and stops automatically from movement; the driver sets the other statuses.
+// Events: 'statuschange' (detail.entry, detail.previous) and
+// 'warning' (detail.rule, detail.level: 'info' | 'warning' | 'violation', detail.remaining in ms).
+
+import { systemClock } from './clock.js';
+import { LocalStore } from './storage.js';
+
+export const DUTY_STATUSES = {
+    'off-duty': 'Off Duty',
+    'on-duty': 'On Duty',
+    'driving': 'Driving',
+    'break': 'On Break'
+};
+
+// Statuses the driver may pick from each status; 'driving' is only ever entered automatically
+const DUTY_TRANSITIONS = {
+    'off-duty': ['on-duty'],
+    'on-duty': ['break', 'off-duty'],
+    'driving': ['on-duty', 'break', 'off-duty'],
+    'break': ['on-duty', 'off-duty']
+};
+
+export class HoursOfService extends EventTarget {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        const minutes = (value, fallback) => (value || fallback) * 60000;
+        this.movingSpeed = options.movingSpeed || 8;
+        this.stopAfter = minutes(options.stopAfter, 3);
+        this.maxContinuousDriving = minutes(options.maxContinuousDriving, 300);
+        this.minBreak = minutes(options.minBreak, 30);
+        this.maxDailyHours = minutes(options.maxDailyHours, 480);
+        this.warnBefore = (options.warnBefore || [30, 15]).map(value => value * 60000);
+        this.repeatEvery = minutes(options.repeatEvery, 10);
+        this.entries = [];
+        this.current = null;
+        this.lastMovingAt = null;
+        this.warned = {};
+    }
+
+    get status() {
+        return this.current ? this.current.status : 'off-duty';
+    }
+
+    static dayRange(time) {
+        const start = new Date(time);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        return { start: start.getTime(), end: end.getTime() };
+    }
+
+    // Loads the last two days so a shift that started before midnight is counted
+    async resume(now = this.clock.now()) {
+        const since = HoursOfService.dayRange(now).start - 86400000;
+        const entries = await this.store.getAll('dutyLog');
+        this.entries = entries
+            .filter(entry => (entry.start || entry.at) >= since || (entry.kind === 'status' && !entry.end))
+            .sort((a, b) => (a.start || a.at) - (b.start || b.at));
+        this.current = this.entries.filter(entry => entry.kind === 'status' && !entry.end).pop() || null;
+        if (this.current && this.current.status === 'driving') {
+            this.lastMovingAt = now;
+        }
+        return this.current;
+    }
+
+    canChange(status) {
+        return status !== this.status && DUTY_TRANSITIONS[this.status].includes(status);
+    }
+
+    // Driver-initiated change; returns false when the transition isn't allowed
+    async change(status, note = '', now = this.clock.now()) {
+        if (!this.canChange(status)) {
+            return false;
+        }
+        await this.setStatus(status, 'driver', now, note);
+        return true;
+    }
+
+    async setStatus(status, source, at = this.clock.now(), note = '') {
+        const previous = this.current;
+        if (previous) {
+            previous.end = Math.max(at, previous.start);
+            await this.store.put('dutyLog', previous);
+        }
+
+        const entry = {
+            id: `DUTY-${at}-${status}`,
+            kind: 'status',
+            date: LocalStore.dayKey(at),
+            status,
+            start: at,
+            end: null,
+            source,
+            note
+        };
+        this.entries.push(entry);
+        this.current = entry;
+        await this.store.put('dutyLog', entry);
+        this.dispatchEvent(new CustomEvent('statuschange', { detail: { entry, previous } }));
+        return entry;
+    }
+
+    // Fed with every speed reading (km/h)
+    async updateMovement(speed, now = this.clock.now()) {
+        if (speed >= this.movingSpeed) {
+            this.lastMovingAt = now;
+            if (this.status !== 'driving') {
+                await this.setStatus('driving', 'auto', now);
+            }
+        } else {
+            await this.tick(now);
+        }
+    }
+
+    // Ends driving after stopAfter ms without movement, then checks the rules
+    async tick(now = this.clock.now()) {
+        if (this.status === 'driving' && this.lastMovingAt !== null && now - this.lastMovingAt >= this.stopAfter) {
+            await this.setStatus('on-duty', 'auto', this.lastMovingAt);
+        }
+        return this.checkRules(now);
+    }
+
+    duration(entry, from, to, now) {
+        const start = Math.max(entry.start, from);
+        const end = Math.min(entry.end || now, to);
+        return Math.max(end - start, 0);
+    }
+
+    // Milliseconds per status for the day containing `time`
+    totals(time = this.clock.now(), now = this.clock.now()) {
+        const day = HoursOfService.dayRange(time);
+        return this.totalsBetween(day.start, day.end, now);
+    }
+
+    // Milliseconds per status between two times, e.g. over a shift that crossed midnight
+    totalsBetween(from, to, now = this.clock.now()) {
+        const totals = { 'off-duty': 0, 'on-duty': 0, 'driving': 0, 'break': 0 };
+        this.entries.filter(entry => entry.kind === 'status').forEach(entry => {
+            totals[entry.status] += this.duration(entry, from, to, now);
+        });
+        totals.worked = totals['on-duty'] + totals.driving;
+        return totals;
+    }
+
+    // Driving since the last break or off-duty period of at least minBreak
+    continuousDriving(now = this.clock.now()) {
+        let driving = 0;
+        let since = null;
+        this.entries.filter(entry => entry.kind === 'status').forEach(entry => {
+            const length = (entry.end || now) - entry.start;
+            if ((entry.status === 'break' || entry.status === 'off-duty') && length >= this.minBreak) {
+                driving = 0;
+                since = null;
+            } else if (entry.status === 'driving') {
+                driving += length;
+                since = since === null ? entry.start : since;
+            }
+        });
+        return { driving, since };
+    }
+
+    checkRules(now = this.clock.now()) {
+        // Nothing to warn about while resting
+        if (this.status === 'off-duty' || this.status === 'break') {
+            return [];
+        }
+        const stretch = this.continuousDriving(now);
+        const totals = this.totals(now, now);
+        const results = [
+            this.checkRule('continuous-driving', this.maxContinuousDriving - stretch.driving, stretch.since, now),
+            this.checkRule('daily-hours', this.maxDailyHours - totals.worked, LocalStore.dayKey(now), now)
+        ];
+        return results.filter(Boolean);
+    }
+
+    // Warns once per threshold per period, then repeats every repeatEvery while in violation
+    checkRule(rule, remaining, period, now) {
+        if (period === null) {
+            return null;
+        }
+        const key = `${rule}:${period}`;
+        const warned = this.warned[key] || (this.warned[key] = { levels: [], violationAt: 0 }); // levels: thresholds already announced
+
+        let level = null;
+        if (remaining <= 0) {
+            if (now - warned.violationAt < this.repeatEvery) {
+                return null;
+            }
+            if (!warned.violationAt) {
+                this.logViolation(rule, now, `Limit reached (${Math.round(-remaining / 60000)} min over)`);
+            }
+            warned.violationAt = now;
+            level = 'violation';
+        } else {
+            const passed = this.warnBefore.filter(limit => remaining <= limit);
+            const limit = Math.min(...passed);
+            if (passed.length === 0 || warned.levels.includes(limit)) {
+                return null;
+            }
+            warned.levels.push(limit);
+            level = limit === Math.min(...this.warnBefore) ? 'warning' : 'info';
+        }
+
+        const warning = { rule, level, remaining };
+        this.dispatchEvent(new CustomEvent('warning', { detail: warning }));
+        return warning;
+    }
+
+    logViolation(rule, at, detail) {
+        const entry = { id: `DUTY-${at}-${rule}`, kind: 'violation', date: LocalStore.dayKey(at), rule, at, detail };
+        this.entries.push(entry);
+        this.store.put('dutyLog', entry).catch(error => console.error('Duty log error:', error));
+    }
+
+    // Entries touching the given day (YYYY-MM-DD), oldest first
+    async getLog(date) {
+        const entries = await this.store.getAll('dutyLog');
+        const day = HoursOfService.dayRange(new Date(`${date}T00:00:00`).getTime());
+        return entries
+            .filter(entry => entry.kind === 'violation' ?
+                entry.date === date :
+                entry.start < day.end && (entry.end === null || entry.end > day.start))
+            .sort((a, b) => (a.start || a.at) - (b.start || b.at));
+    }
+
+    static toCsv(entries, driver, now = Date.now()) {
+        const iso = time => (time ? new Date(time).toISOString() : '');
+        const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const rows = [['driver_id', 'driver_name', 'record', 'status', 'start', 'end', 'minutes', 'source', 'note']];
+        entries.forEach(entry => {
+            if (entry.kind === 'violation') {
+                rows.push([driver.id, driver.name, 'violation', entry.rule, iso(entry.at), '', '', 'system', entry.detail]);
+            } else {
+                const minutes = Math.round(((entry.end || now) - entry.start) / 60000);
+                rows.push([driver.id, driver.name, 'status', entry.status, iso(entry.start), iso(entry.end), minutes, entry.source, entry.note]);
+            }
+        });
+        return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+    }
+}
@@ -0,0 +1,166 @@
+// Internationalisation - message catalogues and locale-aware formatting
+//
+// Catalogues are flat { key: text } maps in data/i18n/<language>.json, with {name} placeholders.
+// English is complete and fills any key another catalogue lacks; a key missing everywhere shows as itself.
+// Static markup is translated through attributes: data-i18n (the element's own text, leaving
+// icons and child elements alone), data-i18n-title and data-i18n-placeholder.
+// Distances and speeds are given in metric and shown in the driver's units; fuel stays in litres.
+const LANGUAGE_KEY = 'fleettrack.language';
+
+// Metric unit -> [imperial unit, factor]
+const IMPERIAL_UNITS = {
+    kilometer: ['mile', 0.621371],
+    'kilometer-per-hour': ['mile-per-hour', 0.621371],
+    meter: ['foot', 3.28084]
+};
+
+export const I18n = {
+    language: 'en',
+    locale: 'en-IN',
+    units: 'metric', // or 'imperial'
+    languages: { en: { label: 'English', locale: 'en-IN' } },
+    catalogs: {},
+
+    // Picks the saved language, else the browser's if we have it, else the configured default
+    async init(options, storage = window.localStorage) {
+        this.languages = options.languages;
+        const browser = (navigator.language || '').split('-')[0];
+        const language = [storage.getItem(LANGUAGE_KEY), browser, options.defaultLanguage]
+            .find(code => code && this.languages[code]) || 'en';
+
+        this.catalogs.en = await this.load('en', options.catalogs);
+        if (language !== 'en') {
+            this.catalogs[language] = await this.load(language, options.catalogs);
+        }
+        this.language = language;
+        this.locale = this.languages[language].locale;
+        document.documentElement.lang = this.locale;
+    },
+
+    async load(language, base) {
+        try {
+            const response = await fetch(`${base}${language}.json`);
+            if (!response.ok) {
+                throw new Error(`status ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn(`Could not load ${language} messages:`, error);
+            return {};
+        }
+    },
+
+    // Takes effect on the next page load, so nothing already on screen is left half-translated
+    save(language, storage = window.localStorage) {
+        storage.setItem(LANGUAGE_KEY, language);
+    },
+
+    has(key) {
+        return key in (this.catalogs[this.language] || {}) || key in (this.catalogs.en || {});
+    },
+
+    t(key, values = {}) {
+        const own = this.catalogs[this.language] || {};
+        const english = this.catalogs.en || {};
+        const template = key in own ? own[key] : (key in english ? english[key] : key);
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    },
+
+    // key.one / key.other (and whatever else the locale's plural rules use), with values.count set
+    plural(key, count, values = {}) {
+        const form = new Intl.PluralRules(this.locale).select(count);
+        const formatted = { ...values, count: this.number(count) };
+        return this.has(`${key}.${form}`) ? this.t(`${key}.${form}`, formatted) : this.t(`${key}.other`, formatted);
+    },
+
+    // For keys built from data (statuses, categories) that a catalogue may not know
+    label(key, fallback) {
+        return this.has(key) ? this.t(key) : fallback;
+    },
+
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const text = this.t(element.dataset.i18n);
+            const nodes = Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+            const last = nodes[nodes.length - 1];
+            if (last) {
+                // Keep the spacing around an icon or a nested value
+                const [, before, after] = last.textContent.match(/^(\s*)[\s\S]*?(\s*)$/);
+                last.textContent = before + text + after;
+            } else {
+                element.append(text);
+            }
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+    },
+
+    // Formatting
+    number(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    // A metric value in the driver's units: { value, unit }
+    convert(value, unit) {
+        if (this.units !== 'imperial' || !IMPERIAL_UNITS[unit]) {
+            return { value, unit };
+        }
+        const [imperial, factor] = IMPERIAL_UNITS[unit];
+        return { value: value * factor, unit: imperial };
+    },
+
+    // unit: an Intl unit such as 'kilometer', 'kilometer-per-hour' or 'liter'
+    unit(value, unit, digits = 0) {
+        const shown = this.convert(value, unit);
+        return this.number(shown.value, { style: 'unit', unit: shown.unit, unitDisplay: 'short', maximumFractionDigits: digits });
+    },
+
+    speed(kmh) {
+        return this.unit(kmh, 'kilometer-per-hour');
+    },
+
+    // Bare number in the driver's speed unit, for the speedometer and spoken limits
+    speedValue(kmh) {
+        return this.number(Math.round(this.convert(kmh, 'kilometer-per-hour').value));
+    },
+
+    speedUnit() {
+        return this.t(this.units === 'imperial' ? 'ui.mph' : 'ui.kmH');
+    },
+
+    distance(metres) {
+        if (this.units === 'imperial') {
+            return metres < 160 ?
+                this.number(Math.round(metres * IMPERIAL_UNITS.meter[1] / 10) * 10, { style: 'unit', unit: 'foot', unitDisplay: 'short' }) :
+                this.unit(metres / 1000, 'kilometer', 1);
+        }
+        return metres < 1000 ?
+            this.unit(Math.round(metres / 10) * 10, 'meter') :
+            this.unit(metres / 1000, 'kilometer', 1);
+    },
+
+    currency(value) {
+        return this.number(value, { style: 'currency', currency: 'INR' });
+    },
+
+    time(value) {
+        return new Date(value).toLocaleTimeString(this.locale, { hour: 'numeric', minute: '2-digit' });
+    },
+
+    date(value, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+        return new Date(value).toLocaleDateString(this.locale, options);
+    },
+
+    dateTime(value) {
+        return new Date(value).toLocaleString(this.locale, { dateStyle: 'medium', timeStyle: 'short' });
+    },
+
+    // Zone names come from the zone file in English; the catalogue can override them by zone id
+    zoneName(zone) {
+        return this.label(`zoneName.${zone.id}`, zone.name);
+    }
+};
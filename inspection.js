@@ -0,0 +1,116 @@
+// Pre-trip vehicle inspection (DVIR) - per-model checklist, results and vehicle availability
+//
+// Completed inspections live in the 'inspections' store:
+//   { id, vehicleId, driverId, model, date, completedAt,
+//     items: [{ id, label, category, critical, result: 'pass' | 'fail', note, photo }],
+//     failedCritical: [item ids], vehicleAvailable }
+// An inspection covers its vehicle for the rest of the day. The latest one decides whether the
+// vehicle is available; a later inspection with every critical item passing makes it available again.
+
+import { systemClock } from './clock.js';
+import { I18n } from './i18n.js';
+import { LocalStore } from './storage.js';
+
+export const INSPECTION_RESULTS = {
+    pass: 'Pass',
+    fail: 'Fail'
+};
+
+export class InspectionService {
+    constructor(store, queue, endpoints, options = {}) {
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        this.queue = queue;
+        this.endpoints = endpoints;
+    }
+
+    // A fresh draft for the vehicle; results are filled in with setResult()
+    static draft(vehicle, driverId, checklist) {
+        return {
+            vehicleId: vehicle.id,
+            driverId,
+            model: vehicle.model,
+            items: checklist.map(item => ({ ...item, result: null, note: '', photo: null }))
+        };
+    }
+
+    static setResult(draft, itemId, changes) {
+        const item = draft.items.find(entry => entry.id === itemId);
+        if (item) {
+            Object.assign(item, changes);
+        }
+        return item;
+    }
+
+    // Returns an error message, or null when the draft can be completed
+    static validate(draft) {
+        const unanswered = draft.items.filter(item => !item.result);
+        if (unanswered.length > 0) {
+            return I18n.plural('inspection.error.unanswered', unanswered.length);
+        }
+        const unexplained = draft.items.find(item => item.result === 'fail' && !item.note.trim());
+        if (unexplained) {
+            return I18n.t('inspection.error.note', { item: unexplained.label });
+        }
+        return null;
+    }
+
+    // Most recent completed inspection for the vehicle, or null
+    async latest(vehicleId) {
+        const inspections = await this.store.getAll('inspections', { index: 'vehicleId', query: vehicleId });
+        return inspections.sort((a, b) => a.completedAt.localeCompare(b.completedAt)).pop() || null;
+    }
+
+    static coversToday(inspection, now = Date.now()) {
+        return Boolean(inspection) && inspection.date === LocalStore.dayKey(now);
+    }
+
+    // What going on duty needs: an inspection today that left the vehicle available
+    static clearsVehicle(inspection, now = Date.now()) {
+        return InspectionService.coversToday(inspection, now) && inspection.vehicleAvailable !== false;
+    }
+
+    async complete(draft, previous = null) {
+        const completedAt = new Date(this.clock.now());
+        const failedCritical = draft.items
+            .filter(item => item.critical && item.result === 'fail')
+            .map(item => item.id);
+        const record = {
+            id: `DVIR-${draft.vehicleId}-${completedAt.getTime()}`,
+            ...draft,
+            date: LocalStore.dayKey(completedAt.getTime()),
+            completedAt: completedAt.toISOString(),
+            failedCritical,
+            vehicleAvailable: failedCritical.length === 0
+        };
+        await this.store.put('inspections', record);
+
+        await this.queue.enqueue({
+            kind: 'inspection',
+            path: this.endpoints.inspections,
+            params: { id: record.vehicleId },
+            body: record,
+            ref: record.id
+        });
+        // Only report availability when it changes; a first inspection that passes changes nothing
+        const wasAvailable = previous ? previous.vehicleAvailable : true;
+        if (record.vehicleAvailable !== wasAvailable) {
+            await this.queue.enqueue({
+                kind: 'vehicle-status',
+                method: 'PUT',
+                path: this.endpoints.vehicleStatus,
+                params: { id: record.vehicleId },
+                body: {
+                    status: record.vehicleAvailable ? 'available' : 'unavailable',
+                    reason: record.vehicleAvailable ? 'Passed pre-trip inspection' : 'Failed pre-trip inspection',
+                    inspectionId: record.id,
+                    driverId: record.driverId,
+                    timestamp: record.completedAt
+                },
+                priority: 5,
+                ref: record.id
+            });
+        }
+        return record;
+    }
+}
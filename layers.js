@@ -0,0 +1,213 @@
+// Map layers - base maps and overlays from config.map, with the driver's choice remembered
+//
+// Each entry in config.map.baseLayers / config.map.overlays is
+//   { label, url, attribution, ...Leaflet tile options }     an XYZ tile server (hosted or self-hosted)
+//   { label, type: 'mbtiles', url, attribution }              a single .mbtiles file, read in the browser
+//   { label, builtin: true }                                  a layer group the dashboard fills (zones, route)
+// Placeholders in a tile url other than {s}/{z}/{x}/{y}/{r} are filled from the entry's own options
+// (e.g. {apiKey}); an entry with an empty placeholder value is unavailable until it is configured.
+// Events: 'change' (detail.base, detail.overlays) whenever the visible layers change.
+const MAP_LAYERS_KEY = 'fleettrack.mapLayers';
+
+export class MapLayerRegistry extends EventTarget {
+    constructor(map, options, storage = window.localStorage) {
+        super();
+        this.map = map;
+        this.options = options;
+        this.storage = storage;
+        this.baseLayers = {};
+        this.overlays = {};
+        this.base = null;
+
+        Object.entries(options.baseLayers).forEach(([key, definition]) => {
+            if (MapLayerRegistry.isAvailable(definition)) {
+                this.baseLayers[key] = MapLayerRegistry.createTileLayer(definition, options);
+            }
+        });
+        Object.entries(options.overlays).forEach(([key, definition]) => {
+            if (!definition.builtin && MapLayerRegistry.isAvailable(definition)) {
+                this.overlays[key] = MapLayerRegistry.createTileLayer(definition, options);
+            }
+        });
+    }
+
+    static isAvailable(definition) {
+        if (definition.builtin) {
+            return true;
+        }
+        if (!definition.url) {
+            return false;
+        }
+        const placeholders = (definition.url.match(/\{(\w+)\}/g) || [])
+            .map(match => match.slice(1, -1))
+            .filter(name => !['s', 'z', 'x', 'y', 'r'].includes(name));
+        return placeholders.every(name => definition[name]);
+    }
+
+    static createTileLayer(definition, options) {
+        if (definition.type === 'mbtiles') {
+            return MapLayerRegistry.createMbtilesLayer(definition, options.sqlJs);
+        }
+        const { label, url, ...tileOptions } = definition;
+        return L.tileLayer(url, tileOptions);
+    }
+
+    // Tiles come straight out of the SQLite file via sql.js, loaded the first time the layer is shown
+    static createMbtilesLayer(definition, sqlJs) {
+        let database = null;
+        const open = () => {
+            database = database || MapLayerRegistry.openMbtiles(definition.url, sqlJs);
+            return database;
+        };
+
+        const MbtilesLayer = L.GridLayer.extend({
+            createTile(coords, done) {
+                const tile = document.createElement('img');
+                open().then(({ db, type }) => {
+                    // MBTiles rows count from the bottom (TMS), Leaflet's from the top
+                    const row = Math.pow(2, coords.z) - 1 - coords.y;
+                    const statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+                    const result = statement.getAsObject([coords.z, coords.x, row]);
+                    statement.free();
+                    if (!result.tile_data) {
+                        done(null, tile);
+                        return;
+                    }
+                    const url = URL.createObjectURL(new Blob([result.tile_data], { type }));
+                    tile.onload = () => {
+                        URL.revokeObjectURL(url);
+                        done(null, tile);
+                    };
+                    tile.onerror = () => {
+                        URL.revokeObjectURL(url);
+                        done(new Error(`Bad tile ${coords.z}/${coords.x}/${coords.y}`), tile);
+                    };
+                    tile.src = url;
+                }).catch(error => done(error, tile));
+                return tile;
+            }
+        });
+        return new MbtilesLayer({ attribution: definition.attribution, maxZoom: definition.maxZoom || 18 });
+    }
+
+    static async openMbtiles(url, sqlJs) {
+        if (!window.initSqlJs) {
+            await MapLayerRegistry.loadScript(`${sqlJs}sql-wasm.js`);
+        }
+        const SQL = await window.initSqlJs({ locateFile: file => `${sqlJs}${file}` });
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status})`);
+        }
+        const db = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+        const format = db.exec("SELECT value FROM metadata WHERE name = 'format'");
+        const extension = format.length > 0 ? format[0].values[0][0] : 'png';
+        return { db, type: extension === 'jpg' ? 'image/jpeg' : `image/${extension}` };
+    }
+
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Builtin overlays are layer groups owned by the dashboard
+    addOverlay(key, layer) {
+        this.overlays[key] = layer;
+    }
+
+    label(key) {
+        const definition = this.options.baseLayers[key] || this.options.overlays[key];
+        return definition ? definition.label : key;
+    }
+
+    // The saved choice, falling back to config defaults for anything no longer configured
+    restore() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(MAP_LAYERS_KEY));
+        } catch (error) {
+            console.warn('Ignoring saved map layers:', error);
+        }
+
+        const base = saved && this.baseLayers[saved.base] ? saved.base : this.options.defaultBase;
+        const overlays = saved && Array.isArray(saved.overlays) ? saved.overlays : this.options.defaultOverlays;
+        this.setBase(this.baseLayers[base] ? base : Object.keys(this.baseLayers)[0], false);
+        overlays.filter(key => this.overlays[key]).forEach(key => this.map.addLayer(this.overlays[key]));
+        this.save();
+    }
+
+    setBase(key, save = true) {
+        const layer = this.baseLayers[key];
+        if (!layer || key === this.base) {
+            return false;
+        }
+        if (this.base) {
+            this.map.removeLayer(this.baseLayers[this.base]);
+        }
+        this.base = key;
+        this.map.addLayer(layer);
+        if (save) {
+            this.save();
+        }
+        return true;
+    }
+
+    isVisible(key) {
+        return Boolean(this.overlays[key]) && this.map.hasLayer(this.overlays[key]);
+    }
+
+    // Returns the new visibility, or null if the overlay isn't configured
+    toggleOverlay(key, visible = !this.isVisible(key)) {
+        const layer = this.overlays[key];
+        if (!layer) {
+            return null;
+        }
+        if (visible) {
+            this.map.addLayer(layer);
+        } else {
+            this.map.removeLayer(layer);
+        }
+        this.save();
+        return visible;
+    }
+
+    save() {
+        const state = {
+            base: this.base,
+            overlays: Object.keys(this.overlays).filter(key => this.isVisible(key))
+        };
+        try {
+            this.storage.setItem(MAP_LAYERS_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not save map layers:', error);
+        }
+        this.dispatchEvent(new CustomEvent('change', { detail: state }));
+    }
+
+    // Leaflet's layer switcher; changes made through it are saved like any other
+    addControl() {
+        const labelled = layers => Object.fromEntries(Object.entries(layers).map(([key, layer]) => [this.label(key), layer]));
+        L.control.layers(labelled(this.baseLayers), labelled(this.overlays)).addTo(this.map);
+
+        const keyOf = (layers, layer) => Object.keys(layers).find(key => layers[key] === layer);
+        this.map.on('baselayerchange', (event) => {
+            const key = keyOf(this.baseLayers, event.layer);
+            if (key && key !== this.base) {
+                this.base = key;
+                this.save();
+            }
+        });
+        this.map.on('overlayadd overlayremove', () => this.save());
+    }
+
+    // XYZ template of the visible base map, for precaching; null for MBTiles
+    get baseUrl() {
+        const definition = this.options.baseLayers[this.base];
+        return definition && definition.type !== 'mbtiles' ? definition.url : null;
+    }
+}
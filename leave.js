@@ -0,0 +1,201 @@
+// Leave requests - accrual-based balances, history and offline-capable submission
+//
+// Requests: { id, clientId, driverId, type, from, to (YYYY-MM-DD), days, reason, status,
+//             submittedAt, synced, decidedBy?, comment? }
+// Server history comes from dataSource.getLeave(driverId) -> { opening: { type: days }, requests };
+// requests made on this device live in the 'leaveRequests' store until the server returns them.
+
+import { systemClock } from './clock.js';
+import { I18n } from './i18n.js';
+import { LocalStore } from './storage.js';
+
+export const LEAVE_STATUSES = {
+    pending: 'Pending',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+export class LeaveService {
+    // policy: { types: { key: { label, perMonth?, perYear? } }, excludeWeekdays }; options: { clock }
+    constructor(store, dataSource, queue, policy, options = {}) {
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        this.dataSource = dataSource;
+        this.queue = queue;
+        this.policy = policy;
+        this.opening = {};
+        this.requests = [];
+
+        queue.register('leave', item => dataSource.submitLeaveRequest(item.body));
+        queue.addEventListener('sent', (event) => {
+            if (event.detail.item.kind === 'leave') {
+                this.markSynced(event.detail.item.ref, event.detail.result);
+            }
+        });
+    }
+
+    static parseDate(value) {
+        return new Date(`${value}T00:00:00`);
+    }
+
+    // Leave days between two dates inclusive, skipping weekly offs
+    static countDays(from, to, excludeWeekdays = []) {
+        let days = 0;
+        const date = LeaveService.parseDate(from);
+        const end = LeaveService.parseDate(to);
+        while (date <= end) {
+            if (!excludeWeekdays.includes(date.getDay())) {
+                days++;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+        return days;
+    }
+
+    async load(driverId) {
+        let server = { opening: {}, requests: [] };
+        try {
+            server = await this.dataSource.getLeave(driverId);
+        } catch (error) {
+            // Offline: balances use what this device already knows
+            console.warn('Leave history unavailable:', error);
+        }
+
+        const local = (await this.store.getAll('leaveRequests')).filter(request => request.driverId === driverId);
+        const known = new Set(server.requests.map(request => request.clientId || request.id));
+        // Once the server lists a request, its copy (with the decision) wins
+        const unsynced = local.filter(request => !known.has(request.clientId));
+        for (const request of local.filter(request => known.has(request.clientId))) {
+            await this.store.delete('leaveRequests', request.id);
+        }
+
+        this.opening = server.opening || {};
+        this.requests = server.requests.concat(unsynced)
+            .sort((a, b) => b.from.localeCompare(a.from));
+        return this.requests;
+    }
+
+    // Days accrued this year for one leave type
+    accrued(type, joined, today = new Date(this.clock.now())) {
+        const rule = this.policy.types[type];
+        const yearStart = new Date(today.getFullYear(), 0, 1);
+        const joinedAt = joined ? LeaveService.parseDate(joined) : yearStart;
+        const from = joinedAt > yearStart ? joinedAt : yearStart;
+        if (from > today) {
+            return 0;
+        }
+
+        if (rule.perMonth) {
+            // Credited for each completed month
+            let months = (today.getFullYear() - from.getFullYear()) * 12 + today.getMonth() - from.getMonth();
+            if (today.getDate() < from.getDate()) {
+                months--;
+            }
+            return Math.max(months, 0) * rule.perMonth;
+        }
+        // Granted up front for the year, pro rata for the months left after joining
+        const monthsLeft = 12 - from.getMonth();
+        return Math.floor(rule.perYear * monthsLeft / 12 * 2) / 2;
+    }
+
+    // { type: { label, opening, accrued, used, pending, available } } for the current year
+    balances(driver, today = new Date(this.clock.now())) {
+        const year = String(today.getFullYear());
+        const balances = {};
+        Object.keys(this.policy.types).forEach(type => {
+            const thisYear = this.requests.filter(request => request.type === type && request.from.startsWith(year));
+            const total = status => thisYear
+                .filter(request => request.status === status)
+                .reduce((sum, request) => sum + request.days, 0);
+            const opening = this.opening[type] || 0;
+            const accrued = this.accrued(type, driver.joined, today);
+            const used = total('approved');
+            const pending = total('pending');
+            balances[type] = {
+                label: this.policy.types[type].label,
+                opening,
+                accrued,
+                used,
+                pending,
+                available: opening + accrued - used - pending
+            };
+        });
+        return balances;
+    }
+
+    // Approved days falling in the given month
+    daysInMonth(today = new Date(this.clock.now())) {
+        const first = new Date(today.getFullYear(), today.getMonth(), 1);
+        const last = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+        const key = date => LocalStore.dayKey(date.getTime());
+        return this.requests
+            .filter(request => request.status === 'approved')
+            .reduce((sum, request) => {
+                const from = request.from > key(first) ? request.from : key(first);
+                const to = request.to < key(last) ? request.to : key(last);
+                return from > to ? sum : sum + LeaveService.countDays(from, to, this.policy.excludeWeekdays);
+            }, 0);
+    }
+
+    // Returns an error message, or null when the request can be submitted
+    validate(request, balances, today = LocalStore.dayKey(this.clock.now())) {
+        if (!this.policy.types[request.type]) {
+            return I18n.t('leave.error.type');
+        }
+        if (!request.from || !request.to || request.to < request.from) {
+            return I18n.t('leave.error.dates');
+        }
+        if (request.from < today) {
+            return I18n.t('leave.error.past');
+        }
+        if (!request.reason) {
+            return I18n.t('leave.error.reason');
+        }
+        if (request.days === 0) {
+            return I18n.t('leave.error.weeklyOffs');
+        }
+        const overlapping = this.requests.find(existing => existing.status !== 'rejected' &&
+            existing.from <= request.to && existing.to >= request.from);
+        if (overlapping) {
+            return I18n.t('leave.error.overlap', { from: overlapping.from, to: overlapping.to });
+        }
+        const balance = balances[request.type];
+        if (request.days > balance.available) {
+            return I18n.t('leave.error.balance', {
+                days: I18n.plural('leave.days', balance.available),
+                type: I18n.label(`leaveType.${request.type}`, balance.label)
+            });
+        }
+        return null;
+    }
+
+    async submit(driver, request) {
+        const now = this.clock.now();
+        const clientId = `LVC-${now.toString(36)}`;
+        const record = {
+            id: clientId,
+            clientId,
+            driverId: driver.id,
+            ...request,
+            status: 'pending',
+            submittedAt: new Date(now).toISOString(),
+            synced: false
+        };
+        await this.store.put('leaveRequests', record);
+        this.requests.unshift(record);
+        await this.queue.enqueue({ kind: 'leave', body: record, ref: clientId });
+        return record;
+    }
+
+    async markSynced(clientId, result) {
+        const request = this.requests.find(item => item.clientId === clientId);
+        if (!request) {
+            return;
+        }
+        request.synced = true;
+        if (result && result.id) {
+            request.serverId = result.id;
+        }
+        await this.store.put('leaveRequests', request);
+    }
+}
@@ -0,0 +1,252 @@
+// Location sources - live GPS, track replay and a trace recorder
+//
+// Every source calls onPosition with a Position-shaped object
+// ({ coords: { latitude, longitude, speed, accuracy }, timestamp }) so the
+// dashboard treats simulated and real fixes the same way.
+
+export class LiveLocationSource {
+    constructor(options = {}) {
+        this.name = 'live';
+        this.options = {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 0,
+            ...options
+        };
+        this.watchId = null;
+    }
+
+    static isSupported() {
+        return 'geolocation' in navigator;
+    }
+
+    start(onPosition, onError) {
+        this.watchId = navigator.geolocation.watchPosition(onPosition, onError, this.options);
+    }
+
+    stop() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+    }
+}
+
+// Plays back a recorded track; `rate` 1-20 compresses the gaps between fixes
+export class ReplayLocationSource {
+    constructor(track, rate = 1) {
+        this.name = 'replay';
+        this.track = track;
+        this.rate = rate;
+        this.index = 0;
+        this.timer = null;
+        this.onEnd = null;
+    }
+
+    setRate(rate) {
+        this.rate = Math.min(Math.max(rate, 1), 20);
+    }
+
+    start(onPosition) {
+        this.stop();
+        this.index = 0;
+
+        const emit = () => {
+            const fix = this.track[this.index];
+            onPosition({
+                coords: {
+                    latitude: fix.lat,
+                    longitude: fix.lng,
+                    speed: typeof fix.speed === 'number' ? fix.speed : null,
+                    accuracy: typeof fix.accuracy === 'number' ? fix.accuracy : 5
+                },
+                timestamp: fix.timestamp
+            });
+
+            this.index++;
+            if (this.index >= this.track.length) {
+                this.timer = null;
+                if (this.onEnd) {
+                    this.onEnd();
+                }
+                return;
+            }
+
+            const gap = this.track[this.index].timestamp - fix.timestamp;
+            this.timer = setTimeout(emit, Math.max(gap / this.rate, 50));
+        };
+
+        if (this.track.length > 0) {
+            emit();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Fixes are { lat, lng, speed (m/s), accuracy (m), timestamp (ms) }
+    static parseGpx(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid GPX file');
+        }
+
+        const points = Array.from(doc.getElementsByTagName('trkpt'));
+        const readNumber = (point, tag) => {
+            const node = point.getElementsByTagName(tag)[0];
+            return node ? Number(node.textContent) : null;
+        };
+
+        return ReplayLocationSource.fillTimestamps(points.map(point => {
+            const time = point.getElementsByTagName('time')[0];
+            return {
+                lat: Number(point.getAttribute('lat')),
+                lng: Number(point.getAttribute('lon')),
+                speed: readNumber(point, 'speed'),
+                accuracy: readNumber(point, 'accuracy'),
+                timestamp: time ? Date.parse(time.textContent) : null
+            };
+        }));
+    }
+
+    // LineString with optional properties.coordTimes, or a collection of Points with properties.time
+    static parseGeoJSON(data) {
+        const features = data.type === 'FeatureCollection' ? data.features : [data];
+        const fixes = [];
+
+        features.forEach(feature => {
+            const geometry = feature.geometry || feature;
+            const props = feature.properties || {};
+            if (geometry.type === 'LineString') {
+                const times = props.coordTimes || props.times || [];
+                geometry.coordinates.forEach(([lng, lat], index) => {
+                    fixes.push({ lat, lng, speed: null, accuracy: null, timestamp: times[index] ? Date.parse(times[index]) : null });
+                });
+            } else if (geometry.type === 'Point') {
+                const [lng, lat] = geometry.coordinates;
+                fixes.push({
+                    lat,
+                    lng,
+                    speed: typeof props.speed === 'number' ? props.speed : null,
+                    accuracy: typeof props.accuracy === 'number' ? props.accuracy : null,
+                    timestamp: props.time ? Date.parse(props.time) : null
+                });
+            }
+        });
+
+        return ReplayLocationSource.fillTimestamps(fixes);
+    }
+
+    // Untimed tracks replay at one fix per second
+    static fillTimestamps(fixes) {
+        const start = Date.now();
+        return fixes.map((fix, index) => ({
+            ...fix,
+            timestamp: fix.timestamp === null || isNaN(fix.timestamp) ? start + index * 1000 : fix.timestamp
+        }));
+    }
+}
+
+// Saves fixes to IndexedDB under a session id and exports them as GPX
+export class TrackRecorder {
+    constructor(store) {
+        this.store = store;
+        this.sessionId = null;
+    }
+
+    get isRecording() {
+        return this.sessionId !== null;
+    }
+
+    start() {
+        this.sessionId = new Date().toISOString();
+        return this.sessionId;
+    }
+
+    stop() {
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        return sessionId;
+    }
+
+    record(position) {
+        if (!this.isRecording) {
+            return Promise.resolve();
+        }
+        const { latitude, longitude, speed, accuracy } = position.coords;
+        return this.store.add('fixes', {
+            sessionId: this.sessionId,
+            lat: latitude,
+            lng: longitude,
+            speed: typeof speed === 'number' ? speed : null,
+            accuracy: typeof accuracy === 'number' ? accuracy : null,
+            timestamp: position.timestamp
+        });
+    }
+
+    getFixes(sessionId) {
+        return this.store.getAll('fixes', { index: 'sessionId', query: sessionId });
+    }
+
+    async exportGpx(sessionId) {
+        const fixes = await this.getFixes(sessionId);
+        return TrackRecorder.toGpx(fixes, `FleetTrack ${sessionId}`);
+    }
+
+    static toGpx(fixes, name) {
+        const points = fixes.map(fix => {
+            const extensions = [];
+            if (fix.speed !== null) {
+                extensions.push(`<speed>${fix.speed}</speed>`);
+            }
+            if (fix.accuracy !== null) {
+                extensions.push(`<accuracy>${fix.accuracy}</accuracy>`);
+            }
+            return `      <trkpt lat="${fix.lat}" lon="${fix.lng}">` +
+                `<time>${new Date(fix.timestamp).toISOString()}</time>` +
+                (extensions.length ? `<extensions>${extensions.join('')}</extensions>` : '') +
+                '</trkpt>';
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="FleetTrack" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <trk>',
+            `    <name>${name}</name>`,
+            '    <trkseg>',
+            ...points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>'
+        ].join('\n');
+    }
+}
+
+// Owns the active source and re-publishes its fixes as 'position' / 'error' events
+export class LocationProvider extends EventTarget {
+    constructor(recorder) {
+        super();
+        this.recorder = recorder;
+        this.source = null;
+    }
+
+    use(source) {
+        if (this.source) {
+            this.source.stop();
+        }
+        this.source = source;
+        this.dispatchEvent(new CustomEvent('sourcechange', { detail: { source } }));
+
+        source.start(
+            (position) => {
+                this.recorder.record(position).catch(error => console.error('Track recording error:', error));
+                this.dispatchEvent(new CustomEvent('position', { detail: { position } }));
+            },
+            (error) => {
+                this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+            }
+        );
+    }
+}
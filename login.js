@@ -0,0 +1,62 @@
+// Login Page - Driver sign in
+
+import { FleetTrackConfig } from './config.js';
+import { ApiClient } from './api-client.js';
+import { SessionManager } from './session.js';
+import { createDataSource } from './data-source.js';
+
+const loginMessages = {
+    timeout: 'Your session has expired. Please sign in again.',
+    unauthorized: 'Your session is no longer valid. Please sign in again.',
+    'signed-out': 'You have been signed out.'
+};
+
+function showLoginMessage(message, type = 'error') {
+    const element = document.getElementById('loginMessage');
+    element.textContent = message;
+    element.className = message ? `login-message ${type}` : 'login-message';
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const session = new SessionManager(FleetTrackConfig.session);
+    const dataSource = createDataSource(FleetTrackConfig, new ApiClient(FleetTrackConfig.api));
+
+    if (session.isValid()) {
+        window.location.replace(FleetTrackConfig.session.dashboardPage);
+        return;
+    }
+
+    const reason = new URLSearchParams(window.location.search).get('reason');
+    if (loginMessages[reason]) {
+        showLoginMessage(loginMessages[reason], reason === 'signed-out' ? 'info' : 'warning');
+    }
+
+    const form = document.getElementById('loginForm');
+    const button = document.getElementById('loginButton');
+
+    form.addEventListener('submit', async function(event) {
+        event.preventDefault();
+        const identifier = form.elements.identifier.value.trim();
+        const secret = form.elements.secret.value;
+
+        if (!identifier || !secret) {
+            showLoginMessage('Enter your driver ID or licence number and PIN.');
+            return;
+        }
+
+        button.disabled = true;
+        showLoginMessage('');
+        try {
+            const result = await dataSource.authenticate(identifier, secret);
+            session.save(result);
+            window.location.replace(FleetTrackConfig.session.dashboardPage);
+        } catch (error) {
+            console.error('Sign in error:', error);
+            showLoginMessage(error.status === 401 || error.status === 403 ?
+                'Invalid driver ID or PIN.' :
+                'Could not reach the server. Check your connection and try again.');
+            form.elements.secret.value = '';
+            button.disabled = false;
+        }
+    });
+});
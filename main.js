@@ -0,0 +1,329 @@
+// Dashboard page entry point - starts the dashboard and exposes the inline handlers
+//
+// dashboard.html is loaded as a module, so the onclick/onchange attributes can only reach
+// functions put on window below.
+import { FleetTrackConfig } from './config.js';
+import { I18n } from './i18n.js';
+import { SessionManager } from './session.js';
+import { DriverDashboard, closeEmergencyModal, openPanel, closePanel } from './dashboard.js';
+
+function openEmergencyModal() {
+    document.getElementById('emergencyModal').classList.add('show');
+}
+
+function reportEmergency(type) {
+    if (window.dashboard) {
+        window.dashboard.reportEmergency(type);
+    }
+}
+
+function closeIncident() {
+    window.dashboard.closeIncident();
+}
+
+function acknowledgeSpeedWarning() {
+    document.getElementById('speedWarningModal').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.speedAlerts.acknowledge();
+        window.dashboard.drivingMonitor.acknowledge();
+    }
+}
+
+function openActivityHistory() {
+    window.dashboard.showActivityHistory();
+}
+
+function renderActivityHistory() {
+    window.dashboard.renderActivityHistory();
+}
+
+function exportActivities(format) {
+    window.dashboard.exportActivities(format);
+}
+
+function saveSettings() {
+    window.dashboard.saveSettings();
+}
+
+function captureShortcut(event, action) {
+    window.dashboard.captureShortcut(event, action);
+}
+
+function testAlerts() {
+    window.dashboard.alertPlayer.test();
+}
+
+// Reloads so every panel, toast and spoken alert comes up in the new language
+function setLanguage(language) {
+    I18n.save(language);
+    window.location.reload();
+}
+
+function toggleUserMenu() {
+    const dropdown = document.getElementById('userDropdown');
+    dropdown.classList.toggle('show');
+}
+
+
+function viewProfile() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.showProfile();
+    }
+}
+
+function viewDriving() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.showDrivingPanel();
+    }
+}
+
+function viewCloseShift() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.showShiftPanel();
+    }
+}
+
+function printShiftReport() {
+    window.dashboard.printShiftReport();
+}
+
+function downloadShiftReport() {
+    window.dashboard.downloadShiftReport();
+}
+
+function submitShiftReport() {
+    window.dashboard.closeShift();
+}
+
+function viewDutyStatus() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.showDutyPanel();
+    }
+}
+
+function changeDutyStatus(status) {
+    window.dashboard.changeDutyStatus(status);
+}
+
+function exportDutyLog() {
+    window.dashboard.exportDutyLog();
+}
+
+function openFuelLog() {
+    window.dashboard.showFuelLog();
+}
+
+function submitFuelLog() {
+    window.dashboard.submitFuelLog();
+}
+
+function openMessages() {
+    window.dashboard.showMessages();
+}
+
+function selectMessageThread(threadId) {
+    window.dashboard.selectThread(threadId);
+}
+
+function sendMessage() {
+    window.dashboard.sendMessage(document.getElementById('messageText').value);
+}
+
+function setHandsFree(enabled) {
+    window.dashboard.setHandsFree(enabled);
+}
+
+function openRouteSteps() {
+    window.dashboard.showRoutePanel();
+}
+
+function openInspection() {
+    window.dashboard.showInspectionPanel();
+}
+
+function submitInspection() {
+    window.dashboard.submitInspection();
+}
+
+function cancelInspection() {
+    // Abandoning the checklist also abandons the duty change waiting on it
+    window.dashboard.pendingDutyStatus = null;
+    closePanel('inspectionPanel');
+}
+
+function openLeavePanel() {
+    window.dashboard.showLeavePanel();
+}
+
+function updateLeaveDays() {
+    window.dashboard.updateLeaveDays();
+}
+
+function submitLeaveRequest() {
+    window.dashboard.submitLeaveRequest();
+}
+
+function viewSettings() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (window.dashboard) {
+        window.dashboard.showSettings();
+    }
+}
+
+function logout() {
+    document.getElementById('userDropdown').classList.remove('show');
+    if (confirm(I18n.t('notify.confirmLogout')) && window.dashboard) {
+        window.dashboard.signOut();
+    }
+}
+
+// Proof of Delivery Controls
+function openProofOfDelivery(stopId) {
+    window.dashboard.showProofOfDelivery(stopId);
+}
+
+function setPodOutcome(outcome) {
+    window.dashboard.setPodOutcome(outcome);
+}
+
+function clearPodSignature() {
+    window.dashboard.signaturePad.clear();
+}
+
+function submitProofOfDelivery() {
+    window.dashboard.submitProofOfDelivery();
+}
+
+// Location Source Controls
+function openLocationSourcePanel() {
+    window.dashboard.showLocationSourcePanel();
+}
+
+function applyLocationSource() {
+    window.dashboard.applyLocationSource();
+}
+
+function setReplayRate(rate) {
+    window.dashboard.setReplayRate(rate);
+}
+
+function toggleTrackRecording() {
+    window.dashboard.toggleTrackRecording();
+}
+
+function exportTrackRecording() {
+    window.dashboard.exportTrackRecording();
+}
+
+// Map Controls
+function centerMap() {
+    if (window.dashboard && window.dashboard.tracker.location) {
+        const { lat, lng } = window.dashboard.tracker.location;
+        window.dashboard.map.setView([lat, lng], 15);
+    } else {
+        window.dashboard.showNotification(I18n.t('notify.locationNotAvailable'), 'warning');
+    }
+}
+
+function toggleTraffic() {
+    window.dashboard.toggleTraffic();
+}
+
+function toggleSatellite() {
+    window.dashboard.toggleSatellite();
+}
+
+Object.assign(window, {
+    openEmergencyModal, closeEmergencyModal, reportEmergency, closeIncident, acknowledgeSpeedWarning,
+    openActivityHistory, renderActivityHistory, exportActivities, saveSettings, captureShortcut, testAlerts,
+    setLanguage, toggleUserMenu, viewProfile, viewDriving, viewCloseShift, printShiftReport,
+    downloadShiftReport, submitShiftReport, viewDutyStatus, changeDutyStatus,
+    exportDutyLog, openFuelLog, submitFuelLog, openMessages, selectMessageThread, sendMessage,
+    setHandsFree, openRouteSteps, openInspection, submitInspection, cancelInspection, openLeavePanel,
+    updateLeaveDays, submitLeaveRequest, viewSettings, logout, openProofOfDelivery, setPodOutcome,
+    clearPodSignature, submitProofOfDelivery, openLocationSourcePanel, applyLocationSource,
+    setReplayRate, toggleTrackRecording, exportTrackRecording, centerMap, toggleTraffic,
+    toggleSatellite, openPanel, closePanel
+});
+
+// Close dropdowns when clicking outside
+document.addEventListener('click', function(event) {
+    const userMenu = document.querySelector('.user-menu');
+    const userDropdown = document.getElementById('userDropdown');
+    
+    if (!userMenu.contains(event.target)) {
+        userDropdown.classList.remove('show');
+    }
+});
+
+// Initialize dashboard when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    const session = new SessionManager(FleetTrackConfig.session);
+    if (!session.isValid()) {
+        session.redirectToLogin(session.current ? 'timeout' : '');
+        return;
+    }
+
+    await I18n.init(FleetTrackConfig.i18n);
+    I18n.apply(document);
+    window.dashboard = new DriverDashboard(FleetTrackConfig, session);
+    window.dashboard.start();
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(FleetTrackConfig.map.serviceWorker)
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+});
+
+// Send anything queued while offline
+window.addEventListener('online', function() {
+    if (window.dashboard) {
+        window.dashboard.syncQueue.flush();
+    }
+});
+
+// Handle page visibility changes
+document.addEventListener('visibilitychange', function() {
+    if (!window.dashboard) {
+        return;
+    }
+    // Telemetry samples less often while hidden and flushes what it has
+    window.dashboard.telemetry.setHidden(document.hidden).catch(error => console.error('Telemetry error:', error));
+    if (!document.hidden) {
+        window.dashboard.updateDashboardData();
+    }
+});
+
+// Keyboard shortcuts, as mapped in Settings (Ctrl+E and Ctrl+M unless changed)
+const SHORTCUT_HANDLERS = {
+    emergency: openEmergencyModal,
+    centerMap
+};
+
+document.addEventListener('keydown', function(event) {
+    const action = window.dashboard && window.dashboard.settings.shortcutAction(event);
+    if (action) {
+        event.preventDefault();
+        SHORTCUT_HANDLERS[action]();
+    }
+});
+
+// Add CSS for slideOut animation
+const style = document.createElement('style');
+style.textContent = `
+    @keyframes slideOut {
+        from {
+            transform: translateX(0);
+            opacity: 1;
+        }
+        to {
+            transform: translateX(100%);
+            opacity: 0;
+        }
+    }
+`;
+document.head.appendChild(style);
@@ -0,0 +1,69 @@
+// Delivery manifest - the day's stops in visiting order
+//
+// Stop: { id, sequence, type: 'delivery' | 'pickup', address, lat, lng, window: { from, to }, status, notes }
+// Events: 'load' after setStops(), 'stopchange' (detail.stop, detail.previousStatus)
+const STOP_STATUSES = ['pending', 'arrived', 'delivered', 'failed'];
+
+export class DeliveryManifest extends EventTarget {
+    constructor(stops = []) {
+        super();
+        this.stops = [];
+        this.setStops(stops);
+    }
+
+    setStops(stops) {
+        this.stops = stops
+            .map((stop, index) => DeliveryManifest.normalizeStop(stop, index))
+            .sort((a, b) => a.sequence - b.sequence);
+        this.dispatchEvent(new CustomEvent('load', { detail: { stops: this.stops } }));
+    }
+
+    static normalizeStop(stop, index) {
+        const status = STOP_STATUSES.includes(stop.status) ? stop.status : 'pending';
+        return {
+            id: String(stop.id),
+            sequence: Number(stop.sequence) || index + 1,
+            type: stop.type === 'pickup' ? 'pickup' : 'delivery',
+            address: stop.address || 'Unknown address',
+            lat: Number(stop.lat),
+            lng: Number(stop.lng),
+            window: stop.window || null,
+            status,
+            notes: stop.notes || ''
+        };
+    }
+
+    getStop(id) {
+        return this.stops.find(stop => stop.id === String(id)) || null;
+    }
+
+    // The stop the driver is at or heading to
+    nextStop() {
+        return this.stops.find(stop => stop.status === 'arrived') ||
+            this.stops.find(stop => stop.status === 'pending') ||
+            null;
+    }
+
+    counts() {
+        const counts = { total: this.stops.length, pending: 0, arrived: 0, delivered: 0, failed: 0 };
+        this.stops.forEach(stop => {
+            counts[stop.status]++;
+        });
+        return counts;
+    }
+
+    updateStop(id, changes) {
+        const stop = this.getStop(id);
+        if (!stop) {
+            throw new Error(`Unknown stop ${id}`);
+        }
+        if (changes.status && !STOP_STATUSES.includes(changes.status)) {
+            throw new Error(`Invalid stop status ${changes.status}`);
+        }
+
+        const previousStatus = stop.status;
+        Object.assign(stop, changes);
+        this.dispatchEvent(new CustomEvent('stopchange', { detail: { stop, previousStatus } }));
+        return stop;
+    }
+}
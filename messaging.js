@@ -0,0 +1,319 @@
+// Driver-dispatcher messaging - threads, read receipts and a live channel
+//
+// Messages live in the 'messages' store:
+//   { id, threadId, subject, from: 'driver' | 'dispatch', author, text, sentAt,
+//     status: 'sending' | 'sent' | 'delivered' | 'read', readAt }
+// Outgoing messages and read receipts go through the sync queue (sent with the data source), so they
+// survive being offline;
+// incoming messages and receipts for our own messages arrive on a DispatchChannel.
+
+import { ApiClient } from './api-client.js';
+
+export const MESSAGE_STATUSES = {
+    sending: 'Waiting to send',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read',
+    failed: 'Not sent'
+};
+
+export const DEFAULT_THREAD = { id: 'dispatch', subject: 'Dispatch' };
+
+// Events: 'change' whenever messages or their status change
+export class MessageService extends EventTarget {
+    constructor(store, dataSource, queue) {
+        super();
+        this.store = store;
+        this.queue = queue;
+        this.messages = [];
+
+        queue.register('message', item => dataSource.sendMessage(item.body));
+        queue.register('message-read', item => dataSource.markMessageRead(item.ref, item.body.readAt));
+        queue.addEventListener('sent', (event) => {
+            const { item, result } = event.detail;
+            if (item.kind === 'message') {
+                this.applyReceipt({ id: item.ref, status: 'sent', serverId: result && result.id });
+            }
+        });
+        queue.addEventListener('failed', (event) => {
+            const { item, permanent } = event.detail;
+            if (item.kind === 'message' && permanent) {
+                this.applyReceipt({ id: item.ref, status: 'failed' });
+            }
+        });
+    }
+
+    // history: messages from the server, merged with what this device already has
+    async load(history = []) {
+        const local = await this.store.getAll('messages');
+        const known = new Map(local.map(message => [message.id, message]));
+        for (const message of history) {
+            const existing = known.get(message.id);
+            // Local receipts are newer than a history snapshot that hasn't caught up
+            const merged = existing ? { ...message, status: this.laterStatus(existing.status, message.status), readAt: existing.readAt || message.readAt } : message;
+            known.set(message.id, merged);
+            await this.store.put('messages', merged);
+        }
+        this.messages = Array.from(known.values()).sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+        this.emit();
+        return this.messages;
+    }
+
+    laterStatus(a, b) {
+        const order = Object.keys(MESSAGE_STATUSES);
+        return order.indexOf(a) > order.indexOf(b) ? a : b;
+    }
+
+    // Newest sentAt seen, for resuming the channel
+    get cursor() {
+        const last = this.messages[this.messages.length - 1];
+        return last ? last.sentAt : null;
+    }
+
+    get unreadCount() {
+        return this.messages.filter(message => message.from === 'dispatch' && message.status !== 'read').length;
+    }
+
+    // [{ id, subject, last, unread }], most recently active first; the dispatch thread is always there
+    threads() {
+        const threads = new Map([[DEFAULT_THREAD.id, { ...DEFAULT_THREAD, last: null, unread: 0 }]]);
+        this.messages.forEach(message => {
+            const thread = threads.get(message.threadId) ||
+                { id: message.threadId, subject: message.subject || message.threadId, last: null, unread: 0 };
+            thread.last = message;
+            if (message.from === 'dispatch' && message.status !== 'read') {
+                thread.unread++;
+            }
+            threads.set(thread.id, thread);
+        });
+        return Array.from(threads.values()).sort((a, b) =>
+            (b.last ? b.last.sentAt : '').localeCompare(a.last ? a.last.sentAt : ''));
+    }
+
+    inThread(threadId) {
+        return this.messages.filter(message => message.threadId === threadId);
+    }
+
+    // Returns the message, or null if it was already known (socket and poll can overlap)
+    async receive(message) {
+        if (this.messages.some(existing => existing.id === message.id)) {
+            return null;
+        }
+        const record = { threadId: DEFAULT_THREAD.id, from: 'dispatch', status: 'delivered', ...message };
+        this.messages.push(record);
+        this.messages.sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+        await this.store.put('messages', record);
+        this.emit();
+        return record;
+    }
+
+    // receipt: { id, status, at?, serverId? } for one of our messages; id may be the server's
+    async applyReceipt(receipt) {
+        const message = this.messages.find(item => item.id === receipt.id || (item.serverId && item.serverId === receipt.id));
+        if (!message || this.laterStatus(message.status, receipt.status) === message.status) {
+            return;
+        }
+        message.status = receipt.status;
+        if (receipt.serverId) {
+            message.serverId = receipt.serverId;
+        }
+        if (receipt.status === 'read') {
+            message.readAt = receipt.at || new Date().toISOString();
+        }
+        await this.store.put('messages', message);
+        this.emit();
+    }
+
+    async send(driver, thread, text) {
+        const id = `MSG-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        const message = {
+            id,
+            threadId: thread.id,
+            subject: thread.subject,
+            from: 'driver',
+            author: driver.name,
+            text,
+            sentAt: new Date().toISOString(),
+            status: 'sending'
+        };
+        this.messages.push(message);
+        await this.store.put('messages', message);
+        this.emit();
+        await this.queue.enqueue({
+            kind: 'message',
+            body: { clientId: id, driverId: driver.id, threadId: message.threadId, text, sentAt: message.sentAt },
+            ref: id
+        });
+        return message;
+    }
+
+    // Marks dispatch messages in the thread as read and tells dispatch
+    async markRead(threadId) {
+        const unread = this.inThread(threadId).filter(message => message.from === 'dispatch' && message.status !== 'read');
+        const readAt = new Date().toISOString();
+        for (const message of unread) {
+            message.status = 'read';
+            message.readAt = readAt;
+            await this.store.put('messages', message);
+            await this.queue.enqueue({ kind: 'message-read', body: { readAt }, ref: message.id });
+        }
+        if (unread.length > 0) {
+            this.emit();
+        }
+        return unread.length;
+    }
+
+    emit() {
+        this.dispatchEvent(new CustomEvent('change'));
+    }
+}
+
+// Live delivery from dispatch: a WebSocket when one is configured and reachable, otherwise
+// long-polling the REST API. Polling also covers the gaps while the socket reconnects.
+// Frames (socket) and poll responses carry { type: 'message', message } / { type: 'receipt', receipt } /
+// { type: 'policy', policy } (a new fleet settings policy), or a batch { messages: [], receipts: [], cursor }.
+// Events: 'message' (detail.message), 'receipt' (detail.receipt), 'policy' (detail.policy),
+// 'state' (detail.mode: 'socket' | 'polling' | 'offline').
+export class DispatchChannel extends EventTarget {
+    constructor(apiConfig, session, options = {}) {
+        super();
+        this.session = session;
+        this.endpoints = apiConfig.endpoints;
+        this.socketUrl = options.socketUrl || '';
+        this.pollTimeout = options.pollTimeout || 25000;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 60000;
+        // The server holds a poll open for up to pollTimeout, so allow longer than usual
+        this.api = new ApiClient({ baseUrl: apiConfig.baseUrl, timeout: this.pollTimeout + 5000 }, session);
+        this.mode = 'offline';
+        this.running = false;
+        this.polling = false;
+        this.socket = null;
+        this.socketFailures = 0;
+        this.reconnectTimer = null;
+        this.driverId = null;
+        this.cursor = null;
+    }
+
+    start(driverId, cursor = null) {
+        this.driverId = driverId;
+        this.cursor = cursor;
+        this.running = true;
+        if (this.socketUrl && 'WebSocket' in window) {
+            this.connect();
+        } else {
+            this.poll();
+        }
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setMode('offline');
+    }
+
+    connect() {
+        const url = new URL(this.socketUrl, window.location.href);
+        url.searchParams.set('driverId', this.driverId);
+        const token = this.session && this.session.getToken();
+        if (token) {
+            // Browsers can't set headers on a WebSocket handshake
+            url.searchParams.set('token', token);
+        }
+
+        const socket = new WebSocket(url.toString());
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.socketFailures = 0;
+            this.setMode('socket');
+            socket.send(JSON.stringify({ type: 'resume', since: this.cursor }));
+        });
+        socket.addEventListener('message', (event) => {
+            try {
+                this.handle(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Bad dispatch frame:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket || !this.running) {
+                return;
+            }
+            this.socket = null;
+            this.socketFailures++;
+            this.poll();
+            const delay = Math.min(this.baseDelay * Math.pow(2, this.socketFailures - 1), this.maxDelay);
+            this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        });
+    }
+
+    get socketOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        let failures = 0;
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        while (this.running && !this.socketOpen) {
+            const started = Date.now();
+            try {
+                const response = await this.api.get(this.endpoints.messagePoll, {
+                    id: this.driverId,
+                    since: this.cursor || ''
+                });
+                failures = 0;
+                this.setMode('polling');
+                if (response) {
+                    this.handle(response);
+                }
+                // A server that answers straight away instead of holding the request
+                if (Date.now() - started < 1000) {
+                    await wait(this.baseDelay);
+                }
+            } catch (error) {
+                failures++;
+                this.setMode('offline');
+                await wait(Math.min(this.baseDelay * Math.pow(2, failures - 1), this.maxDelay));
+            }
+        }
+        this.polling = false;
+    }
+
+    handle(data) {
+        if (data.type === 'message') {
+            this.receive(data.message);
+        } else if (data.type === 'receipt') {
+            this.dispatchEvent(new CustomEvent('receipt', { detail: { receipt: data.receipt } }));
+        } else if (data.type === 'policy') {
+            this.dispatchEvent(new CustomEvent('policy', { detail: { policy: data.policy } }));
+        } else {
+            (data.messages || []).forEach(message => this.receive(message));
+            (data.receipts || []).forEach(receipt => this.dispatchEvent(new CustomEvent('receipt', { detail: { receipt } })));
+        }
+        if (data.cursor) {
+            this.cursor = data.cursor;
+        }
+    }
+
+    receive(message) {
+        if (!this.cursor || message.sentAt > this.cursor) {
+            this.cursor = message.sentAt;
+        }
+        this.dispatchEvent(new CustomEvent('message', { detail: { message } }));
+    }
+
+    setMode(mode) {
+        if (mode !== this.mode) {
+            this.mode = mode;
+            this.dispatchEvent(new CustomEvent('state', { detail: { mode } }));
+        }
+    }
+}
@@ -0,0 +1,140 @@
+// Odometer - distance from accepted GPS fixes, kept per vehicle and per day
+//
+// Moves shorter than the fix accuracy (or minMove) are treated as stationary jitter and
+// held until the vehicle has really moved; a fix implying more than maxSpeed from the last
+// one is a jump and is ignored; if jumps keep coming, tracking restarts from the new
+// position without adding the gap.
+// Records: 'distances' { id: vehicleId:date, vehicleId, date, driverId, metres, countedFrom (metres at the last rollover) }
+//          'odometers' { vehicleId, base (km, from the vehicle record), metres (driven since) }
+// Events: 'change' (detail.added, metres) whenever distance is added.
+
+import { Geo } from './geo.js';
+import { systemClock } from './clock.js';
+import { LocalStore } from './storage.js';
+
+export class Odometer extends EventTarget {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.clock = options.clock || systemClock;
+        this.minMove = options.minMove || 10;
+        this.maxSpeed = options.maxSpeed || 160;
+        this.jumpConfirmations = options.jumpConfirmations || 3;
+        this.saveEvery = options.saveEvery || 30000;
+        this.vehicleId = null;
+        this.driverId = null;
+        this.day = null;
+        this.odometer = null;
+        this.anchor = null;
+        this.jumps = 0;
+        this.savedAt = 0;
+        this.dirty = false;
+        // km between two { lat, lng } points; replaceable for tests
+        this.measure = (from, to) => Geo.distance(from.lat, from.lng, to.lat, to.lng);
+    }
+
+    // Base reading in km comes from the vehicle record; a newer server reading replaces local tracking
+    async setVehicle(vehicleId, baseKm = 0, driverId = null) {
+        await this.save();
+        this.vehicleId = vehicleId;
+        this.driverId = driverId;
+        this.anchor = null;
+
+        const stored = await this.store.get('odometers', vehicleId);
+        this.odometer = stored && stored.base >= baseKm ? stored : { vehicleId, base: baseKm, metres: 0 };
+        this.day = await this.loadDay(LocalStore.dayKey(this.clock.now()));
+    }
+
+    async loadDay(date) {
+        const id = `${this.vehicleId}:${date}`;
+        return (await this.store.get('distances', id)) ||
+            { id, vehicleId: this.vehicleId, date, driverId: this.driverId, metres: 0 };
+    }
+
+    // Since midnight, or since the last rollover() today
+    get today() {
+        return this.day ? this.day.metres - (this.day.countedFrom || 0) : 0;
+    }
+
+    // Running odometer reading in km
+    get reading() {
+        return this.odometer ? this.odometer.base + this.odometer.metres / 1000 : null;
+    }
+
+    // Restarts today's count at zero when a shift is closed; the day record keeps the full distance
+    rollover() {
+        if (!this.day) {
+            return Promise.resolve();
+        }
+        this.day.countedFrom = this.day.metres;
+        this.dirty = true;
+        return this.save();
+    }
+
+    // Forget the last position, e.g. when switching between live GPS and a replay
+    reset() {
+        this.anchor = null;
+        this.jumps = 0;
+    }
+
+    // fix: { lat, lng, accuracy (m), timestamp (ms) }; returns the metres added
+    record(fix, now = this.clock.now()) {
+        if (!this.vehicleId) {
+            return 0;
+        }
+        if (!this.anchor) {
+            this.anchor = fix;
+            return 0;
+        }
+
+        const metres = this.measure(this.anchor, fix) * 1000;
+        if (metres < Math.max(this.minMove, fix.accuracy || 0)) {
+            return 0;
+        }
+
+        const seconds = (fix.timestamp - this.anchor.timestamp) / 1000;
+        if (seconds <= 0 || metres / seconds * 3.6 > this.maxSpeed) {
+            if (++this.jumps >= this.jumpConfirmations) {
+                this.anchor = fix;
+                this.jumps = 0;
+            }
+            return 0;
+        }
+
+        this.anchor = fix;
+        this.jumps = 0;
+        this.add(metres, now);
+        return metres;
+    }
+
+    add(metres, now) {
+        const date = LocalStore.dayKey(now);
+        if (this.day.date !== date) {
+            // Midnight passed while driving; the old day is saved under its own id
+            this.save();
+            this.day = { id: `${this.vehicleId}:${date}`, vehicleId: this.vehicleId, date, driverId: this.driverId, metres: 0 };
+        }
+        this.day.metres += metres;
+        this.odometer.metres += metres;
+        this.dirty = true;
+        if (now - this.savedAt >= this.saveEvery) {
+            this.save();
+        }
+        this.dispatchEvent(new CustomEvent('change', { detail: { added: metres } }));
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+        this.dirty = false;
+        this.savedAt = this.clock.now();
+        try {
+            await this.store.put('distances', { ...this.day });
+            await this.store.put('odometers', { ...this.odometer, updatedAt: new Date(this.savedAt).toISOString() });
+        } catch (error) {
+            this.dirty = true;
+            console.error('Odometer save error:', error);
+        }
+    }
+}
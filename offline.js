@@ -0,0 +1,177 @@
+// Offline support - ordered outbound sync queue and route tile precaching
+//
+// Queue items: { id, kind, method, path, params, body, priority, ref, attempts, createdAt }
+// Higher priority flushes first (emergencies), otherwise strictly in the order queued.
+// Items are sent with api.request() unless a sender has been registered for their kind.
+// Events: 'change' (detail.pending), 'sent' (detail.item, detail.result), 'failed' (detail.item, detail.error)
+export class SyncQueue extends EventTarget {
+    constructor(api, store, options = {}) {
+        super();
+        this.api = api;
+        this.store = store;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 60000;
+        this.limits = options.limits || {}; // max queued items per kind; oldest are dropped
+        this.senders = {};
+        this.flushing = false;
+        this.retryTimer = null;
+        this.failures = 0;
+        this.pending = 0;
+    }
+
+    // e.g. register('delivery', item => dataSource.submitProofOfDelivery(item.body))
+    register(kind, send) {
+        this.senders[kind] = send;
+    }
+
+    async enqueue(item) {
+        const queued = {
+            method: 'POST',
+            params: {},
+            priority: 0,
+            ref: null,
+            ...item,
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+        queued.id = await this.store.add('outbox', queued);
+        await this.enforceLimit(queued.kind);
+        await this.refreshCount();
+        this.flush();
+        return queued;
+    }
+
+    async enforceLimit(kind) {
+        const limit = this.limits[kind];
+        if (!limit) {
+            return;
+        }
+        const items = (await this.store.getAll('outbox')).filter(item => item.kind === kind);
+        const excess = items.slice(0, Math.max(items.length - limit, 0));
+        for (const item of excess) {
+            await this.store.delete('outbox', item.id);
+        }
+    }
+
+    // Drop everything queued for a record, e.g. an incident closed before its report got out
+    async cancel(ref) {
+        const items = (await this.store.getAll('outbox')).filter(item => item.ref === ref);
+        for (const item of items) {
+            await this.store.delete('outbox', item.id);
+        }
+        await this.refreshCount();
+    }
+
+    async items() {
+        const items = await this.store.getAll('outbox');
+        return items.sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+    }
+
+    async refreshCount() {
+        this.pending = (await this.store.getAll('outbox')).length;
+        this.dispatchEvent(new CustomEvent('change', { detail: { pending: this.pending } }));
+        return this.pending;
+    }
+
+    async flush() {
+        if (this.flushing || !navigator.onLine) {
+            return;
+        }
+        clearTimeout(this.retryTimer);
+        this.flushing = true;
+
+        try {
+            for (const item of await this.items()) {
+                try {
+                    const send = this.senders[item.kind];
+                    const result = send ?
+                        await send(item) :
+                        await this.api.request(item.method, item.path, { params: item.params, body: item.body });
+                    await this.store.delete('outbox', item.id);
+                    this.failures = 0;
+                    this.dispatchEvent(new CustomEvent('sent', { detail: { item, result } }));
+                } catch (error) {
+                    item.attempts++;
+                    item.lastError = error.message;
+
+                    // A 4xx (other than timeout/rate limit) will never succeed; don't let it block the queue
+                    const permanent = error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+                    if (permanent) {
+                        console.error(`Dropping ${item.kind} from sync queue:`, error);
+                        await this.store.delete('outbox', item.id);
+                        this.dispatchEvent(new CustomEvent('failed', { detail: { item, error, permanent } }));
+                        continue;
+                    }
+
+                    await this.store.put('outbox', item);
+                    this.dispatchEvent(new CustomEvent('failed', { detail: { item, error, permanent } }));
+                    this.scheduleRetry();
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Sync queue error:', error);
+        } finally {
+            this.flushing = false;
+            await this.refreshCount();
+        }
+    }
+
+    scheduleRetry() {
+        this.failures++;
+        const delay = Math.min(this.baseDelay * Math.pow(2, this.failures - 1), this.maxDelay);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flush(), delay + Math.random() * 1000);
+    }
+}
+
+// Works out which map tiles cover the day's route so the service worker can fetch them ahead of time
+export const RouteTileCache = {
+    tileFor(lat, lng, zoom) {
+        const scale = Math.pow(2, zoom);
+        const x = Math.floor((lng + 180) / 360 * scale);
+        const latRad = lat * Math.PI / 180;
+        const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale);
+        return { x, y };
+    },
+
+    // Tiles within `buffer` tiles of every leg between consecutive points
+    corridorTiles(points, zooms, buffer = 1) {
+        const tiles = new Map();
+        zooms.forEach(zoom => {
+            const add = (lat, lng) => {
+                const { x, y } = this.tileFor(lat, lng, zoom);
+                for (let dx = -buffer; dx <= buffer; dx++) {
+                    for (let dy = -buffer; dy <= buffer; dy++) {
+                        tiles.set(`${zoom}/${x + dx}/${y + dy}`, { z: zoom, x: x + dx, y: y + dy });
+                    }
+                }
+            };
+
+            points.forEach((point, index) => {
+                add(point.lat, point.lng);
+                const next = points[index + 1];
+                if (!next) {
+                    return;
+                }
+                // Sample each leg finely enough not to skip a tile at this zoom
+                const tileDegrees = 360 / Math.pow(2, zoom);
+                const steps = Math.ceil(Math.max(Math.abs(next.lat - point.lat), Math.abs(next.lng - point.lng)) / (tileDegrees / 2));
+                for (let step = 1; step < steps; step++) {
+                    const t = step / steps;
+                    add(point.lat + (next.lat - point.lat) * t, point.lng + (next.lng - point.lng) * t);
+                }
+            });
+        });
+        return Array.from(tiles.values());
+    },
+
+    tileUrls(template, tiles, subdomain = 'a') {
+        return tiles.map(tile => template
+            .replace('{s}', subdomain)
+            .replace('{z}', tile.z)
+            .replace('{x}', tile.x)
+            .replace('{y}', tile.y)
+            .replace('{r}', ''));
+    }
+};
@@ -0,0 +1,119 @@
+// Proof of delivery - signature capture and locally saved delivery records
+export const FAILURE_REASONS = {
+    'customer-absent': 'Customer absent',
+    'address-not-found': 'Address not found',
+    'refused': 'Refused by customer',
+    'damaged': 'Package damaged',
+    'closed': 'Business closed',
+    'other': 'Other'
+};
+
+export class SignaturePad {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.drawing = false;
+        this.empty = true;
+
+        canvas.addEventListener('pointerdown', (event) => this.begin(event));
+        canvas.addEventListener('pointermove', (event) => this.draw(event));
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            canvas.addEventListener(type, () => {
+                this.drawing = false;
+            });
+        });
+    }
+
+    point(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+        return {
+            x: (event.clientX - rect.left) * scaleX,
+            y: (event.clientY - rect.top) * scaleY
+        };
+    }
+
+    begin(event) {
+        event.preventDefault();
+        this.drawing = true;
+        const { x, y } = this.point(event);
+        this.context.lineWidth = 2;
+        this.context.lineCap = 'round';
+        this.context.strokeStyle = '#333';
+        this.context.beginPath();
+        this.context.moveTo(x, y);
+    }
+
+    draw(event) {
+        if (!this.drawing) {
+            return;
+        }
+        event.preventDefault();
+        const { x, y } = this.point(event);
+        this.context.lineTo(x, y);
+        this.context.stroke();
+        this.empty = false;
+    }
+
+    clear() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.empty = true;
+    }
+
+    isEmpty() {
+        return this.empty;
+    }
+
+    toDataURL() {
+        return this.canvas.toDataURL('image/png');
+    }
+}
+
+// Saves delivery records to IndexedDB and uploads them through the data source when online
+export class ProofOfDeliveryService {
+    // Uploads go through the sync queue, which calls dataSource.submitProofOfDelivery()
+    constructor(store, dataSource, queue) {
+        this.store = store;
+        this.queue = queue;
+
+        queue.register('delivery', item => dataSource.submitProofOfDelivery(item.body));
+        queue.addEventListener('sent', (event) => {
+            const item = event.detail.item;
+            if (item.kind === 'delivery') {
+                this.markUploaded(item.ref);
+            }
+        });
+    }
+
+    async save(record) {
+        const saved = {
+            id: `${record.stopId}-${Date.now()}`,
+            uploaded: false,
+            ...record
+        };
+        await this.store.put('deliveries', saved);
+        await this.queue.enqueue({ kind: 'delivery', body: saved, ref: saved.id });
+        return saved;
+    }
+
+    getRecords() {
+        return this.store.getAll('deliveries');
+    }
+
+    async markUploaded(id) {
+        const record = await this.store.get('deliveries', id);
+        if (record) {
+            await this.store.put('deliveries', { ...record, uploaded: true, uploadedAt: new Date().toISOString() });
+        }
+    }
+
+    static readPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+}
@@ -0,0 +1,280 @@
+// Routing - turn-by-turn routes from a pluggable backend, and progress along the active route
+//
+// Every router resolves route(from, to) with points as { lat, lng } to
+//   { distance (m), duration (s), geometry: [[lat, lng], ...],
+//     steps: [{ instruction, distance (m), duration (s), location: [lat, lng] }] }
+// Backends: 'osrm' and 'graphhopper' talk to a compatible HTTP API; 'mock' builds an
+// OSRM-shaped answer locally (an L-shaped path with one turn) for demos and offline tests.
+
+import { I18n } from './i18n.js';
+import { ApiClient } from './api-client.js';
+import { Geo } from './geo.js';
+import { systemClock } from './clock.js';
+
+export class RoutingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoutingError';
+    }
+}
+
+export class OsrmRouter {
+    constructor(options = {}) {
+        this.api = new ApiClient({ baseUrl: options.url, timeout: options.timeout });
+        this.profile = options.profile || 'driving';
+    }
+
+    async route(from, to) {
+        const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+        const response = await this.api.get(`/route/v1/${this.profile}/${coordinates}?overview=full&geometries=geojson&steps=true`);
+        return OsrmRouter.parse(response);
+    }
+
+    static parse(response) {
+        if (!response || response.code !== 'Ok' || !response.routes || response.routes.length === 0) {
+            throw new RoutingError(`No route found (${response ? response.code : 'empty response'})`);
+        }
+        const route = response.routes[0];
+        const steps = [];
+        route.legs.forEach(leg => leg.steps.forEach(step => {
+            const [lng, lat] = step.maneuver.location;
+            steps.push({
+                instruction: OsrmRouter.describe(step),
+                distance: step.distance,
+                duration: step.duration,
+                location: [lat, lng]
+            });
+        }));
+        return {
+            distance: route.distance,
+            duration: route.duration,
+            geometry: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+            steps
+        };
+    }
+
+    // OSRM returns manoeuvre types, not text; the wording comes from the message catalogue
+    static describe(step) {
+        const { type, modifier, exit } = step.maneuver;
+        const onto = step.name ? 'Onto' : '';
+        if (type === 'depart') {
+            return I18n.t(`route.depart${onto}`, { name: step.name });
+        }
+        if (type === 'arrive') {
+            return I18n.t('route.arrive');
+        }
+        if (type === 'roundabout' || type === 'rotary') {
+            return I18n.t(`route.roundabout${onto}`, { exit: I18n.number(exit || 1), name: step.name });
+        }
+        const verbs = {
+            'turn': 'turn',
+            'end of road': 'turn',
+            'fork': 'keep',
+            'merge': 'merge',
+            'on ramp': 'ramp',
+            'off ramp': 'exit'
+        };
+        const verb = I18n.t(`route.verb.${verbs[type] || 'continue'}`);
+        const direction = modifier ? I18n.label(`route.modifier.${modifier}`, modifier) : '';
+        return I18n.t(`route.step${onto}`, { verb, direction, name: step.name }).replace(/\s+/g, ' ').trim();
+    }
+}
+
+export class GraphHopperRouter {
+    constructor(options = {}) {
+        this.api = new ApiClient({ baseUrl: options.url, timeout: options.timeout });
+        this.profile = options.profile || 'car';
+        this.apiKey = options.apiKey || '';
+    }
+
+    async route(from, to) {
+        const response = await this.api.get('/route?point=:from&point=:to&profile=:profile&locale=:locale&points_encoded=false&instructions=true&key=:key', {
+            from: `${from.lat},${from.lng}`,
+            to: `${to.lat},${to.lng}`,
+            profile: this.profile,
+            locale: I18n.language,
+            key: this.apiKey
+        });
+        return GraphHopperRouter.parse(response);
+    }
+
+    static parse(response) {
+        if (!response || !response.paths || response.paths.length === 0) {
+            throw new RoutingError(`No route found (${response && response.message ? response.message : 'empty response'})`);
+        }
+        const path = response.paths[0];
+        const geometry = path.points.coordinates.map(([lng, lat]) => [lat, lng]);
+        return {
+            distance: path.distance,
+            duration: path.time / 1000,
+            geometry,
+            steps: path.instructions.map(instruction => ({
+                instruction: instruction.text,
+                distance: instruction.distance,
+                duration: instruction.time / 1000,
+                location: geometry[instruction.interval[0]]
+            }))
+        };
+    }
+}
+
+export class MockRouter {
+    constructor(options = {}) {
+        this.speed = options.mockSpeed || 30; // km/h
+    }
+
+    async route(from, to) {
+        // North/south first, then east/west
+        const corner = { lat: to.lat, lng: from.lng };
+        const legs = [[from, corner], [corner, to]].map(([a, b]) => Geo.distance(a.lat, a.lng, b.lat, b.lng) * 1000);
+        const heading = to.lat >= from.lat ? 1 : -1;
+        const east = to.lng >= from.lng ? 1 : -1;
+        const modifier = heading * east > 0 ? 'right' : 'left';
+        const seconds = metres => metres / (this.speed / 3.6);
+        const step = (type, point, metres, extra = {}) => ({
+            name: '',
+            distance: metres,
+            duration: seconds(metres),
+            maneuver: { type, location: [point.lng, point.lat], ...extra }
+        });
+
+        return OsrmRouter.parse({
+            code: 'Ok',
+            routes: [{
+                distance: legs[0] + legs[1],
+                duration: seconds(legs[0] + legs[1]),
+                geometry: { coordinates: [from, corner, to].map(point => [point.lng, point.lat]) },
+                legs: [{
+                    steps: [
+                        step('depart', from, legs[0]),
+                        step('turn', corner, legs[1], { modifier }),
+                        step('arrive', to, 0)
+                    ]
+                }]
+            }]
+        });
+    }
+}
+
+export function createRouter(options) {
+    if (options.backend === 'osrm') {
+        return new OsrmRouter(options);
+    }
+    if (options.backend === 'graphhopper') {
+        return new GraphHopperRouter(options);
+    }
+    return new MockRouter(options);
+}
+
+// Follows the driver along the active route and reroutes when they leave it.
+// Events: 'route' (detail.route, null once stopped), 'progress' (detail: see update()),
+// 'reroute' (detail.distance off the route in m) and 'error' (detail.error, from a failed reroute).
+export class RouteNavigator extends EventTarget {
+    constructor(router, options = {}) {
+        super();
+        this.router = router;
+        this.clock = options.clock || systemClock;
+        this.offRouteDistance = options.offRouteDistance || 50;
+        this.offRouteFixes = options.offRouteFixes || 3;
+        this.rerouteCooldown = options.rerouteCooldown || 15000;
+        this.route = null;
+        this.destination = null;
+        this.cumulative = []; // km along the geometry at each vertex
+        this.progress = null;
+        this.request = null;
+        this.routedAt = 0;
+        this.offRouteCount = 0;
+    }
+
+    get isRouting() {
+        return this.request !== null;
+    }
+
+    // destination: { id?, lat, lng }; resolves to the route, or null if superseded meanwhile
+    async navigate(from, destination) {
+        this.destination = destination;
+        this.routedAt = this.clock.now();
+        const request = this.router.route(from, destination);
+        this.request = request;
+        let route;
+        try {
+            route = await request;
+        } finally {
+            if (this.request === request) {
+                this.request = null;
+            }
+        }
+        if (this.destination !== destination) {
+            return null;
+        }
+
+        this.setRoute(route);
+        this.update(from);
+        return route;
+    }
+
+    setRoute(route) {
+        let total = 0;
+        this.cumulative = route.geometry.map((point, i) => {
+            if (i > 0) {
+                const previous = route.geometry[i - 1];
+                total += Geo.distance(previous[0], previous[1], point[0], point[1]);
+            }
+            return total;
+        });
+        route.steps.forEach(step => {
+            step.along = this.along(step.location[0], step.location[1], route.geometry).along;
+        });
+        this.route = route;
+        this.offRouteCount = 0;
+        this.dispatchEvent(new CustomEvent('route', { detail: { route } }));
+    }
+
+    stop() {
+        this.route = null;
+        this.destination = null;
+        this.progress = null;
+        this.cumulative = [];
+        this.dispatchEvent(new CustomEvent('route', { detail: { route: null } }));
+    }
+
+    // km along the route of the closest point, and the km off it
+    along(lat, lng, geometry = this.route.geometry) {
+        const nearest = Geo.nearestOnLine(lat, lng, geometry);
+        const start = this.cumulative[nearest.index] || 0;
+        const end = this.cumulative[nearest.index + 1] || start;
+        return { along: start + nearest.fraction * (end - start), off: nearest.distance };
+    }
+
+    // position: { lat, lng }. Returns { remaining (m), duration (s), nextStep, toNextStep (m), offRoute } or null
+    update(position, now = this.clock.now()) {
+        if (!this.route) {
+            return null;
+        }
+        const total = this.cumulative[this.cumulative.length - 1];
+        const { along, off } = this.along(position.lat, position.lng);
+        const remaining = Math.max(total - along, 0);
+        const nextStep = this.route.steps.find(step => step.along > along + 0.01) || null;
+        const offRoute = off * 1000 > this.offRouteDistance;
+
+        this.progress = {
+            remaining: remaining * 1000,
+            duration: total > 0 ? this.route.duration * remaining / total : 0,
+            nextStep,
+            toNextStep: nextStep ? (nextStep.along - along) * 1000 : 0,
+            offRoute
+        };
+        this.dispatchEvent(new CustomEvent('progress', { detail: this.progress }));
+
+        // A few fixes in a row, so one bad fix doesn't trigger a reroute
+        this.offRouteCount = offRoute ? this.offRouteCount + 1 : 0;
+        if (this.offRouteCount >= this.offRouteFixes && !this.isRouting && now - this.routedAt >= this.rerouteCooldown) {
+            this.offRouteCount = 0;
+            this.dispatchEvent(new CustomEvent('reroute', { detail: { distance: off * 1000 } }));
+            this.navigate(position, this.destination).catch(error => {
+                this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+            });
+        }
+        return this.progress;
+    }
+}
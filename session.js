@@ -0,0 +1,80 @@
+// Driver sign-in session kept in sessionStorage
+export class SessionManager {
+    constructor(config = {}, storage = window.sessionStorage) {
+        this.storage = storage;
+        this.storageKey = config.storageKey || 'fleettrack.session';
+        this.loginPage = config.loginPage || 'index.html';
+        this.ttl = config.ttl || 8 * 60 * 60;
+        this.expiryTimer = null;
+    }
+
+    get current() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // result comes from dataSource.authenticate(): { token, driverId, expiresIn? (seconds) }
+    save(result) {
+        const session = {
+            token: result.token,
+            driverId: result.driverId,
+            expiresAt: Date.now() + (result.expiresIn || this.ttl) * 1000
+        };
+        this.storage.setItem(this.storageKey, JSON.stringify(session));
+        return session;
+    }
+
+    isValid() {
+        const session = this.current;
+        return !!(session && session.token && session.expiresAt > Date.now());
+    }
+
+    getToken() {
+        return this.isValid() ? this.current.token : null;
+    }
+
+    getDriverId() {
+        return this.isValid() ? this.current.driverId : null;
+    }
+
+    getExpiry() {
+        const session = this.current;
+        return session ? new Date(session.expiresAt) : null;
+    }
+
+    clear() {
+        clearTimeout(this.expiryTimer);
+        this.storage.removeItem(this.storageKey);
+    }
+
+    // Called on 401 responses and when the session runs out
+    expire(reason) {
+        this.clear();
+        this.redirectToLogin(reason);
+    }
+
+    redirectToLogin(reason) {
+        const query = reason ? `?reason=${encodeURIComponent(reason)}` : '';
+        window.location.href = this.loginPage + query;
+    }
+
+    watchExpiry() {
+        clearTimeout(this.expiryTimer);
+        const session = this.current;
+        if (!session) {
+            return;
+        }
+        // setTimeout overflows past ~24.8 days, so long sessions re-arm instead
+        const remaining = Math.max(session.expiresAt - Date.now(), 0);
+        this.expiryTimer = setTimeout(() => {
+            if (this.isValid()) {
+                this.watchExpiry();
+            } else {
+                this.expire('timeout');
+            }
+        }, Math.min(remaining, 0x7fffffff));
+    }
+}
@@ -0,0 +1,223 @@
+// Driver settings - per-driver preferences, bounded by a fleet-wide policy
+//
+// Preferences are kept per driver in localStorage, so a shared device follows whoever is signed in.
+// The policy is set by dispatch (fetched at start, pushed over the dispatch channel, cached for
+// offline starts) and maps a setting to a rule:
+//   { value }       locked to this value
+//   { min, max }    bounds; for choices these are choice values, compared by their order below
+// A saved preference the policy doesn't allow is overridden, not forgotten, so it comes back
+// once the policy is lifted.
+// Events: 'change' (detail.changed: names of the settings whose effective value changed)
+
+const SETTINGS_KEY = 'fleettrack.settings';
+const POLICY_KEY = 'fleettrack.settingsPolicy';
+const LEGACY_ALERT_KEY = 'fleettrack.alertPrefs'; // volume and silence before settings existed
+
+// Choices run from least to most strict (or frequent), which is what a policy minimum is measured by
+export const SETTINGS = {
+    alertSensitivity: { choices: ['low', 'normal', 'high'] },
+    alertVolume: { min: 0, max: 1 },
+    silentWhenStationary: { type: 'boolean' },
+    units: { choices: ['metric', 'imperial'] },
+    theme: { choices: ['light', 'dark', 'auto'] },
+    refreshInterval: { choices: [120, 60, 30, 15] }, // seconds between dashboard refreshes
+    notificationDuration: { choices: ['short', 'normal', 'long'] },
+    shortcuts: { type: 'shortcuts' }
+};
+
+export const SHORTCUT_ACTIONS = ['emergency', 'centerMap'];
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+
+// 'Ctrl+Shift+E' style combinations; a shortcut needs Ctrl or Alt (or a function key),
+// so it never fires while typing
+export const Shortcut = {
+    fromEvent(event) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+            return null;
+        }
+        const key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+        const pressed = [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.shiftKey && 'Shift'].filter(Boolean);
+        return Shortcut.normalise([...pressed, key].join('+'));
+    },
+
+    // Canonical form of a combination, or null if it can't be used
+    normalise(text) {
+        const parts = String(text || '').split('+').map(part => part.trim()).filter(Boolean);
+        const key = parts.pop();
+        const named = parts.map(part => MODIFIERS.find(modifier => modifier.toLowerCase() === part.toLowerCase()));
+        if (!key || named.includes(undefined)) {
+            return null;
+        }
+        const modifiers = MODIFIERS.filter(modifier => named.includes(modifier));
+        if (!modifiers.includes('Ctrl') && !modifiers.includes('Alt') && !/^F\d{1,2}$/.test(key)) {
+            return null;
+        }
+        return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+');
+    }
+};
+
+export class DriverSettings extends EventTarget {
+    // options: { defaults, policy (used until dispatch sends one) }
+    constructor(options = {}, storage = window.localStorage) {
+        super();
+        this.storage = storage;
+        this.defaults = options.defaults || {};
+        this.policy = this.read(POLICY_KEY) || options.policy || {};
+        this.driverId = null;
+        this.prefs = {};
+    }
+
+    load(driverId) {
+        this.driverId = driverId;
+        const saved = (this.read(SETTINGS_KEY) || {})[driverId];
+        if (saved) {
+            this.prefs = saved;
+        } else {
+            const legacy = (this.read(LEGACY_ALERT_KEY) || {})[driverId] || {};
+            this.prefs = {};
+            if (legacy.volume !== undefined) {
+                this.prefs.alertVolume = legacy.volume;
+            }
+            if (legacy.silentWhenStationary !== undefined) {
+                this.prefs.silentWhenStationary = legacy.silentWhenStationary;
+            }
+        }
+        return this.values();
+    }
+
+    // Effective value: the policy's lock, else the driver's choice (or the default) within the policy
+    get(name) {
+        const rule = this.policy[name] || {};
+        if (rule.value !== undefined && this.isValid(name, rule.value)) {
+            return rule.value;
+        }
+        const chosen = this.isValid(name, this.prefs[name]) ? this.prefs[name] : this.defaults[name];
+        return this.bound(name, chosen);
+    }
+
+    values() {
+        const values = {};
+        Object.keys(SETTINGS).forEach(name => {
+            values[name] = this.get(name);
+        });
+        return values;
+    }
+
+    isLocked(name) {
+        const rule = this.policy[name] || {};
+        return rule.value !== undefined && this.isValid(name, rule.value);
+    }
+
+    // Choices the policy leaves open, in order
+    allowed(name) {
+        const choices = SETTINGS[name].choices;
+        if (this.isLocked(name)) {
+            return [this.policy[name].value];
+        }
+        const rule = this.policy[name] || {};
+        const from = choices.includes(rule.min) ? choices.indexOf(rule.min) : 0;
+        const to = choices.includes(rule.max) ? choices.indexOf(rule.max) : choices.length - 1;
+        return choices.slice(from, to + 1);
+    }
+
+    // Numeric range the policy leaves open: { min, max }
+    range(name) {
+        const setting = SETTINGS[name];
+        const rule = this.policy[name] || {};
+        const min = typeof rule.min === 'number' ? Math.max(rule.min, setting.min) : setting.min;
+        const max = typeof rule.max === 'number' ? Math.min(rule.max, setting.max) : setting.max;
+        return { min, max: Math.max(min, max) };
+    }
+
+    bound(name, value) {
+        const setting = SETTINGS[name];
+        if (setting.choices) {
+            const allowed = this.allowed(name);
+            if (allowed.includes(value)) {
+                return value;
+            }
+            const below = setting.choices.indexOf(value) < setting.choices.indexOf(allowed[0]);
+            return below ? allowed[0] : allowed[allowed.length - 1];
+        }
+        if (setting.min !== undefined) {
+            const { min, max } = this.range(name);
+            return Math.min(Math.max(value, min), max);
+        }
+        return value;
+    }
+
+    isValid(name, value) {
+        const setting = SETTINGS[name];
+        if (!setting || value === undefined || value === null) {
+            return false;
+        }
+        if (setting.choices) {
+            return setting.choices.includes(value);
+        }
+        if (setting.type === 'boolean') {
+            return typeof value === 'boolean';
+        }
+        if (setting.type === 'shortcuts') {
+            const combos = SHORTCUT_ACTIONS.map(action => value[action]);
+            return combos.every(combo => combo && Shortcut.normalise(combo) === combo) &&
+                new Set(combos).size === combos.length;
+        }
+        return typeof value === 'number' && value >= setting.min && value <= setting.max;
+    }
+
+    // Saves what is valid; locked settings and unknown names are ignored. Returns the effective values.
+    save(changes) {
+        const before = this.values();
+        Object.keys(changes).forEach(name => {
+            if (this.isValid(name, changes[name]) && !this.isLocked(name)) {
+                this.prefs[name] = changes[name];
+            }
+        });
+        const all = this.read(SETTINGS_KEY) || {};
+        all[this.driverId] = this.prefs;
+        this.write(SETTINGS_KEY, all);
+        return this.notify(before);
+    }
+
+    // Replaces the fleet policy (null clears it) and keeps it for the next start
+    setPolicy(policy) {
+        const before = this.values();
+        this.policy = policy || {};
+        this.write(POLICY_KEY, this.policy);
+        return this.notify(before);
+    }
+
+    // The action bound to a key press, or null
+    shortcutAction(event) {
+        const combo = Shortcut.fromEvent(event);
+        const shortcuts = this.get('shortcuts');
+        return combo ? SHORTCUT_ACTIONS.find(action => shortcuts[action] === combo) || null : null;
+    }
+
+    notify(before) {
+        const values = this.values();
+        const changed = Object.keys(values).filter(name => JSON.stringify(values[name]) !== JSON.stringify(before[name]));
+        if (changed.length) {
+            this.dispatchEvent(new CustomEvent('change', { detail: { changed } }));
+        }
+        return values;
+    }
+
+    read(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (error) {
+            console.warn(`Ignoring saved ${key}:`, error);
+            return null;
+        }
+    }
+
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error);
+        }
+    }
+}
@@ -0,0 +1,415 @@
+// End of shift - the open shift's route and zone entries, and the Close Shift report
+//
+// Shifts live in the 'shifts' store:
+//   { id, driverId, vehicleId, startedAt, closedAt, metres, path: [[lat, lng]],
+//     zones: [{ id, name, category, speedLimit, at }], reportId }
+// A shift opens when the driver goes on duty (or starts driving) and stays open across reloads
+// until it is closed. Closing stores the report in 'shiftReports' and sends it through the sync
+// queue; reports are marked submitted once the queue has delivered them.
+// Events: 'open' (detail.shift), 'close' (detail.shift, detail.report)
+
+import { systemClock } from './clock.js';
+import { Geo } from './geo.js';
+import { I18n } from './i18n.js';
+import { DrivingMonitor } from './driving.js';
+import { FUEL_FLAGS } from './fuel.js';
+import { FAILURE_REASONS } from './pod.js';
+
+export class ShiftLog extends EventTarget {
+    constructor(store, queue, endpoints, options = {}) {
+        super();
+        this.store = store;
+        this.queue = queue;
+        this.endpoints = endpoints;
+        this.clock = options.clock || systemClock;
+        this.pathSpacing = options.pathSpacing || 50; // metres between kept route points
+        this.maxPathPoints = options.maxPathPoints || 2000;
+        this.saveEvery = options.saveEvery || 60000;
+        this.driverId = null;
+        this.current = null;
+        this.lastClosedAt = null;
+        this.savedAt = 0;
+        this.ready = Promise.resolve();
+
+        queue.addEventListener('sent', (event) => {
+            const item = event.detail.item;
+            if (item.kind === 'shift-report') {
+                this.markSubmitted(item.ref);
+            }
+        });
+    }
+
+    // Picks up the driver's open shift, if any; open() waits for this
+    resume(driverId) {
+        this.ready = this.store.getAll('shifts', { index: 'driverId', query: driverId })
+            .then(shifts => {
+                this.driverId = driverId;
+                this.current = shifts.find(shift => !shift.closedAt) || null;
+                this.lastClosedAt = shifts.reduce((latest, shift) => Math.max(latest, shift.closedAt || 0), 0) || null;
+                return this.current;
+            });
+        return this.ready;
+    }
+
+    // Start of what the dashboard counters cover: midnight, or the last close if that was later
+    countersSince(now = this.clock.now()) {
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        return Math.max(midnight.getTime(), this.lastClosedAt || 0);
+    }
+
+    closedToday(now = this.clock.now()) {
+        return this.lastClosedAt !== null && this.countersSince(now) === this.lastClosedAt;
+    }
+
+    async open(vehicleId = null, at = this.clock.now()) {
+        await this.ready;
+        if (this.current || !this.driverId) {
+            return this.current;
+        }
+        this.current = {
+            id: `SHIFT-${this.driverId}-${at}`,
+            driverId: this.driverId,
+            vehicleId,
+            startedAt: at,
+            closedAt: null,
+            metres: 0,
+            path: [],
+            zones: [],
+            reportId: null
+        };
+        await this.save();
+        this.dispatchEvent(new CustomEvent('open', { detail: { shift: this.current } }));
+        return this.current;
+    }
+
+    // Keeps a point every pathSpacing metres; past maxPathPoints every other point goes
+    recordFix(lat, lng) {
+        const shift = this.current;
+        if (!shift) {
+            return;
+        }
+        const last = shift.path[shift.path.length - 1];
+        if (last && Geo.distance(last[0], last[1], lat, lng) * 1000 < this.pathSpacing) {
+            return;
+        }
+        shift.path.push([Math.round(lat * 1e5) / 1e5, Math.round(lng * 1e5) / 1e5]);
+        if (shift.path.length > this.maxPathPoints) {
+            shift.path = shift.path.filter((point, index) => index % 2 === 0 || index === shift.path.length - 1);
+        }
+        if (this.clock.now() - this.savedAt >= this.saveEvery) {
+            this.save();
+        }
+    }
+
+    // Metres from the odometer
+    addDistance(metres) {
+        if (this.current) {
+            this.current.metres += metres;
+        }
+    }
+
+    enterZone(zone) {
+        if (!this.current) {
+            return;
+        }
+        this.current.zones.push({
+            id: zone.id,
+            name: zone.name,
+            category: zone.category,
+            speedLimit: zone.speedLimit,
+            at: new Date(this.clock.now()).toISOString()
+        });
+        this.save();
+    }
+
+    save() {
+        if (!this.current) {
+            return Promise.resolve();
+        }
+        this.savedAt = this.clock.now();
+        return this.store.put('shifts', this.current).catch(error => console.error('Shift save error:', error));
+    }
+
+    // report comes from ShiftReport.compile(); the shift closes at report.closedAt
+    async close(report) {
+        const closedAt = new Date(report.closedAt).getTime();
+        const shift = this.current || {
+            // Never went on duty since the last close; the report still covers the period
+            id: report.shiftId,
+            driverId: report.driverId,
+            vehicleId: report.vehicleId,
+            startedAt: new Date(report.startedAt).getTime(),
+            metres: report.distance,
+            path: report.route,
+            zones: report.zones
+        };
+        const closed = { ...shift, closedAt, reportId: report.id };
+
+        await this.store.put('shiftReports', { ...report, submittedAt: null });
+        await this.store.put('shifts', closed);
+        this.current = null;
+        this.lastClosedAt = closedAt;
+
+        await this.queue.enqueue({
+            kind: 'shift-report',
+            path: this.endpoints.shiftReports,
+            params: { id: report.driverId },
+            body: report,
+            ref: report.id
+        });
+        this.dispatchEvent(new CustomEvent('close', { detail: { shift: closed, report } }));
+        return closed;
+    }
+
+    async markSubmitted(id) {
+        const report = await this.store.get('shiftReports', id);
+        if (report) {
+            await this.store.put('shiftReports', { ...report, submittedAt: new Date(this.clock.now()).toISOString() });
+        }
+    }
+}
+
+export const ShiftReport = {
+    // Everything a shift produced between from and to (ms), as plain data for storage and upload.
+    // stops: manifest stops; deliveries: proof of delivery records; hours: HoursOfService.totalsBetween();
+    // trips: DrivingMonitor trips; fills: fuel log records; incidents: emergency incidents;
+    // odometer: km reading at the close, or null.
+    compile({ shift, driver, vehicle, from, to, stops = [], deliveries = [], hours, trips = [], fills = [], incidents = [], odometer = null }) {
+        const within = time => {
+            const value = typeof time === 'number' ? time : new Date(time).getTime();
+            return value >= from && value <= to;
+        };
+        const iso = time => new Date(time).toISOString();
+
+        const failures = stops.filter(stop => stop.status === 'failed').map(stop => {
+            const record = deliveries.filter(item => item.stopId === stop.id)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+                .pop();
+            return {
+                stopId: stop.id,
+                sequence: stop.sequence,
+                address: stop.address,
+                reason: record ? record.failureReason : null,
+                at: record ? record.timestamp : null
+            };
+        });
+
+        const shiftTrips = trips.filter(trip => within(trip.startedAt));
+        const events = shiftTrips.reduce((all, trip) => all.concat(trip.events.map(event => ({ event, trip }))), []);
+        const count = type => events.filter(({ event }) => event.type === type).length;
+        const shiftId = shift ? shift.id : `SHIFT-${driver.id}-${from}`;
+
+        return {
+            id: `REPORT-${shiftId}`,
+            shiftId,
+            driverId: driver.id,
+            driverName: driver.name,
+            vehicleId: vehicle ? vehicle.id : null,
+            licensePlate: vehicle ? vehicle.plate : null,
+            startedAt: iso(from),
+            closedAt: iso(to),
+            deliveries: {
+                total: stops.length,
+                delivered: stops.filter(stop => stop.status === 'delivered').length,
+                failed: failures.length,
+                pending: stops.filter(stop => stop.status === 'pending' || stop.status === 'arrived').length,
+                failures
+            },
+            distance: Math.round(shift ? shift.metres : 0), // metres
+            odometer,
+            hours: { // ms
+                driving: hours.driving,
+                onDuty: hours['on-duty'],
+                break: hours.break,
+                worked: hours.worked
+            },
+            driving: {
+                trips: shiftTrips.length,
+                score: DrivingMonitor.combinedScore(shiftTrips),
+                overspeeds: events.filter(({ event }) => event.type === 'overspeed').map(({ event, trip }) => ({
+                    start: iso(event.start),
+                    end: iso(event.end || trip.lastAt),
+                    peakSpeed: event.peakSpeed,
+                    limit: event.limit,
+                    zone: event.zone,
+                    acknowledged: event.acknowledged
+                })),
+                hardBrakes: count('hard-brake'),
+                hardAccels: count('hard-accel')
+            },
+            zones: shift ? shift.zones.slice() : [],
+            fuel: fills.filter(fill => within(fill.timestamp)).map(fill => ({
+                at: fill.timestamp,
+                litres: fill.litres,
+                cost: fill.cost,
+                odometer: fill.odometer,
+                station: fill.station,
+                fullTank: fill.fullTank,
+                flags: fill.flags || []
+            })),
+            emergencies: incidents.filter(incident => within(incident.createdAt)).map(incident => ({
+                id: incident.id,
+                type: incident.payload.type,
+                label: incident.payload.label,
+                at: incident.createdAt,
+                status: incident.status
+            })),
+            route: shift ? shift.path.slice() : [],
+            stops: stops.map(({ id, sequence, lat, lng, status }) => ({ id, sequence, lat, lng, status }))
+        };
+    },
+
+    // Route snapshot as an SVG (Web Mercator, fitted to the box); '' when there is nothing to draw
+    routeMap(route, stops = [], width = 640, height = 360) {
+        const points = route.concat(stops.filter(stop => isFinite(stop.lat) && isFinite(stop.lng)).map(stop => [stop.lat, stop.lng]));
+        if (points.length === 0) {
+            return '';
+        }
+
+        const project = ([lat, lng]) => [
+            Geo.toRadians(lng),
+            Math.log(Math.tan(Math.PI / 4 + Geo.toRadians(lat) / 2))
+        ];
+        const projected = points.map(project);
+        const xs = projected.map(point => point[0]);
+        const ys = projected.map(point => point[1]);
+        const padding = 20;
+        const minX = Math.min(...xs);
+        const maxY = Math.max(...ys);
+        const spanX = Math.max(...xs) - minX;
+        const spanY = maxY - Math.min(...ys);
+        const scale = Math.min(
+            spanX > 0 ? (width - 2 * padding) / spanX : Infinity,
+            spanY > 0 ? (height - 2 * padding) / spanY : Infinity
+        );
+        const fit = isFinite(scale) ? scale : 1;
+        const offsetX = (width - spanX * fit) / 2;
+        const offsetY = (height - spanY * fit) / 2;
+        const toSvg = point => {
+            const [x, y] = project(point);
+            return [((x - minX) * fit + offsetX).toFixed(1), ((maxY - y) * fit + offsetY).toFixed(1)];
+        };
+
+        const colours = { delivered: '#2e7d32', failed: '#c62828', arrived: '#f9a825', pending: '#757575' };
+        const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" class="route-map">`,
+            `<rect width="${width}" height="${height}" fill="#f4f6f8"/>`];
+        if (route.length > 1) {
+            parts.push(`<polyline points="${route.map(point => toSvg(point).join(',')).join(' ')}" fill="none" stroke="#1565c0" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"/>`);
+        }
+        if (route.length > 0) {
+            const [startX, startY] = toSvg(route[0]);
+            const [endX, endY] = toSvg(route[route.length - 1]);
+            parts.push(`<circle cx="${startX}" cy="${startY}" r="6" fill="#ffffff" stroke="#1565c0" stroke-width="3"/>`,
+                `<circle cx="${endX}" cy="${endY}" r="6" fill="#1565c0"/>`);
+        }
+        stops.filter(stop => isFinite(stop.lat) && isFinite(stop.lng)).forEach(stop => {
+            const [x, y] = toSvg([stop.lat, stop.lng]);
+            parts.push(`<circle cx="${x}" cy="${y}" r="9" fill="${colours[stop.status] || colours.pending}"/>`,
+                `<text x="${x}" y="${y}" dy="4" text-anchor="middle" font-size="11" font-family="sans-serif" fill="#ffffff">${Number(stop.sequence)}</text>`);
+        });
+        parts.push('</svg>');
+        return parts.join('');
+    },
+
+    // Standalone printable page; every value from the report is escaped
+    toHtml(report, now = Date.now()) {
+        const escape = value => String(value === null || value === undefined ? '' : value)
+            .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+        const hours = ms => I18n.t('duty.hoursMinutes', {
+            hours: I18n.number(Math.floor(ms / 3600000)),
+            minutes: I18n.number(Math.floor(ms / 60000) % 60, { minimumIntegerDigits: 2 })
+        });
+        const row = (label, value) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`;
+        const table = (title, columns, rows) => `<h2>${escape(I18n.t(title))}</h2>` + (rows.length === 0 ?
+            `<p class="none">${escape(I18n.t('report.none'))}</p>` :
+            `<table><thead><tr>${columns.map(column => `<th>${escape(I18n.t(column))}</th>`).join('')}</tr></thead><tbody>` +
+            rows.map(cells => `<tr>${cells.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('') +
+            '</tbody></table>');
+
+        const { deliveries, driving } = report;
+        const map = ShiftReport.routeMap(report.route, report.stops);
+        return `<!DOCTYPE html>
+<html lang="${escape(I18n.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${escape(I18n.t('report.title'))} - ${escape(report.driverName)} - ${escape(I18n.date(report.closedAt))}</title>
+<style>
+    body { font-family: sans-serif; color: #222; margin: 24px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 20px 0 6px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+    .summary th { width: 40%; font-weight: normal; color: #555; }
+    .meta, .none, footer { color: #555; font-size: 13px; }
+    .route-map { max-width: 100%; height: auto; border: 1px solid #ccc; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } table, .route-map { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape(I18n.t('report.title'))}</h1>
+<p class="meta">${escape(I18n.t('report.driver'))}: ${escape(report.driverName)} (${escape(report.driverId)})<br>
+${escape(I18n.t('report.vehicle'))}: ${escape(report.licensePlate || '-')} (${escape(report.vehicleId || '-')})<br>
+${escape(I18n.t('report.period'))}: ${escape(I18n.t('report.periodValue', { from: I18n.dateTime(report.startedAt), to: I18n.dateTime(report.closedAt) }))}</p>
+
+<h2>${escape(I18n.t('report.summary'))}</h2>
+<table class="summary"><tbody>
+${row(I18n.t('report.deliveries'), I18n.t('report.deliveriesValue', { delivered: I18n.number(deliveries.delivered), total: I18n.number(deliveries.total) }))}
+${row(I18n.t('report.failed'), I18n.number(deliveries.failed))}
+${row(I18n.t('report.pending'), I18n.number(deliveries.pending))}
+${row(I18n.t('report.distance'), I18n.unit(report.distance / 1000, 'kilometer', 1))}
+${row(I18n.t('report.odometer'), report.odometer === null ? '-' : I18n.unit(Math.floor(report.odometer), 'kilometer'))}
+${row(I18n.t('report.driving'), hours(report.hours.driving))}
+${row(I18n.t('report.onDuty'), hours(report.hours.onDuty))}
+${row(I18n.t('report.breaks'), hours(report.hours.break))}
+${row(I18n.t('report.worked'), hours(report.hours.worked))}
+${row(I18n.t('report.score'), driving.score === null ? '-' : I18n.number(driving.score))}
+${row(I18n.t('report.harshEvents'), I18n.t('report.harshEventsValue', { brakes: I18n.number(driving.hardBrakes), accels: I18n.number(driving.hardAccels) }))}
+</tbody></table>
+
+<h2>${escape(I18n.t('report.route'))}</h2>
+${map || `<p class="none">${escape(I18n.t('report.noRoute'))}</p>`}
+
+${table('report.failures', ['report.col.stop', 'report.col.address', 'report.col.reason', 'report.col.time'],
+        deliveries.failures.map(failure => [
+            failure.sequence,
+            failure.address,
+            failure.reason ? I18n.label(`failureReason.${failure.reason}`, FAILURE_REASONS[failure.reason] || failure.reason) : '-',
+            failure.at ? I18n.time(failure.at) : '-'
+        ]))}
+
+${table('report.overspeeds', ['report.col.time', 'report.col.peak', 'report.col.limit', 'report.col.zone', 'report.col.duration'],
+        driving.overspeeds.map(event => [
+            I18n.time(event.start),
+            I18n.speed(event.peakSpeed),
+            I18n.speed(event.limit),
+            event.zone || '-',
+            I18n.unit(Math.round((new Date(event.end) - new Date(event.start)) / 1000), 'second')
+        ]))}
+
+${table('report.zones', ['report.col.time', 'report.col.zone', 'report.col.limit'],
+        report.zones.map(zone => [I18n.time(zone.at), I18n.zoneName(zone), I18n.speed(zone.speedLimit)]))}
+
+${table('report.fuel', ['report.col.time', 'report.col.litres', 'report.col.cost', 'report.col.odometer', 'report.col.station', 'report.col.flags'],
+        report.fuel.map(fill => [
+            I18n.time(fill.at),
+            I18n.unit(fill.litres, 'liter', 1),
+            fill.cost ? I18n.currency(fill.cost) : '-',
+            I18n.unit(fill.odometer, 'kilometer'),
+            fill.station || '-',
+            fill.flags.map(flag => I18n.label(`fuelFlag.${flag}`, FUEL_FLAGS[flag] || flag)).join('; ') || '-'
+        ]))}
+
+${table('report.emergencies', ['report.col.time', 'report.col.type', 'report.col.status'],
+        report.emergencies.map(incident => [
+            I18n.time(incident.at),
+            I18n.label(`emergency.${incident.type}`, incident.label),
+            I18n.label(`incidentStatus.${incident.status}`, incident.status)
+        ]))}
+
+<footer><p>${escape(I18n.t('report.generated', { time: I18n.dateTime(now) }))}</p></footer>
+</body>
+</html>
+`;
+    }
+};
@@ -0,0 +1,76 @@
+// Speed estimation from Geolocation fixes
+// Accepts any Position-shaped object ({ coords, timestamp }), so live GPS and
+// simulated sources go through the same path.
+
+import { Geo } from './geo.js';
+import { systemClock } from './clock.js';
+
+export class SpeedEstimator {
+    constructor(options = {}) {
+        this.maxAccuracy = options.maxAccuracy || 50; // metres; worse fixes are ignored
+        this.staleAfter = options.staleAfter || 15000; // ms without a fix before "no signal"
+        this.smoothing = options.smoothing || 0.5; // weight of the newest sample
+        this.stoppedBelow = options.stoppedBelow || 3; // km/h treated as standing still
+        this.maxPlausible = options.maxPlausible || 160; // km/h; faster jumps are GPS glitches
+        this.clock = options.clock || systemClock;
+        this.reset();
+    }
+
+    reset() {
+        this.lastFix = null;
+        this.lastFixAt = null;
+        this.speed = null;
+    }
+
+    // Returns { accepted, speed, reason } with speed in km/h
+    update(position, now = this.clock.now()) {
+        const { latitude, longitude, accuracy, speed } = position.coords;
+        const timestamp = position.timestamp;
+
+        if (accuracy > this.maxAccuracy) {
+            return { accepted: false, speed: this.speed, reason: 'low-accuracy' };
+        }
+
+        let raw = null;
+        if (typeof speed === 'number' && !isNaN(speed) && speed >= 0) {
+            raw = speed * 3.6;
+        } else if (this.lastFix && timestamp > this.lastFix.timestamp) {
+            const km = Geo.distance(this.lastFix.latitude, this.lastFix.longitude, latitude, longitude);
+            const hours = (timestamp - this.lastFix.timestamp) / 3600000;
+            raw = km / hours;
+        }
+
+        if (raw !== null && raw > this.maxPlausible) {
+            return { accepted: false, speed: this.speed, reason: 'implausible' };
+        }
+
+        this.lastFix = { latitude, longitude, timestamp };
+        // Staleness uses arrival time: replayed tracks carry their original timestamps
+        this.lastFixAt = now;
+
+        if (raw === null) {
+            // First fix without a device speed: position is good, speed not known yet
+            return { accepted: true, speed: this.speed, reason: 'warming-up' };
+        }
+
+        const smoothed = this.speed === null ? raw : this.speed + this.smoothing * (raw - this.speed);
+        this.speed = smoothed < this.stoppedBelow ? 0 : smoothed;
+        return { accepted: true, speed: this.speed, reason: 'ok' };
+    }
+
+    isStale(now = this.clock.now()) {
+        return this.lastFixAt === null || now - this.lastFixAt > this.staleAfter;
+    }
+}
+
+// Where a speed sits against the limit: 'no-signal', 'normal', 'warning' once above
+// warningRatio of the limit, or 'overspeed'
+export function classifySpeed(speed, limit, warningRatio = 0.9) {
+    if (speed === null) {
+        return 'no-signal';
+    }
+    if (speed > limit) {
+        return 'overspeed';
+    }
+    return speed > limit * warningRatio ? 'warning' : 'normal';
+}
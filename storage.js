@@ -0,0 +1,105 @@
+// IndexedDB wrapper shared by the offline features
+// Add new object stores to STORE_SCHEMA and bump DB_VERSION; upgrades only create what is missing.
+const DB_NAME = 'fleettrack';
+const DB_VERSION = 14;
+
+const STORE_SCHEMA = {
+    fixes: { keyPath: 'id', autoIncrement: true, indexes: { sessionId: 'sessionId' } },
+    deliveries: { keyPath: 'id', indexes: { stopId: 'stopId' } },
+    incidents: { keyPath: 'id' },
+    outbox: { keyPath: 'id', autoIncrement: true },
+    trips: { keyPath: 'id' },
+    dutyLog: { keyPath: 'id' },
+    distances: { keyPath: 'id', indexes: { vehicleId: 'vehicleId' } },
+    odometers: { keyPath: 'vehicleId' },
+    fuelLogs: { keyPath: 'id', indexes: { vehicleId: 'vehicleId' } },
+    leaveRequests: { keyPath: 'id' },
+    inspections: { keyPath: 'id', indexes: { vehicleId: 'vehicleId' } },
+    messages: { keyPath: 'id' },
+    telemetry: { keyPath: 'id', autoIncrement: true },
+    activities: { keyPath: 'id', autoIncrement: true, indexes: { day: 'day' } },
+    shifts: { keyPath: 'id', indexes: { driverId: 'driverId' } },
+    shiftReports: { keyPath: 'id' }
+};
+
+export class LocalStore {
+    constructor(name = DB_NAME, version = DB_VERSION, schema = STORE_SCHEMA) {
+        this.name = name;
+        this.version = version;
+        this.schema = schema;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => this.upgrade(request.result, request.transaction);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    upgrade(db, transaction) {
+        Object.keys(this.schema).forEach(storeName => {
+            const definition = this.schema[storeName];
+            const store = db.objectStoreNames.contains(storeName) ?
+                transaction.objectStore(storeName) :
+                db.createObjectStore(storeName, { keyPath: definition.keyPath, autoIncrement: !!definition.autoIncrement });
+
+            Object.keys(definition.indexes || {}).forEach(indexName => {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, definition.indexes[indexName]);
+                }
+            });
+        });
+    }
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    add(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.add(value));
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    // Optionally filtered by an index: getAll('fixes', { index: 'sessionId', query: id })
+    getAll(storeName, options = {}) {
+        return this.run(storeName, 'readonly', store => {
+            const source = options.index ? store.index(options.index) : store;
+            return source.getAll(options.query);
+        });
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+
+    // Local calendar day (YYYY-MM-DD) used to key per-day records
+    static dayKey(time = Date.now()) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
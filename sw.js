@@ -0,0 +1,193 @@
+// Service Worker - offline app shell, CDN assets and map tiles
+const SHELL_CACHE = 'fleettrack-shell-v1';
+const CDN_CACHE = 'fleettrack-cdn-v1';
+const TILE_CACHE = 'fleettrack-tiles-v1';
+const MAX_TILES = 4000;
+
+const SHELL_FILES = [
+    'index.html',
+    'dashboard.html',
+    'styles/dashboard.css',
+    'js/config.js',
+    'js/i18n.js',
+    'js/api-client.js',
+    'js/session.js',
+    'js/data-source.js',
+    'js/geo.js',
+    'js/zones.js',
+    'js/clock.js',
+    'js/speed.js',
+    'js/alerts.js',
+    'js/storage.js',
+    'js/activity.js',
+    'js/location.js',
+    'js/manifest.js',
+    'js/routing.js',
+    'js/layers.js',
+    'js/messaging.js',
+    'js/pod.js',
+    'js/emergency.js',
+    'js/offline.js',
+    'js/telemetry.js',
+    'js/driving.js',
+    'js/hos.js',
+    'js/odometer.js',
+    'js/fuel.js',
+    'js/leave.js',
+    'js/inspection.js',
+    'js/shift.js',
+    'js/settings.js',
+    'js/tracker.js',
+    'js/dashboard.js',
+    'js/main.js',
+    'js/login.js',
+    'data/drivers.csv',
+    'data/vehicles.json',
+    'data/vehicle-models.json',
+    'data/manifests.json',
+    'data/leave.json',
+    'data/checklists.json',
+    'data/messages.json',
+    'data/settings-policy.json',
+    'data/zones.geojson',
+    'data/i18n/en.json',
+    'data/i18n/hi.json',
+    'data/i18n/mr.json',
+    'data/i18n/kn.json'
+];
+
+const CDN_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'unpkg.com'];
+// Hosts of the tile servers in config.map; a self-hosted tile server should be added here too
+const TILE_HOSTS = [
+    /(^|\.)tile\.openstreetmap\.org$/,
+    /^server\.arcgisonline\.com$/,
+    /(^|\.)basemaps\.cartocdn\.com$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(CDN_CACHE).then(cache => Promise.all(
+            CDN_FILES.map(url => fetch(url, { mode: 'no-cors' }).then(response => cache.put(url, response)))
+        ))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, CDN_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// a/b/c(/d) tile subdomains serve the same image; store them under one key
+function tileKey(url) {
+    return url.replace(/^https:\/\/[a-d]\.(tile|basemaps)\./, 'https://a.$1.');
+}
+
+async function cacheFirst(cacheName, request, key = request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(key, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || caches.match('dashboard.html');
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    // API calls go to the network; the page's sync queue handles being offline
+    if (url.origin === self.location.origin && url.pathname.includes('/api/')) {
+        return;
+    }
+
+    if (TILE_HOSTS.some(host => host.test(url.hostname))) {
+        event.respondWith(cacheFirst(TILE_CACHE, request, tileKey(request.url)));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(CDN_CACHE, request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(request.mode === 'navigate' ? networkFirst(request) : staleWhileRevalidate(request));
+    }
+});
+
+async function trimTiles(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_TILES;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+// The dashboard posts { type: 'cache-tiles', urls } for the day's route corridor
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'cache-tiles') {
+        return;
+    }
+
+    event.waitUntil((async () => {
+        const cache = await caches.open(TILE_CACHE);
+        let fetched = 0;
+        for (const url of event.data.urls) {
+            const key = tileKey(url);
+            if (await cache.match(key)) {
+                continue;
+            }
+            try {
+                const response = await fetch(url, { mode: 'no-cors' });
+                await cache.put(key, response);
+                fetched++;
+            } catch (error) {
+                // Offline part-way through; whatever was fetched is kept
+                break;
+            }
+        }
+        await trimTiles(cache);
+        if (event.source) {
+            event.source.postMessage({ type: 'tiles-cached', fetched, total: event.data.urls.length });
+        }
+    })());
+});
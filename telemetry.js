@@ -0,0 +1,157 @@
+// Location telemetry - samples the driver's position at a rate that follows what the vehicle is
+// doing, buffers them in the 'telemetry' store and ships them to the ingest endpoint in batches
+//
+// Modes: 'moving' (at or above movingSpeed), 'parked', and 'hidden' (page not visible), each with
+// its own sampling interval and batch age. A sample that adds nothing - same place, zone and duty
+// status, vehicle not moving - is dropped until the heartbeat is due.
+// Batches go through the sync queue as { batchId, driverId, vehicleId, fields, samples: [[...], ...] }
+// and are gzip-compressed on the way out where the browser supports it.
+
+import { Geo } from './geo.js';
+
+const TELEMETRY_FIELDS = ['timestamp', 'lat', 'lng', 'speed', 'heading', 'accuracy', 'zone', 'dutyStatus'];
+
+export class TelemetryBroadcaster {
+    constructor(store, queue, api, options = {}) {
+        this.store = store;
+        this.queue = queue;
+        this.api = api;
+        this.endpoint = options.endpoint;
+        this.modes = options.modes;
+        this.movingSpeed = options.movingSpeed || 8;
+        this.minDistance = options.minDistance || 15;
+        this.heartbeat = options.heartbeat || 300000;
+        this.batchSize = options.batchSize || 50;
+        this.compress = options.compress !== false;
+        this.driverId = null;
+        this.vehicleId = null;
+        this.hidden = false;
+        this.moving = false;
+        this.last = null;
+        this.buffered = 0;
+        this.oldest = null;
+        this.flushing = null;
+
+        queue.register('telemetry', item => this.send(item.body));
+    }
+
+    get mode() {
+        if (this.hidden) {
+            return 'hidden';
+        }
+        return this.moving ? 'moving' : 'parked';
+    }
+
+    setContext(driverId, vehicleId) {
+        this.driverId = driverId;
+        this.vehicleId = vehicleId;
+    }
+
+    // Picks up samples buffered before a reload
+    async resume() {
+        const samples = await this.store.getAll('telemetry');
+        this.buffered = samples.length;
+        this.oldest = samples.length > 0 ? Math.min(...samples.map(sample => sample.timestamp)) : null;
+    }
+
+    setHidden(hidden) {
+        this.hidden = hidden;
+        // The browser may freeze or discard a hidden page; don't leave samples waiting
+        if (hidden) {
+            return this.flush();
+        }
+        return Promise.resolve();
+    }
+
+    // sample: { timestamp, lat, lng, speed, heading, accuracy, zone, dutyStatus }; resolves to true if kept
+    async record(sample) {
+        this.moving = sample.speed !== null && sample.speed >= this.movingSpeed;
+        if (this.last) {
+            if (sample.timestamp - this.last.timestamp < this.modes[this.mode].interval) {
+                return false;
+            }
+            if (this.isDuplicate(sample)) {
+                return false;
+            }
+        }
+
+        this.last = sample;
+        await this.store.add('telemetry', { ...sample });
+        this.buffered++;
+        this.oldest = this.oldest === null ? sample.timestamp : this.oldest;
+        await this.tick(sample.timestamp);
+        return true;
+    }
+
+    isDuplicate(sample) {
+        const last = this.last;
+        // While moving, and on the sample where the vehicle stops, every sample counts
+        const wasMoving = last.speed !== null && last.speed >= this.movingSpeed;
+        if (sample.timestamp - last.timestamp >= this.heartbeat || this.moving || wasMoving) {
+            return false;
+        }
+        const metres = Geo.distance(last.lat, last.lng, sample.lat, sample.lng) * 1000;
+        return metres < this.minDistance && sample.zone === last.zone && sample.dutyStatus === last.dutyStatus;
+    }
+
+    // Flushes once the buffer is full or its oldest sample has waited long enough for the mode
+    tick(now = Date.now()) {
+        const full = this.buffered >= this.batchSize;
+        const aged = this.oldest !== null && now - this.oldest >= this.modes[this.mode].batchAge;
+        return full || aged ? this.flush() : Promise.resolve();
+    }
+
+    // Moves everything buffered into one queued batch
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.queueBatch().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async queueBatch() {
+        const samples = (await this.store.getAll('telemetry')).sort((a, b) => a.timestamp - b.timestamp);
+        if (samples.length === 0) {
+            return;
+        }
+        const first = samples[0].timestamp;
+        await this.queue.enqueue({
+            kind: 'telemetry',
+            body: {
+                batchId: `${this.driverId}-${first}-${samples.length}`, // lets the server drop a batch it already has
+                driverId: this.driverId,
+                vehicleId: this.vehicleId,
+                fields: TELEMETRY_FIELDS,
+                samples: samples.map(sample => TELEMETRY_FIELDS.map(field => sample[field] === undefined ? null : sample[field]))
+            }
+        });
+        // Only once the batch is safely in the outbox
+        for (const sample of samples) {
+            await this.store.delete('telemetry', sample.id);
+        }
+        // Samples recorded meanwhile stay for the next batch
+        await this.resume();
+    }
+
+    async send(batch) {
+        const json = JSON.stringify(batch);
+        const params = { id: batch.driverId };
+        if (!this.compress || typeof CompressionStream === 'undefined') {
+            return this.api.request('POST', this.endpoint, { params, body: batch });
+        }
+        const body = await TelemetryBroadcaster.gzip(json);
+        return this.api.request('POST', this.endpoint, {
+            params,
+            body,
+            raw: true,
+            headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' }
+        });
+    }
+
+    static async gzip(text) {
+        const stream = new Response(text).body.pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
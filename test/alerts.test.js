@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeedAlerter } from '../alerts.js';
+import { FakeClock } from './support.js';
+
+// Records what would have been played or spoken
+class FakePlayer {
+    constructor() {
+        this.log = [];
+    }
+
+    play(sound) {
+        this.log.push(sound);
+    }
+
+    speak(text) {
+        this.log.push(`say:${text}`);
+    }
+
+    phrase(key, values = {}) {
+        return values.rule ? `${key} ${values.rule}` : key;
+    }
+
+    describeLimit(zone, limit) {
+        return zone ? `${zone.name} ${limit}` : `limit ${limit}`;
+    }
+
+    take() {
+        return this.log.splice(0);
+    }
+}
+
+function setup(options = {}) {
+    const clock = new FakeClock(0);
+    const player = new FakePlayer();
+    const alerter = new SpeedAlerter(player, { ...options, clock });
+    const levels = [];
+    alerter.addEventListener('level', event => levels.push(event.detail.level));
+    const drive = (speed, limit = 60, zone = null) => alerter.update({ speed, limit, zone });
+    return { clock, player, alerter, levels, drive };
+}
+
+test('stays quiet at or under the limit', () => {
+    const { player, levels, drive } = setup();
+    assert.equal(drive(60), 'none');
+    assert.deepEqual(player.take(), []);
+    assert.deepEqual(levels, []);
+});
+
+test('escalates with time over the limit and repeats at each level', () => {
+    const { clock, player, alerter, levels, drive } = setup();
+    assert.equal(drive(65), 'chime');
+    assert.deepEqual(player.take(), ['chime']);
+
+    clock.advance(9999);
+    assert.equal(alerter.tick(), 'chime'); // chimes don't repeat
+    assert.deepEqual(player.take(), []);
+
+    clock.advance(1);
+    assert.equal(alerter.tick(), 'voice');
+    assert.deepEqual(player.take(), ['chime', 'say:slowDown limit 60']);
+
+    clock.advance(19999);
+    alerter.tick();
+    assert.deepEqual(player.take(), []);
+
+    // 30 s over: the alarm takes over from the voice repeat that was due at the same time
+    clock.advance(1);
+    assert.equal(alerter.tick(), 'alarm');
+    assert.deepEqual(player.take(), ['alarm', 'say:slowDown limit 60']);
+
+    clock.advance(3000);
+    alerter.tick();
+    assert.deepEqual(player.take(), ['alarm']);
+    assert.deepEqual(levels, ['chime', 'voice', 'alarm']);
+});
+
+test('jumps straight to the level the speed calls for', () => {
+    const { player, drive } = setup();
+    assert.equal(drive(70, 60, { name: 'School Zone' }), 'voice');
+    assert.deepEqual(player.take(), ['chime', 'say:slowDown School Zone 60']);
+    assert.equal(drive(80), 'alarm');
+});
+
+test('never steps down while the episode lasts', () => {
+    const { player, drive } = setup();
+    drive(85);
+    player.take();
+    assert.equal(drive(62), 'alarm');
+});
+
+test('dipping under the limit briefly does not restart the episode', () => {
+    const { clock, player, levels, drive } = setup({ clearAfter: 3000 });
+    drive(65);
+    clock.advance(1000);
+    drive(58);
+    clock.advance(2999);
+    assert.equal(drive(58), 'chime');
+    clock.advance(500);
+    assert.equal(drive(65), 'chime');
+    assert.deepEqual(player.take(), ['chime']);
+    assert.deepEqual(levels, ['chime']);
+});
+
+test('ends the episode after clearAfter back under the limit', () => {
+    const { clock, player, levels, drive } = setup({ clearAfter: 3000 });
+    drive(65);
+    drive(55);
+    clock.advance(3000);
+    assert.equal(drive(55), 'none');
+    assert.deepEqual(levels, ['chime', 'none']);
+
+    clock.advance(1000);
+    drive(65);
+    assert.deepEqual(player.take(), ['chime', 'chime']);
+});
+
+test('losing the signal ends the episode at once', () => {
+    const { levels, drive } = setup();
+    drive(75);
+    assert.equal(drive(null), 'none');
+    assert.deepEqual(levels, ['voice', 'none']);
+});
+
+test('acknowledging silences the alarm for the rest of the episode', () => {
+    const { clock, player, alerter, levels, drive } = setup();
+    drive(85);
+    player.take();
+    alerter.acknowledge();
+    assert.equal(alerter.level, 'voice');
+
+    clock.advance(3000);
+    assert.equal(drive(90), 'voice');
+    assert.deepEqual(player.take(), []);
+
+    clock.advance(17000); // the voice keeps its own 20 s cadence
+    alerter.tick();
+    assert.deepEqual(player.take(), ['chime', 'say:slowDown limit 60']);
+    assert.deepEqual(levels, ['alarm', 'voice']);
+});
+
+test('thresholds and repeat intervals come from the options', () => {
+    const { clock, player, alerter, drive } = setup({ levels: { voice: { over: 5, after: 2000 } }, repeat: { voice: 5000 } });
+    assert.equal(drive(65), 'voice');
+    player.take();
+    clock.advance(5000);
+    alerter.tick();
+    assert.deepEqual(player.take(), ['chime', 'say:slowDown limit 60']);
+});
@@ -0,0 +1,410 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DriverDashboard } from '../dashboard.js';
+import { FleetTrackConfig } from '../config.js';
+import { I18n } from '../i18n.js';
+import { LocationProvider, TrackRecorder } from '../location.js';
+import { InspectionService } from '../inspection.js';
+import { ApiError } from '../api-client.js';
+import { FakeClock, MemoryStorage, MemoryStore, fix, loadDashboardPage, readFixture } from './support.js';
+
+const SCHOOL = { lat: 28.6180, lng: 77.2110 };
+const OPEN_ROAD = { lat: 28.6000, lng: 77.2000 };
+
+const session = {
+    getDriverId: () => 'DRV001'
+};
+
+// Fires fixes on demand once the dashboard subscribes
+class ManualSource {
+    constructor() {
+        this.name = 'manual';
+    }
+
+    start(onPosition) {
+        this.emit = onPosition;
+    }
+
+    stop() {}
+}
+
+let page;
+beforeEach(() => {
+    page = loadDashboardPage();
+});
+
+function createDashboard() {
+    const clock = new FakeClock();
+    const store = new MemoryStore();
+    const location = new LocationProvider(new TrackRecorder(store));
+    location.use(new ManualSource());
+    // No smoothing, so each fix shows the speed it was sent with
+    const config = { ...FleetTrackConfig, speed: { ...FleetTrackConfig.speed, smoothing: 1 } };
+    const dashboard = new DriverDashboard(config, session, {
+        clock,
+        location,
+        store,
+        storage: new MemoryStorage()
+    });
+    dashboard.zoneRegistry.setZones([{
+        id: 'school-1', name: 'School Zone', category: 'school', speedLimit: 25, priority: 10,
+        activeHours: null, shape: 'circle', center: SCHOOL, radius: 200
+    }]);
+    dashboard.bindZoneEvents();
+    dashboard.bindAlertEvents();
+    return { clock, dashboard, drive: (point, speed) => dashboard.tracker.update(fix(point.lat, point.lng, clock.now(), { speed: speed / 3.6 })) };
+}
+
+// Node has no navigator; the sync queue and emergency fallback read navigator.onLine
+function setOnLine(t, onLine) {
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine }, configurable: true, writable: true });
+    t.after(() => {
+        delete globalThis.navigator;
+        if (original) {
+            Object.defineProperty(globalThis, 'navigator', original);
+        }
+    });
+}
+
+function goOffline(t) {
+    setOnLine(t, false);
+}
+
+// Today's checklist for the dashboard's vehicle, every item passed except those listed
+function inspectionDraft(dashboard, failed = []) {
+    dashboard.driver = { id: 'DRV001', name: 'Rajesh Yadav' };
+    dashboard.vehicle = { id: 'MH12AB1234', plate: 'MH12AB1234', model: 'Tata 407' };
+    dashboard.inspectionChecklist = [
+        { id: 'brakes', label: 'Service and parking brakes', category: 'Brakes', critical: true },
+        { id: 'wipers', label: 'Wipers and washer', category: 'Cab', critical: false }
+    ];
+    const draft = InspectionService.draft(dashboard.vehicle, 'DRV001', dashboard.inspectionChecklist);
+    draft.items.forEach(item => {
+        InspectionService.setResult(draft, item.id, failed.includes(item.id) ? { result: 'fail', note: 'Worn out' } : { result: 'pass' });
+    });
+    return draft;
+}
+
+async function until(condition, ticks = 50) {
+    for (let i = 0; i < ticks && !(await condition()); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function text(id) {
+    return page.window.document.getElementById(id).textContent;
+}
+
+test('building the dashboard starts nothing', () => {
+    const { clock, dashboard } = createDashboard();
+    assert.equal(dashboard.map, null);
+
+    // Not listening to the location provider until start()
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, clock.now()));
+    assert.equal(dashboard.tracker.location, null);
+});
+
+test('the speedometer shows no signal until a speed is known', () => {
+    const { dashboard } = createDashboard();
+    dashboard.updateSpeedDisplay();
+    assert.equal(text('currentSpeed'), '--');
+    assert.equal(text('speedStatus'), 'No Signal');
+    assert.equal(page.window.document.getElementById('speedStatus').className, 'speed-status no-signal');
+});
+
+test('the speedometer reflects the speed against the limit', () => {
+    const { dashboard, drive } = createDashboard();
+    const status = page.window.document.getElementById('speedStatus');
+
+    drive(OPEN_ROAD, 40);
+    dashboard.updateSpeedDisplay();
+    assert.equal(text('currentSpeed'), '40');
+    assert.equal(status.className, 'speed-status normal');
+
+    drive(OPEN_ROAD, 58);
+    dashboard.updateSpeedDisplay();
+    assert.equal(text('speedStatus'), 'Warning');
+    assert.equal(status.className, 'speed-status warning');
+
+    drive(OPEN_ROAD, 75);
+    dashboard.updateSpeedDisplay();
+    assert.equal(text('speedStatus'), 'Overspeed');
+    assert.equal(status.className, 'speed-status danger');
+});
+
+test('entering a zone updates the zone card and tightens the limit', async () => {
+    const { dashboard, drive } = createDashboard();
+    drive(SCHOOL, 30);
+    dashboard.updateSpeedDisplay();
+
+    assert.equal(text('zoneType'), 'School Zone');
+    assert.match(text('zoneLimit'), /^Speed Limit: 25 /);
+    assert.match(page.window.document.querySelector('.zone-alert').className, /school-zone/);
+    assert.equal(text('speedStatus'), 'Overspeed');
+    await new Promise(resolve => setImmediate(resolve)); // activities are stored before they show
+    assert.match(text('activitiesList'), /Entered School Zone/);
+});
+
+test('the overspeed alarm opens the warning with the zone message', () => {
+    const { dashboard, drive } = createDashboard();
+    drive(SCHOOL, 50);
+    dashboard.updateSpeedDisplay();
+
+    const modal = page.window.document.getElementById('speedWarningModal');
+    assert.equal(dashboard.speedAlerts.level, 'alarm');
+    assert.ok(modal.classList.contains('show'));
+    assert.match(text('speedWarningMessage'), /^DANGER: You are in a restricted zone!/);
+});
+
+test('fixes from the injected location provider reach the display', () => {
+    const { clock, dashboard } = createDashboard();
+    dashboard.startLocationTracking();
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, clock.now(), { speed: 20 / 3.6 }));
+
+    assert.deepEqual(dashboard.tracker.location, OPEN_ROAD);
+    assert.equal(text('currentSpeed'), '20');
+});
+
+test('hours of service follow the injected clock', async () => {
+    const { clock, dashboard } = createDashboard();
+    dashboard.startLocationTracking();
+    const start = clock.now();
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, start, { speed: 30 / 3.6 }));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(dashboard.hos.status, 'driving');
+    assert.equal(dashboard.hos.current.start, start);
+
+    // Stopped for longer than stopAfter: back on duty from the last moving fix
+    clock.advance(4 * 60000);
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, clock.now(), { speed: 0 }));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(dashboard.hos.status, 'on-duty');
+    assert.equal(dashboard.hos.current.start, start);
+    assert.equal(dashboard.hos.totals().driving, 0);
+});
+
+test('the profile cards render the mapped driver data', () => {
+    const { dashboard } = createDashboard();
+    dashboard.updateDriverInfo({
+        name: 'Rajesh Yadav', id: 'DRV001', license: 'MH14201900123', phone: '+91-9876543210',
+        experienceYears: 1, vehicleId: 'MH12AB1234', licensePlate: 'MH12AB1234', vehicleModel: 'Tata 407 2021',
+        efficiency: { min: 8, max: 10 }, fuelType: 'Diesel'
+    });
+
+    assert.equal(text('experience'), '1 year');
+    assert.equal(text('vehicleEfficiency'), '8-10 km/l');
+    assert.equal(text('headerVehiclePlate'), 'MH12AB1234');
+});
+
+test('closing the shift offline queues the report, goes off duty and zeroes the counters', async (t) => {
+    // Offline, so the sync queue holds the report instead of posting it
+    goOffline(t);
+
+    const { clock, dashboard } = createDashboard();
+    dashboard.driver = { id: 'DRV001', name: 'Rajesh Yadav' };
+    dashboard.vehicle = { id: 'MH12AB1234', plate: 'MH12AB1234' };
+    await dashboard.odometer.setVehicle('MH12AB1234', 15000, 'DRV001');
+    await dashboard.shiftLog.resume('DRV001');
+    await dashboard.hos.setStatus('on-duty', 'driver', clock.now());
+    await dashboard.shiftLog.open('MH12AB1234');
+    dashboard.manifest.setStops([
+        { id: '1', sequence: 1, address: 'Market Rd', lat: 28.62, lng: 77.21, status: 'delivered' },
+        { id: '2', sequence: 2, address: 'Ring Rd', lat: 28.63, lng: 77.22 }
+    ]);
+    clock.advance(2 * 3600000);
+    dashboard.odometer.add(12300, clock.now());
+    dashboard.shiftLog.addDistance(12300);
+    dashboard.updateDashboardData();
+    assert.equal(text('todayDeliveries'), '1/2');
+    assert.equal(text('distanceCovered'), '12.3 km');
+    assert.equal(text('hoursWorked'), '2 hrs');
+
+    await dashboard.showShiftPanel();
+    assert.match(text('shiftWarning'), /^1 stop has not been attempted/);
+
+    await dashboard.closeShift();
+    const queued = (await dashboard.store.getAll('outbox')).filter(item => item.kind === 'shift-report');
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].body.distance, 12300);
+    assert.equal(queued[0].body.deliveries.delivered, 1);
+    assert.equal(dashboard.hos.status, 'off-duty');
+    assert.equal(text('todayDeliveries'), '0/0');
+    assert.equal(text('distanceCovered'), '0 km');
+    assert.equal(text('hoursWorked'), '0 hrs');
+    assert.ok(page.window.document.getElementById('shiftSubmitBtn').hidden);
+    assert.equal(text('shiftStatus'), 'Shift closed and report submitted. You can still print or download it.');
+});
+
+test('the settings panel honours the fleet policy and units apply straight away', (t) => {
+    t.after(() => {
+        I18n.units = 'metric';
+    });
+    const { dashboard, drive } = createDashboard();
+    const document = page.window.document;
+    dashboard.settings.addEventListener('change', (event) => dashboard.applySettings(event.detail.changed));
+    dashboard.settings.setPolicy({ alertSensitivity: { min: 'normal' }, notificationDuration: { value: 'long' } });
+
+    dashboard.renderSettings();
+    const sensitivity = document.getElementById('settingAlertSensitivity');
+    assert.deepEqual([...sensitivity.options].map(option => [option.textContent, option.disabled]),
+        [['Low - warn later', true], ['Normal', false], ['High - warn sooner', false]]);
+    assert.equal(document.getElementById('settingNotificationDuration').disabled, true);
+    assert.equal(document.getElementById('settingsPolicyNote').hidden, false);
+    assert.equal(document.querySelector('[data-shortcut="emergency"]').value, 'Ctrl+E');
+
+    drive(OPEN_ROAD, 80);
+    dashboard.updateSpeedDisplay();
+    assert.equal(text('currentSpeed'), '80');
+    document.getElementById('settingUnits').value = 'imperial';
+    dashboard.saveSettings();
+    assert.equal(text('currentSpeed'), '50');
+    assert.equal(text('speedUnit'), 'mph');
+    assert.equal(text('zoneLimit'), 'Speed Limit: 37 mph');
+    assert.equal(dashboard.settings.get('notificationDuration'), 'long');
+});
+
+test('a failed critical inspection keeps the driver off duty', async (t) => {
+    goOffline(t);
+    const { dashboard } = createDashboard();
+    dashboard.pendingDutyStatus = 'on-duty';
+    dashboard.inspectionDraft = inspectionDraft(dashboard, ['brakes']);
+
+    await dashboard.submitInspection();
+    // The breakdown report goes out in the background
+    await until(async () => (await dashboard.store.getAll('outbox')).some(item => item.kind === 'emergency'));
+    assert.equal(dashboard.inspection.vehicleAvailable, false);
+    assert.equal(dashboard.pendingDutyStatus, null);
+    assert.equal(dashboard.hos.status, 'off-duty');
+    assert.equal(text('vehicleInspection'), 'Failed - vehicle unavailable');
+
+    // Today's failed inspection doesn't satisfy the pre-trip check
+    await dashboard.changeDutyStatus('on-duty');
+    assert.equal(dashboard.hos.status, 'off-duty');
+    assert.equal(dashboard.pendingDutyStatus, 'on-duty');
+    assert.match(text('notificationsContainer'), /Complete the pre-trip inspection before going on duty/);
+});
+
+test('driving off without an inspection is logged and the checklist comes up at the next stop', async (t) => {
+    goOffline(t);
+    const { clock, dashboard } = createDashboard();
+    inspectionDraft(dashboard);
+    dashboard.bindDutyEvents();
+    // Let the duty log restore before the first fix
+    await new Promise(resolve => setImmediate(resolve));
+    dashboard.startLocationTracking();
+    const start = clock.now();
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, start, { speed: 30 / 3.6 }));
+    await until(() => dashboard.inspectionOwed);
+    assert.match(text('notificationsContainer'), /Driving without today's pre-trip inspection/);
+    const log = await dashboard.hos.getLog(dashboard.hos.current.date);
+    assert.deepEqual(log.filter(entry => entry.kind === 'violation').map(entry => [entry.rule, entry.at]), [['no-inspection', start]]);
+
+    clock.advance(4 * 60000);
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, clock.now(), { speed: 0 }));
+    await until(() => dashboard.inspectionDraft !== null);
+    assert.equal(dashboard.hos.status, 'on-duty');
+    assert.equal(dashboard.inspectionOwed, false);
+    assert.equal(text('inspectionVehicle'), 'MH12AB1234 - Tata 407');
+});
+
+test('an emergency reported offline offers the call and text fallback straight away', async (t) => {
+    goOffline(t);
+    const { dashboard } = createDashboard();
+    dashboard.bindEmergencyEvents();
+
+    const incident = await dashboard.emergencyDispatcher.report({
+        type: 'breakdown', label: 'Vehicle Breakdown', location: OPEN_ROAD, driverId: 'DRV001', vehicleId: 'MH12AB1234'
+    });
+    assert.equal(incident.status, 'sending');
+    assert.equal(incident.attempts, 0);
+    assert.equal(incident.fallback, true);
+    assert.match(text('notificationsContainer'), /Emergency report is not getting through/);
+    const call = page.window.document.getElementById('incidentCall');
+    assert.equal(call.hidden, false);
+    assert.equal(call.getAttribute('href'), `tel:${FleetTrackConfig.emergency.fallbackPhone}`);
+    assert.equal(page.window.document.getElementById('incidentSms').hidden, false);
+});
+
+test('replayed trips are counted from when they are driven, not when they were recorded', async () => {
+    const { clock, dashboard } = createDashboard();
+    dashboard.startLocationTracking();
+    const recorded = Date.parse('2026-01-05T09:00:00');
+    const start = clock.now();
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, recorded, { speed: 40 / 3.6 }));
+    clock.advance(1000);
+    dashboard.locationProvider.source.emit(fix(OPEN_ROAD.lat, OPEN_ROAD.lng, recorded + 1000, { speed: 20 / 3.6 }));
+
+    const trip = dashboard.drivingMonitor.trip;
+    assert.equal(trip.startedAt, start);
+    assert.equal(trip.lastAt, clock.now());
+    // Braking is still timed by the fixes: 20 km/h in a second
+    assert.deepEqual(trip.events.map(event => [event.type, event.at]), [['hard-brake', clock.now()]]);
+    const trips = await dashboard.drivingMonitor.getTrips(dashboard.shiftLog.countersSince());
+    assert.deepEqual(trips.map(counted => counted.id), [trip.id]);
+});
+
+test('an emergency report rejected by dispatch fails and offers the fallback straight away', async (t) => {
+    setOnLine(t, true);
+    const { dashboard } = createDashboard();
+    dashboard.bindEmergencyEvents();
+    dashboard.syncQueue.register('emergency', async () => {
+        throw new ApiError('POST /emergency failed with status 422', 422);
+    });
+
+    const incident = await dashboard.emergencyDispatcher.report({
+        type: 'breakdown', label: 'Vehicle Breakdown', location: OPEN_ROAD, driverId: 'DRV001', vehicleId: 'MH12AB1234'
+    });
+    await until(() => incident.fallback);
+    assert.equal(incident.status, 'failed');
+    assert.equal(incident.attempts, 1);
+    assert.deepEqual(await dashboard.store.getAll('outbox'), []);
+    assert.match(text('notificationsContainer'), /Emergency report is not getting through/);
+    assert.equal(text('incidentStatus'), 'Dispatch could not accept the report. Call or text dispatch.');
+    assert.equal(page.window.document.getElementById('incidentCall').hidden, false);
+    assert.equal(page.window.document.getElementById('incidentSms').hidden, false);
+});
+
+test('arriving at a pickup stop is logged as a pickup', async () => {
+    const { dashboard } = createDashboard();
+    // Also binds the manifest events
+    dashboard.initMap();
+    dashboard.manifest.setStops(JSON.parse(readFixture('data/manifests.json')).DRV001);
+    const pickup = dashboard.manifest.stops.find(stop => stop.type === 'pickup');
+    const delivery = dashboard.manifest.stops.find(stop => stop.type === 'delivery' && stop.status === 'pending');
+    assert.equal(pickup.address, 'ITO Crossing Warehouse');
+
+    dashboard.manifest.updateStop(pickup.id, { status: 'arrived' });
+    dashboard.manifest.updateStop(delivery.id, { status: 'arrived' });
+    await until(async () => (await dashboard.store.getAll('activities')).length === 2);
+    const activities = await dashboard.store.getAll('activities');
+    assert.deepEqual(activities.map(activity => [activity.type, activity.details]), [
+        ['pickup', pickup.address],
+        ['delivery', delivery.address]
+    ]);
+});
+
+test('routes are stamped with the injected clock', async () => {
+    const { clock, dashboard } = createDashboard();
+    await dashboard.navigator.navigate(OPEN_ROAD, { id: 'stop-1', ...SCHOOL });
+    assert.equal(dashboard.navigator.routedAt, clock.now());
+});
+
+test('inspections, activities and odometer days follow the injected clock', async (t) => {
+    goOffline(t);
+    const { clock, dashboard } = createDashboard();
+    dashboard.inspectionDraft = inspectionDraft(dashboard);
+    await dashboard.submitInspection();
+    assert.equal(dashboard.inspection.date, '2026-03-02');
+    assert.equal(dashboard.inspection.completedAt, new Date(clock.now()).toISOString());
+    await until(async () => (await dashboard.store.getAll('activities')).length > 0);
+    assert.deepEqual((await dashboard.store.getAll('activities')).map(activity => activity.day), ['2026-03-02']);
+    await dashboard.odometer.setVehicle('MH12AB1234', 15000, 'DRV001');
+    assert.equal(dashboard.odometer.day.date, '2026-03-02');
+
+    // The next morning yesterday's inspection no longer covers going on duty
+    clock.advance(24 * 3600000);
+    await dashboard.changeDutyStatus('on-duty');
+    assert.equal(dashboard.hos.status, 'off-duty');
+    assert.match(text('notificationsContainer'), /Complete the pre-trip inspection before going on duty/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixtureDataSource, DataSourceError, driverProfile } from '../data-source.js';
+import { FleetTrackConfig } from '../config.js';
+import { readFixture } from './support.js';
+
+// Serves the demo files from the repository instead of over HTTP
+function fixtures() {
+    return new FixtureDataSource(FleetTrackConfig.dataSource.fixtures, async (url) => {
+        try {
+            const body = readFixture(url);
+            return { ok: true, text: async () => body };
+        } catch (error) {
+            return { ok: false, text: async () => '' };
+        }
+    });
+}
+
+test('parses CSV with quoted cells and typed numbers', () => {
+    const rows = FixtureDataSource.parseCsv('id,name,pin,phone,note\r\nDRV9,"Rao, Anil",0042,98765,"said ""hi"""\n\n');
+    assert.deepEqual(rows, [{ id: 'DRV9', name: 'Rao, Anil', pin: '0042', phone: 98765, note: 'said "hi"' }]);
+    assert.deepEqual(FixtureDataSource.parseCsv(''), []);
+});
+
+test('looks up drivers and vehicles by id regardless of case', async () => {
+    const source = fixtures();
+    const driver = await source.getDriver('drv001');
+    assert.equal(driver.name, 'Rajesh Yadav');
+    assert.equal(driver.licenseIssued, 2019);
+    const vehicle = await source.getVehicle(driver.vehicleId);
+    assert.equal(vehicle.model, 'Tata 407');
+    assert.equal((await source.getVehicleModel('tata 407')).tankCapacity, 60);
+});
+
+test('unknown records reject with a DataSourceError', async () => {
+    const source = fixtures();
+    await assert.rejects(source.getDriver('NOPE'), DataSourceError);
+    await assert.rejects(source.getVehicleModel('Hovercraft'), DataSourceError);
+});
+
+test('a missing fixture file rejects and is retried on the next call', async () => {
+    let calls = 0;
+    const source = new FixtureDataSource({ drivers: 'data/missing.csv' }, async () => {
+        calls++;
+        return { ok: false, text: async () => '' };
+    });
+    await assert.rejects(source.getDriver('DRV001'), DataSourceError);
+    await assert.rejects(source.getDriver('DRV001'), DataSourceError);
+    assert.equal(calls, 2);
+});
+
+test('demo sign-in accepts the id or licence number with the PIN', async () => {
+    const source = fixtures();
+    assert.equal((await source.authenticate(' mh14201900123 ', '4821')).driverId, 'DRV001');
+    await assert.rejects(source.authenticate('DRV001', '0000'), { status: 401 });
+});
+
+test('maps driver, vehicle and model records to the profile', async () => {
+    const source = fixtures();
+    const driver = await source.getDriver('DRV001');
+    const vehicle = await source.getVehicle(driver.vehicleId);
+    const spec = await source.getVehicleModel(vehicle.model);
+
+    assert.deepEqual(driverProfile(driver, vehicle, spec, { year: 2026 }), {
+        name: 'Rajesh Yadav',
+        id: 'DRV001',
+        license: 'MH14201900123',
+        phone: '+91-9876543210',
+        experienceYears: 7,
+        vehicleId: 'MH12AB1234',
+        licensePlate: 'MH12AB1234',
+        vehicleModel: 'Tata 407 2021',
+        efficiency: { min: 8, max: 10 },
+        fuelType: 'Diesel'
+    });
+});
+
+test('falls back to defaults for an unknown model and a missing fuel type', () => {
+    const driver = { id: 'D', name: 'N', licenseIssued: 2030 };
+    const vehicle = { id: 'V', plate: 'P', model: 'Prototype', year: 2026 };
+    const profile = driverProfile(driver, vehicle, null, { year: 2026, defaultEfficiency: { min: 9, max: 12 } });
+    assert.equal(profile.experienceYears, 0);
+    assert.deepEqual(profile.efficiency, { min: 9, max: 12 });
+    assert.equal(profile.fuelType, 'Diesel');
+    assert.equal(driverProfile(driver, vehicle, { fuelType: 'CNG', efficiency: {} }, { year: 2026 }).fuelType, 'CNG');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Geo } from '../geo.js';
+
+test('distance is the great-circle distance in km', () => {
+    assert.equal(Geo.distance(28.6, 77.2, 28.6, 77.2), 0);
+    // One degree of latitude on a 6371 km sphere
+    assert.ok(Math.abs(Geo.distance(28, 77, 29, 77) - 111.195) < 0.001);
+    // Delhi to Mumbai, about 1150 km
+    assert.ok(Math.abs(Geo.distance(28.6139, 77.2090, 19.0760, 72.8777) - 1153) < 5);
+});
+
+test('bearing is measured clockwise from north', () => {
+    assert.equal(Math.round(Geo.bearing(28, 77, 29, 77)), 0);
+    assert.equal(Math.round(Geo.bearing(28, 77, 28, 78)), 90);
+    assert.equal(Math.round(Geo.bearing(28, 77, 27, 77)), 180);
+    assert.equal(Math.round(Geo.bearing(28, 77, 28, 76)), 270);
+});
+
+test('nearestOnLine finds the closest segment and how far along it', () => {
+    const line = [[28.60, 77.20], [28.60, 77.21], [28.61, 77.21]];
+    const nearest = Geo.nearestOnLine(28.601, 77.205, line);
+    assert.equal(nearest.index, 0);
+    assert.ok(Math.abs(nearest.fraction - 0.5) < 0.01);
+    assert.ok(Math.abs(nearest.distance - 0.111) < 0.001);
+    assert.equal(Geo.nearestOnLine(28.605, 77.2101, line).index, 1);
+});
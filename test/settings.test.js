@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DriverSettings, Shortcut } from '../settings.js';
+import { I18n } from '../i18n.js';
+import { FleetTrackConfig } from '../config.js';
+import { MemoryStorage } from './support.js';
+
+const DEFAULTS = { alertVolume: 0.8, silentWhenStationary: true, ...FleetTrackConfig.settings.defaults };
+
+function setup(storage = new MemoryStorage(), policy = {}) {
+    const settings = new DriverSettings({ defaults: DEFAULTS, policy }, storage);
+    settings.load('DRV001');
+    return { storage, settings };
+}
+
+function key(key, modifiers = {}) {
+    return { key, ctrlKey: false, altKey: false, shiftKey: false, ...modifiers };
+}
+
+test('preferences are kept per driver and invalid values are ignored', () => {
+    const { storage, settings } = setup();
+    assert.equal(settings.get('refreshInterval'), 30);
+
+    settings.save({ units: 'imperial', refreshInterval: 15, theme: 'purple', alertVolume: 3, speed: 1 });
+    assert.equal(settings.get('units'), 'imperial');
+    assert.equal(settings.get('refreshInterval'), 15);
+    assert.equal(settings.get('theme'), 'light');
+    assert.equal(settings.get('alertVolume'), 0.8);
+
+    const other = new DriverSettings({ defaults: DEFAULTS }, storage);
+    assert.equal(other.load('DRV002').units, 'metric');
+    assert.equal(other.load('DRV001').units, 'imperial');
+});
+
+test('alert preferences saved before settings existed carry over', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('fleettrack.alertPrefs', JSON.stringify({ DRV001: { volume: 0.4, silentWhenStationary: false } }));
+    const { settings } = setup(storage);
+    assert.equal(settings.get('alertVolume'), 0.4);
+    assert.equal(settings.get('silentWhenStationary'), false);
+});
+
+test('the fleet policy locks and bounds settings without losing the driver\'s choice', () => {
+    const { storage, settings } = setup();
+    settings.save({ alertSensitivity: 'low', alertVolume: 0.1, refreshInterval: 120, units: 'imperial' });
+    const changes = [];
+    settings.addEventListener('change', event => changes.push(event.detail.changed));
+
+    settings.setPolicy({
+        alertSensitivity: { min: 'normal' },
+        alertVolume: { min: 0.3 },
+        refreshInterval: { min: 60 },
+        units: { value: 'metric' }
+    });
+    assert.equal(settings.get('alertSensitivity'), 'normal');
+    assert.deepEqual(settings.allowed('alertSensitivity'), ['normal', 'high']);
+    assert.equal(settings.get('alertVolume'), 0.3);
+    assert.deepEqual(settings.allowed('refreshInterval'), [60, 30, 15]);
+    assert.equal(settings.get('refreshInterval'), 60);
+    assert.equal(settings.isLocked('units'), true);
+    assert.equal(settings.get('units'), 'metric');
+    assert.deepEqual(changes, [['alertSensitivity', 'alertVolume', 'units', 'refreshInterval']]);
+
+    // Locked settings can't be saved; allowed ones can
+    settings.save({ units: 'imperial', alertSensitivity: 'high' });
+    assert.equal(settings.get('units'), 'metric');
+    assert.equal(settings.get('alertSensitivity'), 'high');
+
+    // The policy is cached for offline starts, and lifting it restores the driver's choices
+    const restarted = new DriverSettings({ defaults: DEFAULTS }, storage);
+    assert.equal(restarted.load('DRV001').units, 'metric');
+    restarted.setPolicy(null);
+    assert.equal(restarted.get('units'), 'imperial');
+    assert.equal(restarted.get('alertVolume'), 0.1);
+});
+
+test('shortcuts need a modifier, are normalised and can be remapped', () => {
+    assert.equal(Shortcut.normalise('shift + ctrl + e'), 'Ctrl+Shift+E');
+    assert.equal(Shortcut.normalise('E'), null);
+    assert.equal(Shortcut.normalise('Shift+E'), null);
+    assert.equal(Shortcut.normalise('F2'), 'F2');
+    assert.equal(Shortcut.normalise('Meta+E'), null);
+    assert.equal(Shortcut.fromEvent(key('Control', { ctrlKey: true })), null);
+
+    const { settings } = setup();
+    assert.equal(settings.shortcutAction(key('e', { ctrlKey: true })), 'emergency');
+    assert.equal(settings.shortcutAction(key('e')), null);
+
+    settings.save({ shortcuts: { emergency: 'Alt+X', centerMap: 'Alt+X' } });
+    assert.equal(settings.get('shortcuts').emergency, 'Ctrl+E');
+    settings.save({ shortcuts: { emergency: 'Alt+X', centerMap: 'Ctrl+M' } });
+    assert.equal(settings.shortcutAction(key('x', { altKey: true })), 'emergency');
+    assert.equal(settings.shortcutAction(key('e', { ctrlKey: true })), null);
+});
+
+test('imperial units convert distances and speeds but not fuel', (t) => {
+    I18n.locale = 'en-IN';
+    I18n.units = 'imperial';
+    t.after(() => {
+        I18n.units = 'metric';
+    });
+    assert.equal(I18n.speed(100), '62 mph');
+    assert.equal(I18n.speedValue(50), '31');
+    assert.equal(I18n.distance(50), '160 ft');
+    assert.equal(I18n.distance(16093.44), '10 mi');
+    assert.equal(I18n.unit(20, 'liter'), '20 l');
+});
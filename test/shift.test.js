@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShiftLog, ShiftReport } from '../shift.js';
+import { HoursOfService } from '../hos.js';
+import { Odometer } from '../odometer.js';
+import { I18n } from '../i18n.js';
+import { FakeClock, MemoryStore, readFixture } from './support.js';
+
+const DEPOT = [28.6139, 77.2090];
+const HOUR = 3600000;
+
+// SyncQueue stand-in that keeps what was queued
+class RecordingQueue extends EventTarget {
+    constructor() {
+        super();
+        this.items = [];
+    }
+
+    async enqueue(item) {
+        this.items.push(item);
+        return item;
+    }
+}
+
+function setup(options = {}) {
+    const clock = new FakeClock();
+    const store = new MemoryStore();
+    const queue = new RecordingQueue();
+    const shifts = new ShiftLog(store, queue, { shiftReports: '/drivers/:id/shift-reports' }, { clock, ...options });
+    return { clock, store, queue, shifts };
+}
+
+function useEnglish() {
+    I18n.language = 'en';
+    I18n.locale = 'en-IN';
+    I18n.catalogs = { en: JSON.parse(readFixture('data/i18n/en.json')) };
+}
+
+function compileSample(clock, shift) {
+    const from = shift.startedAt;
+    const at = offset => new Date(from + offset).toISOString();
+    return ShiftReport.compile({
+        shift,
+        driver: { id: 'DRV001', name: 'Asha <Rao>' },
+        vehicle: { id: 'VH-7', plate: 'DL 01 AB 1234' },
+        from,
+        to: clock.now(),
+        stops: [
+            { id: '1', sequence: 1, address: 'Market Rd', lat: 28.62, lng: 77.21, status: 'delivered' },
+            { id: '2', sequence: 2, address: '<b>Gate 4</b>', lat: 28.63, lng: 77.22, status: 'failed' },
+            { id: '3', sequence: 3, address: 'Ring Rd', lat: 28.64, lng: 77.23, status: 'pending' }
+        ],
+        deliveries: [
+            { stopId: '2', status: 'failed', failureReason: 'other', timestamp: at(HOUR) },
+            { stopId: '2', status: 'failed', failureReason: 'customer-absent', timestamp: at(2 * HOUR) }
+        ],
+        hours: { 'off-duty': 0, 'on-duty': HOUR, driving: 2 * HOUR, break: 0.5 * HOUR, worked: 3 * HOUR },
+        trips: [
+            { id: 'T0', startedAt: from - HOUR, endedAt: from - 1000, lastAt: from - 1000, score: 40, events: [] },
+            {
+                id: 'T1', startedAt: from + 1000, endedAt: from + HOUR, lastAt: from + HOUR, score: 90,
+                events: [
+                    { type: 'overspeed', start: from + 60000, end: from + 90000, peakSpeed: 48, limit: 30, zone: 'Construction Zone', acknowledged: true },
+                    { type: 'hard-brake', at: from + 120000, from: 40, to: 10, rate: -4.2 }
+                ]
+            }
+        ],
+        fills: [
+            { id: 'F0', litres: 20, odometer: 15000, timestamp: at(-2 * HOUR), flags: [] },
+            { id: 'F1', litres: 35, cost: 3500, odometer: 15120, station: 'Depot pump', fullTank: true, timestamp: at(HOUR), flags: ['odometer-mismatch'] }
+        ],
+        incidents: [
+            { id: 'INC-1', status: 'closed', createdAt: at(30 * 60000), payload: { type: 'breakdown', label: 'Vehicle Breakdown' } }
+        ],
+        odometer: 15131.4
+    });
+}
+
+test('resume picks up the open shift and the last close', async () => {
+    const { store, shifts, clock } = setup();
+    const closedAt = clock.now() - HOUR;
+    await store.put('shifts', { id: 'S1', driverId: 'DRV001', startedAt: closedAt - 8 * HOUR, closedAt });
+    await store.put('shifts', { id: 'S2', driverId: 'DRV001', startedAt: clock.now() - 600000, closedAt: null, path: [], zones: [], metres: 0 });
+    await store.put('shifts', { id: 'S3', driverId: 'DRV002', startedAt: clock.now(), closedAt: null });
+
+    const open = await shifts.resume('DRV001');
+    assert.equal(open.id, 'S2');
+    assert.equal(shifts.lastClosedAt, closedAt);
+    assert.equal(shifts.countersSince(), closedAt);
+    assert.equal(shifts.closedToday(), true);
+
+    // Tomorrow the counters start at midnight again
+    const tomorrow = clock.now() + 24 * HOUR;
+    assert.equal(shifts.closedToday(tomorrow), false);
+    assert.equal(new Date(shifts.countersSince(tomorrow)).getHours(), 0);
+});
+
+test('a shift opens once and records route, distance and zones', async () => {
+    const { clock, shifts } = setup({ pathSpacing: 50 });
+    shifts.resume('DRV001');
+    const shift = await shifts.open('VH-7');
+    assert.equal(await shifts.open('VH-7'), shift);
+    assert.equal(shift.startedAt, clock.now());
+
+    shifts.recordFix(DEPOT[0], DEPOT[1]);
+    shifts.recordFix(DEPOT[0] + 0.0001, DEPOT[1]); // ~11 m, jitter
+    shifts.recordFix(DEPOT[0] + 0.001, DEPOT[1]); // ~110 m
+    shifts.addDistance(110);
+    shifts.enterZone({ id: 'school-1', name: 'School Zone', category: 'school', speedLimit: 25 });
+
+    assert.equal(shift.path.length, 2);
+    assert.equal(shift.metres, 110);
+    assert.deepEqual(shift.zones.map(zone => [zone.id, zone.speedLimit]), [['school-1', 25]]);
+});
+
+test('nothing is recorded outside a shift and long routes are thinned', async () => {
+    const { shifts } = setup({ pathSpacing: 1, maxPathPoints: 10 });
+    shifts.recordFix(DEPOT[0], DEPOT[1]);
+    await shifts.resume('DRV001');
+    const shift = await shifts.open();
+    assert.equal(shift.path.length, 0);
+
+    for (let i = 0; i < 25; i++) {
+        shifts.recordFix(DEPOT[0] + i * 0.001, DEPOT[1]);
+    }
+    assert.ok(shift.path.length <= 10);
+    assert.deepEqual(shift.path[0], DEPOT);
+    assert.equal(shift.path[shift.path.length - 1][0], Math.round((DEPOT[0] + 24 * 0.001) * 1e5) / 1e5);
+});
+
+test('the report covers only what happened during the shift', async () => {
+    const { clock, shifts } = setup();
+    await shifts.resume('DRV001');
+    const shift = await shifts.open('VH-7');
+    shift.metres = 52345.6;
+    clock.advance(9 * HOUR);
+
+    const report = compileSample(clock, shift);
+    assert.deepEqual(
+        { total: report.deliveries.total, delivered: report.deliveries.delivered, failed: report.deliveries.failed, pending: report.deliveries.pending },
+        { total: 3, delivered: 1, failed: 1, pending: 1 }
+    );
+    assert.equal(report.deliveries.failures[0].reason, 'customer-absent');
+    assert.equal(report.distance, 52346);
+    assert.equal(report.hours.worked, 3 * HOUR);
+    assert.equal(report.driving.trips, 1);
+    assert.equal(report.driving.score, 90);
+    assert.equal(report.driving.overspeeds.length, 1);
+    assert.equal(report.driving.hardBrakes, 1);
+    assert.deepEqual(report.fuel.map(fill => fill.litres), [35]);
+    assert.deepEqual(report.emergencies.map(incident => incident.type), ['breakdown']);
+    assert.equal(report.shiftId, shift.id);
+});
+
+test('closing stores and queues the report and rolls the counters over', async () => {
+    const { clock, store, queue, shifts } = setup();
+    await shifts.resume('DRV001');
+    const shift = await shifts.open('VH-7');
+    clock.advance(8 * HOUR);
+
+    const report = compileSample(clock, shift);
+    const closed = await shifts.close(report);
+    assert.equal(closed.closedAt, clock.now());
+    assert.equal(shifts.current, null);
+    assert.equal(shifts.countersSince(), clock.now());
+    assert.equal((await store.get('shifts', shift.id)).reportId, report.id);
+    assert.equal(queue.items.length, 1);
+    assert.equal(queue.items[0].kind, 'shift-report');
+    assert.deepEqual(queue.items[0].params, { id: 'DRV001' });
+
+    assert.equal((await store.get('shiftReports', report.id)).submittedAt, null);
+    queue.dispatchEvent(new CustomEvent('sent', { detail: { item: queue.items[0] } }));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok((await store.get('shiftReports', report.id)).submittedAt);
+
+    // The next duty change starts a new shift
+    clock.advance(HOUR);
+    const next = await shifts.open('VH-7');
+    assert.notEqual(next.id, shift.id);
+});
+
+test('the printable report escapes server text and draws the route', async () => {
+    useEnglish();
+    const { clock, shifts } = setup();
+    await shifts.resume('DRV001');
+    const shift = await shifts.open('VH-7');
+    shift.path.push(DEPOT, [28.62, 77.21], [28.63, 77.22]);
+    clock.advance(8 * HOUR);
+
+    const html = ShiftReport.toHtml(compileSample(clock, shift), clock.now());
+    assert.match(html, /<title>Shift Report - Asha &lt;Rao&gt;/);
+    assert.match(html, /&lt;b&gt;Gate 4&lt;\/b&gt;/);
+    assert.doesNotMatch(html, /<b>Gate 4/);
+    assert.match(html, /Customer absent/);
+    assert.match(html, /<svg [^>]*class="route-map"/);
+    assert.match(html, /<polyline points="/);
+    assert.match(html, /Vehicle Breakdown/);
+
+    assert.equal(ShiftReport.routeMap([], []), '');
+});
+
+test('hours between two times span midnight', async () => {
+    const clock = new FakeClock(Date.parse('2026-03-02T22:00:00'));
+    const hos = new HoursOfService(new MemoryStore());
+    await hos.setStatus('on-duty', 'driver', clock.now());
+    await hos.setStatus('driving', 'auto', clock.advance(HOUR));
+    const now = clock.advance(2 * HOUR);
+
+    const shift = hos.totalsBetween(now - 3 * HOUR, now, now);
+    assert.equal(shift.worked, 3 * HOUR);
+    assert.equal(shift.driving, 2 * HOUR);
+    assert.equal(hos.totals(now, now).driving, HOUR);
+});
+
+test('odometer rollover restarts today without touching the reading', async () => {
+    const odometer = new Odometer(new MemoryStore());
+    await odometer.setVehicle('VH-7', 15000);
+    odometer.add(2500, Date.now());
+    assert.equal(odometer.today, 2500);
+
+    await odometer.rollover();
+    assert.equal(odometer.today, 0);
+    assert.equal(odometer.reading, 15002.5);
+    odometer.add(500, Date.now());
+    assert.equal(odometer.today, 500);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeedEstimator, classifySpeed } from '../speed.js';
+import { FakeClock, fix } from './support.js';
+
+test('classifies speed against the limit', () => {
+    assert.equal(classifySpeed(null, 60), 'no-signal');
+    assert.equal(classifySpeed(0, 60), 'normal');
+    assert.equal(classifySpeed(54, 60), 'normal'); // exactly 90% is still normal
+    assert.equal(classifySpeed(55, 60), 'warning');
+    assert.equal(classifySpeed(60, 60), 'warning'); // at the limit is not over it
+    assert.equal(classifySpeed(61, 60), 'overspeed');
+    assert.equal(classifySpeed(23, 25, 0.8), 'warning');
+});
+
+test('uses the device speed when the fix has one', () => {
+    const estimator = new SpeedEstimator();
+    const reading = estimator.update(fix(28.6, 77.2, 0, { speed: 10 }), 0);
+    assert.deepEqual(reading, { accepted: true, speed: 36, reason: 'ok' });
+});
+
+test('derives speed from distance between fixes and smooths it', () => {
+    const estimator = new SpeedEstimator({ smoothing: 0.5 });
+    assert.equal(estimator.update(fix(28.6, 77.2, 0), 0).reason, 'warming-up');
+
+    // 0.001° of latitude is about 111 m; in 10 s that is about 40 km/h
+    const first = estimator.update(fix(28.601, 77.2, 10000), 10000);
+    assert.equal(Math.round(first.speed), 40);
+    const second = estimator.update(fix(28.601, 77.2, 20000), 20000); // stood still
+    assert.equal(Math.round(second.speed), 20);
+});
+
+test('drops speeds below the stopped threshold to zero', () => {
+    const estimator = new SpeedEstimator({ stoppedBelow: 3 });
+    assert.equal(estimator.update(fix(28.6, 77.2, 0, { speed: 0.5 }), 0).speed, 0);
+});
+
+test('ignores inaccurate and implausible fixes', () => {
+    const estimator = new SpeedEstimator({ maxAccuracy: 50, maxPlausible: 160 });
+    estimator.update(fix(28.6, 77.2, 0, { speed: 10 }), 0);
+
+    assert.deepEqual(estimator.update(fix(28.6, 77.2, 1000, { accuracy: 80 }), 1000),
+        { accepted: false, speed: 36, reason: 'low-accuracy' });
+    assert.deepEqual(estimator.update(fix(28.7, 77.2, 2000), 2000),
+        { accepted: false, speed: 36, reason: 'implausible' });
+});
+
+test('goes stale once fixes stop for longer than staleAfter', () => {
+    const clock = new FakeClock(0);
+    const estimator = new SpeedEstimator({ staleAfter: 15000, clock });
+    assert.equal(estimator.isStale(), true);
+
+    estimator.update(fix(28.6, 77.2, 0, { speed: 10 }));
+    clock.advance(15000);
+    assert.equal(estimator.isStale(), false);
+    clock.advance(1);
+    assert.equal(estimator.isStale(), true);
+});
@@ -0,0 +1,127 @@
+// Shared fakes for the test suite: a hand-stepped clock, in-memory storage and a DOM with stubbed Leaflet
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { I18n } from '../i18n.js';
+
+const root = new URL('../', import.meta.url);
+
+export function readFixture(path) {
+    return readFileSync(new URL(path, root), 'utf8');
+}
+
+export class FakeClock {
+    constructor(start = Date.parse('2026-03-02T10:00:00')) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+}
+
+// localStorage stand-in
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// LocalStore stand-in: records keyed by id, numbered when they come without one
+export class MemoryStore {
+    constructor() {
+        this.stores = {};
+        this.nextId = 1;
+    }
+
+    records(storeName) {
+        this.stores[storeName] = this.stores[storeName] || new Map();
+        return this.stores[storeName];
+    }
+
+    async add(storeName, value) {
+        const id = value.id === undefined ? this.nextId++ : value.id;
+        this.records(storeName).set(id, { ...value, id });
+        return id;
+    }
+
+    async put(storeName, value) {
+        return this.add(storeName, value);
+    }
+
+    async get(storeName, key) {
+        return this.records(storeName).get(key);
+    }
+
+    async getAll(storeName, options = {}) {
+        const all = [...this.records(storeName).values()];
+        return options.index ? all.filter(record => record[options.index] === options.query) : all;
+    }
+
+    async delete(storeName, key) {
+        this.records(storeName).delete(key);
+    }
+
+    async clear(storeName) {
+        this.records(storeName).clear();
+    }
+}
+
+// Position-shaped fix as the location sources deliver it
+export function fix(lat, lng, timestamp, extra = {}) {
+    return {
+        coords: { latitude: lat, longitude: lng, accuracy: 5, speed: null, ...extra },
+        timestamp
+    };
+}
+
+// Just enough of Leaflet for the dashboard: every layer method chains and nothing draws
+export function stubLeaflet() {
+    const layer = () => {
+        const stub = {};
+        ['addTo', 'bindPopup', 'setLatLng', 'setLatLngs', 'setStyle', 'setView', 'remove', 'on',
+            'clearLayers', 'addLayer', 'removeLayer', 'fitBounds', 'invalidateSize'].forEach(name => {
+            stub[name] = () => stub;
+        });
+        stub.hasLayer = () => false;
+        return stub;
+    };
+    return {
+        map: layer, marker: layer, circle: layer, polygon: layer, polyline: layer, layerGroup: layer,
+        tileLayer: layer, divIcon: options => options,
+        control: { layers: layer },
+        GridLayer: { extend: () => layer }
+    };
+}
+
+// dashboard.html without its scripts, installed as the global window/document, with the
+// English catalogue loaded so assertions read like the UI
+export function loadDashboardPage() {
+    const dom = new JSDOM(readFixture('dashboard.html'), { url: 'http://localhost/dashboard.html' });
+    Object.assign(globalThis, {
+        window: dom.window,
+        document: dom.window.document,
+        Option: dom.window.Option,
+        L: stubLeaflet()
+    });
+    I18n.language = 'en';
+    I18n.locale = 'en-IN';
+    I18n.catalogs = { en: JSON.parse(readFixture('data/i18n/en.json')) };
+    return dom;
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DriverTracker } from '../tracker.js';
+import { ZoneRegistry } from '../zones.js';
+import { FakeClock, fix, readFixture } from './support.js';
+
+const SCHOOL = { lat: 28.6180, lng: 77.2110 };
+const OPEN_ROAD = { lat: 28.6000, lng: 77.2000 };
+
+function setup(start) {
+    const clock = new FakeClock(start);
+    const tracker = new DriverTracker({ clock, defaultLimit: 60, speed: { staleAfter: 15000, warningRatio: 0.9 } });
+    tracker.zones.setZones(ZoneRegistry.fromGeoJSON(JSON.parse(readFixture('data/zones.geojson'))));
+    const at = (point, speed) => tracker.update(fix(point.lat, point.lng, clock.now(), { speed: speed / 3.6 }));
+    return { clock, tracker, at };
+}
+
+test('starts with no signal and the default limit', () => {
+    const { tracker } = setup();
+    assert.equal(tracker.speed, null);
+    assert.equal(tracker.location, null);
+    assert.equal(tracker.limit, 60);
+    assert.equal(tracker.status, 'no-signal');
+});
+
+test('accepted fixes set location and rounded speed', () => {
+    const { tracker, at } = setup();
+    at(OPEN_ROAD, 42.4);
+    assert.deepEqual(tracker.location, OPEN_ROAD);
+    assert.equal(tracker.speed, 42);
+    assert.equal(tracker.status, 'normal');
+});
+
+test('rejected fixes leave the state alone', () => {
+    const { clock, tracker, at } = setup();
+    at(OPEN_ROAD, 40);
+    const reading = tracker.update(fix(SCHOOL.lat, SCHOOL.lng, clock.now(), { accuracy: 500, speed: 30 }));
+    assert.equal(reading.accepted, false);
+    assert.deepEqual(tracker.location, OPEN_ROAD);
+    assert.equal(tracker.zone, null);
+});
+
+test('entering a zone takes its limit and leaving restores the default', () => {
+    const { clock, tracker, at } = setup();
+    at(SCHOOL, 24);
+    assert.equal(tracker.zone.id, 'school-1');
+    assert.equal(tracker.limit, 25);
+    assert.equal(tracker.status, 'warning');
+
+    clock.advance(1000);
+    at(SCHOOL, 30);
+    assert.equal(tracker.status, 'overspeed');
+
+    clock.advance(60000);
+    at(OPEN_ROAD, 30);
+    assert.equal(tracker.zone, null);
+    assert.equal(tracker.limit, 60);
+    assert.equal(tracker.status, 'normal');
+});
+
+test('a zone that closes while parked lifts its limit on the next recheck', () => {
+    const { clock, tracker, at } = setup(Date.parse('2026-03-02T18:58:00'));
+    at(SCHOOL, 0);
+    assert.equal(tracker.limit, 25);
+
+    clock.advance(2 * 60000);
+    tracker.recheckZones();
+    assert.equal(tracker.zone, null);
+    assert.equal(tracker.limit, 60);
+});
+
+test('drops the speed once fixes stop coming', () => {
+    const { clock, tracker, at } = setup();
+    at(OPEN_ROAD, 40);
+    clock.advance(15000);
+    assert.equal(tracker.checkSignal(), false);
+    clock.advance(1);
+    assert.equal(tracker.checkSignal(), true);
+    assert.equal(tracker.speed, null);
+    assert.equal(tracker.status, 'no-signal');
+    assert.equal(tracker.checkSignal(), false); // only reported once
+});
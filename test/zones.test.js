@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZoneRegistry } from '../zones.js';
+import { FakeClock, readFixture } from './support.js';
+
+const METRES_PER_DEGREE = 6371000 * Math.PI / 180;
+const SCHOOL = { lat: 28.6180, lng: 77.2110 };
+
+// Monday 2 March 2026 unless a test moves the clock
+function registry(clock = new FakeClock()) {
+    const zones = new ZoneRegistry({ clock });
+    zones.setZones(ZoneRegistry.fromGeoJSON(JSON.parse(readFixture('data/zones.geojson'))));
+    return zones;
+}
+
+function names(zones) {
+    return zones.map(zone => zone.id).sort();
+}
+
+test('maps GeoJSON features to zones', () => {
+    const zones = registry().zones;
+    const school = zones.find(zone => zone.id === 'school-1');
+    assert.equal(school.shape, 'circle');
+    assert.deepEqual(school.center, SCHOOL);
+    assert.equal(school.radius, 200);
+    assert.equal(school.speedLimit, 25);
+    assert.equal(zones.find(zone => zone.id === 'hospital-1').shape, 'polygon');
+});
+
+test('a circular zone includes its radius and nothing past it', () => {
+    const zones = registry();
+    const north = metres => SCHOOL.lat + metres / METRES_PER_DEGREE;
+    assert.deepEqual(names(zones.zonesAt(north(199), SCHOOL.lng)), ['school-1']);
+    assert.deepEqual(names(zones.zonesAt(north(201), SCHOOL.lng)), []);
+});
+
+test('a polygon zone is bounded by its edges', () => {
+    const zones = registry();
+    assert.deepEqual(names(zones.zonesAt(28.6245, 77.2139)), ['hospital-1']);
+    assert.deepEqual(names(zones.zonesAt(28.6245, 77.2137)), []);
+    assert.deepEqual(names(zones.zonesAt(28.6253, 77.2155)), ['hospital-1']);
+    assert.deepEqual(names(zones.zonesAt(28.6255, 77.2155)), []);
+});
+
+test('holes in a polygon are outside the zone', () => {
+    const zones = new ZoneRegistry();
+    zones.setZones(ZoneRegistry.fromGeoJSON({
+        type: 'Feature',
+        properties: { id: 'yard', speedLimit: 10 },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [
+                [[77.0, 28.0], [77.1, 28.0], [77.1, 28.1], [77.0, 28.1], [77.0, 28.0]],
+                [[77.04, 28.04], [77.06, 28.04], [77.06, 28.06], [77.04, 28.06], [77.04, 28.04]]
+            ]
+        }
+    }));
+    assert.deepEqual(names(zones.zonesAt(28.02, 77.02)), ['yard']);
+    assert.deepEqual(names(zones.zonesAt(28.05, 77.05)), []);
+});
+
+test('active hours follow the injected clock', () => {
+    const clock = new FakeClock(Date.parse('2026-03-02T18:59:00'));
+    const zones = registry(clock);
+    assert.deepEqual(names(zones.zonesAt(SCHOOL.lat, SCHOOL.lng)), ['school-1']);
+
+    clock.advance(60000); // 19:00, the window's end is exclusive
+    assert.deepEqual(names(zones.zonesAt(SCHOOL.lat, SCHOOL.lng)), []);
+
+    clock.time = Date.parse('2026-03-01T10:00:00'); // Sunday
+    assert.deepEqual(names(zones.zonesAt(SCHOOL.lat, SCHOOL.lng)), []);
+});
+
+test('overnight windows belong to the day they start on', () => {
+    const zones = new ZoneRegistry();
+    const zone = { activeHours: [{ days: [5], from: '22:00', to: '06:00' }] }; // Friday night
+    assert.equal(zones.isActive(zone, new Date('2026-03-06T23:00:00')), true);
+    assert.equal(zones.isActive(zone, new Date('2026-03-07T05:59:00')), true);
+    assert.equal(zones.isActive(zone, new Date('2026-03-07T06:00:00')), false);
+    assert.equal(zones.isActive(zone, new Date('2026-03-06T05:00:00')), false); // Thursday night
+});
+
+test('the lowest limit governs overlapping zones, priority breaks ties', () => {
+    const zones = new ZoneRegistry();
+    const a = { id: 'a', speedLimit: 30, priority: 1 };
+    const b = { id: 'b', speedLimit: 30, priority: 5 };
+    const c = { id: 'c', speedLimit: 40, priority: 9 };
+    assert.equal(zones.strictest([a, b, c]), b);
+    assert.equal(zones.strictest([c, a]), a);
+    assert.equal(zones.strictest([]), null);
+});
+
+test('update fires enter, exit and change events once per crossing', () => {
+    const zones = registry();
+    const events = [];
+    ['zoneenter', 'zoneexit', 'zonechange'].forEach(type => {
+        zones.addEventListener(type, event => events.push(`${type}:${event.detail.zone ? event.detail.zone.id : null}`));
+    });
+
+    assert.equal(zones.update(SCHOOL.lat, SCHOOL.lng).id, 'school-1');
+    zones.update(SCHOOL.lat, SCHOOL.lng);
+    assert.equal(zones.update(28.60, 77.20), null);
+    assert.deepEqual(events, ['zoneenter:school-1', 'zonechange:school-1', 'zoneexit:school-1', 'zonechange:null']);
+});
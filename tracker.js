@@ -0,0 +1,71 @@
+// Driver tracking core - where the vehicle is, how fast it is going and which limit applies
+//
+// No DOM and no map: fixes are fed to update(), time comes from the injected clock and the
+// zone registry picks the governing zone. The dashboard reads the state back to render it.
+import { systemClock } from './clock.js';
+import { SpeedEstimator, classifySpeed } from './speed.js';
+import { ZoneRegistry } from './zones.js';
+
+export class DriverTracker {
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        this.zones = options.zones || new ZoneRegistry({ clock: this.clock });
+        this.estimator = options.estimator || new SpeedEstimator({ ...options.speed, clock: this.clock });
+        this.defaultLimit = options.defaultLimit || 60; // km/h outside every zone
+        this.warningRatio = (options.speed && options.speed.warningRatio) || 0.9;
+        this.location = null; // { lat, lng } of the last accepted fix
+        this.speed = null; // km/h, null while there is no usable GPS signal
+        this.zone = null;
+        this.limit = this.defaultLimit;
+
+        this.zones.addEventListener('zonechange', (event) => this.setZone(event.detail.zone));
+    }
+
+    setZone(zone) {
+        this.zone = zone;
+        this.limit = zone ? zone.speedLimit : this.defaultLimit;
+    }
+
+    // Position-shaped fix in; returns the estimator's reading ({ accepted, speed, reason }).
+    // Rejected fixes leave location, speed and zone as they were.
+    update(position) {
+        const now = this.clock.now();
+        const reading = this.estimator.update(position, now);
+        if (!reading.accepted) {
+            return reading;
+        }
+
+        const { latitude, longitude } = position.coords;
+        this.location = { lat: latitude, lng: longitude };
+        this.zones.update(latitude, longitude, new Date(now));
+        this.speed = reading.speed === null ? null : Math.round(reading.speed);
+        return reading;
+    }
+
+    // Zone active hours can start or end while the vehicle is parked
+    recheckZones() {
+        if (this.location) {
+            this.zones.update(this.location.lat, this.location.lng, new Date(this.clock.now()));
+        }
+    }
+
+    // Don't smooth the next fix against a speed from before the gap
+    signalLost() {
+        this.estimator.reset();
+        this.speed = null;
+    }
+
+    // True when fixes have stopped coming and the speed was dropped
+    checkSignal() {
+        if (this.speed !== null && this.estimator.isStale(this.clock.now())) {
+            this.signalLost();
+            return true;
+        }
+        return false;
+    }
+
+    // 'no-signal', 'normal', 'warning' or 'overspeed'
+    get status() {
+        return classifySpeed(this.speed, this.limit, this.warningRatio);
+    }
+}
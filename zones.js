@@ -0,0 +1,145 @@
+// Geofence engine - speed-restricted zones loaded from GeoJSON
+//
+// Each feature is a Polygon, MultiPolygon or a Point with a `radius` (metres).
+// Properties: id, name, category, speedLimit, priority and optional activeHours:
+//   [{ "days": [1, 2, 3, 4, 5], "from": "07:00", "to": "18:00" }]   (days: 0 = Sunday)
+//
+// Events: 'zoneenter' and 'zoneexit' (detail.zone) for every zone crossed,
+// 'zonechange' (detail.zone, null outside all zones) when the governing zone changes.
+
+import { Geo } from './geo.js';
+import { systemClock } from './clock.js';
+
+export const ZONE_COLORS = {
+    school: '#ff9800',
+    construction: '#f44336',
+    hospital: '#2196F3',
+    default: '#9c27b0'
+};
+
+export class ZoneRegistry extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.clock = options.clock || systemClock;
+        this.zones = [];
+        this.insideIds = new Set();
+        this.currentZone = null;
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load zones from ${url}`);
+        }
+        this.setZones(ZoneRegistry.fromGeoJSON(await response.json()));
+        return this.zones;
+    }
+
+    setZones(zones) {
+        this.zones = zones;
+        this.insideIds.clear();
+        this.currentZone = null;
+    }
+
+    static fromGeoJSON(collection) {
+        const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+        return features.map((feature, index) => {
+            const props = feature.properties || {};
+            const geometry = feature.geometry;
+            const zone = {
+                id: props.id || `zone-${index + 1}`,
+                name: props.name || 'Restricted Zone',
+                category: props.category || 'default',
+                speedLimit: Number(props.speedLimit),
+                priority: Number(props.priority) || 0,
+                activeHours: props.activeHours || null
+            };
+
+            if (geometry.type === 'Point') {
+                zone.shape = 'circle';
+                zone.center = { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+                zone.radius = Number(props.radius);
+            } else if (geometry.type === 'Polygon') {
+                zone.shape = 'polygon';
+                zone.polygons = [geometry.coordinates];
+            } else if (geometry.type === 'MultiPolygon') {
+                zone.shape = 'polygon';
+                zone.polygons = geometry.coordinates;
+            } else {
+                throw new Error(`Unsupported zone geometry: ${geometry.type}`);
+            }
+            return zone;
+        });
+    }
+
+    isActive(zone, date = new Date(this.clock.now())) {
+        if (!zone.activeHours || zone.activeHours.length === 0) {
+            return true;
+        }
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const toMinutes = (time) => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+
+        return zone.activeHours.some(slot => {
+            const from = toMinutes(slot.from);
+            const to = toMinutes(slot.to);
+            const overnight = from > to;
+            // Overnight windows belong to the day they start on
+            const day = overnight && minutes < to ? (date.getDay() + 6) % 7 : date.getDay();
+            if (slot.days && !slot.days.includes(day)) {
+                return false;
+            }
+            return overnight ? (minutes >= from || minutes < to) : (minutes >= from && minutes < to);
+        });
+    }
+
+    contains(zone, lat, lng) {
+        if (zone.shape === 'circle') {
+            return Geo.distance(lat, lng, zone.center.lat, zone.center.lng) * 1000 <= zone.radius;
+        }
+        return zone.polygons.some(rings => Geo.pointInPolygon(lat, lng, rings));
+    }
+
+    zonesAt(lat, lng, date = new Date(this.clock.now())) {
+        return this.zones.filter(zone => this.isActive(zone, date) && this.contains(zone, lat, lng));
+    }
+
+    // Lowest limit wins; priority breaks ties between equal limits
+    strictest(zones) {
+        return zones.reduce((best, zone) => {
+            if (!best || zone.speedLimit < best.speedLimit ||
+                (zone.speedLimit === best.speedLimit && zone.priority > best.priority)) {
+                return zone;
+            }
+            return best;
+        }, null);
+    }
+
+    // Evaluate a new position, fire enter/exit events and return the governing zone
+    update(lat, lng, date = new Date(this.clock.now())) {
+        const matches = this.zonesAt(lat, lng, date);
+        const matchIds = new Set(matches.map(zone => zone.id));
+
+        this.zones.forEach(zone => {
+            if (this.insideIds.has(zone.id) && !matchIds.has(zone.id)) {
+                this.dispatchEvent(new CustomEvent('zoneexit', { detail: { zone } }));
+            }
+        });
+        matches.forEach(zone => {
+            if (!this.insideIds.has(zone.id)) {
+                this.dispatchEvent(new CustomEvent('zoneenter', { detail: { zone } }));
+            }
+        });
+        this.insideIds = matchIds;
+
+        const governing = this.strictest(matches);
+        if ((governing && governing.id) !== (this.currentZone && this.currentZone.id)) {
+            this.currentZone = governing;
+            this.dispatchEvent(new CustomEvent('zonechange', { detail: { zone: governing } }));
+        }
+        return governing;
+    }
+}